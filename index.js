@@ -1,8 +1,52 @@
 const { DataSource } = require('apollo-datasource')
-const { ApolloError } = require('apollo-server-errors')
+const { ApolloError, ForbiddenError, UserInputError } = require('apollo-server-errors')
+const DataLoader = require('dataloader')
 const Mongoose = require('mongoose')
+const toMongooseModel = require('./src/toMongooseModel')
 const toMongooseFilterExpression = require('./src/toMongooseFilterExpression')
-const cleanDocumentUpdate = require('./src/removeEmptyElements')
+const { toGeoWithinFilter } = require('./src/convertGeoOperator')
+const orderDocumentsByIds = require('./src/orderDocumentsByIds')
+const toCacheKey = require('./src/toCacheKey')
+const { normalizeSort, encodeCursor, toCursorFilter } = require('./src/cursor')
+const mapMongooseError = require('./src/mapMongooseError')
+const toMongooseSortExpression = require('./src/toMongooseSortExpression')
+const { hasNullsOrder, toSortStages } = require('./src/toMongooseSortExpression')
+const { generateBaseTypeDefs, generateTypeDefs, generateGraphQLTypes } = require('./src/generateTypeDefs')
+const { isResolveInfo, toProjection } = require('./src/toProjection')
+const { assertPopulateDepth, populateFromInfo, toLookupStages } = require('./src/toPopulate')
+const {
+  normalizePolicy, scopeFilter, maskProjection, assertWritable, isPathCovered
+} = require('./src/policy')
+const { assertTenantUnchanged } = require('./src/tenant')
+const { resolveSchemaType, castSchemaValue } = require('./src/schemaCast')
+const { TRANSACTION_CONTEXT_KEY, runTransaction } = require('./src/transaction')
+const {
+  normalizeSoftDelete, notDeletedFilter, deletedFilter, toDeleteUpdate, toRestoreUpdate, withRestoreUpdate
+} = require('./src/softDelete')
+const {
+  diffDocuments, replayHistory, createCollectionSink, normalizeAudit
+} = require('./src/audit')
+const {
+  toEtag, fromEtag, isSameVersion, withVersionUpdate
+} = require('./src/version')
+const {
+  toItemError, fromWriteError, isBulkWriteError, toKeyString, toBulkResults
+} = require('./src/bulkWrite')
+const { getPathValue } = require('./src/plainObject')
+const { toPatchUpdate, needsAtomicUpdate, applyPatchUpdate } = require('./src/toPatchUpdate')
+const { toFacetStage, fromFacetResult } = require('./src/toFacetStage')
+const {
+  findTextIndexFields, tokenize, toRegexSearchFilter, toHighlights
+} = require('./src/search')
+const {
+  toChangeStreamMatch, toChangeStreamProjection, decodeResumeToken, toChangeEvent, toChangeIterator
+} = require('./src/changeStream')
+const { normalizeQueryGuards, assertQueryCost } = require('./src/queryGuard')
+const {
+  INSTRUMENTATION_CONTEXT_KEY, runInstrumented, getInstrumentedCall, toInstrumentationEvent, emitEvent,
+  createInstrumentationPlugin
+} = require('./src/instrumentation')
+const { ConflictError, NotFoundError } = require('./src/errors')
 const { ObjectId } = Mongoose.Types
 
 /**
@@ -15,54 +59,1115 @@ const PAGINATION_DEFAULT_LIMIT = 20
  * @type {boolean}
  */
 const FILTER_CONVERTER = false
+/**
+ * Default time to live in seconds for cached documents. Zero disables caching.
+ * @type {number}
+ */
+const CACHE_TTL = 0
+/**
+ * Default maximum depth of nested populate.
+ * @type {number}
+ */
+const POPULATE_MAX_DEPTH = 3
+/**
+ * Public methods reporting their calls to the instrumentation. withTransaction() is left out, calls within
+ * the callback would be part of it and are reported on their own instead.
+ * @type {array}
+ */
+const INSTRUMENTED_METHODS = [
+  'findOne', 'find', 'all', 'list', 'listAggregation', 'search', 'listConnection', 'listAggregationConnection',
+  'watch', 'getById', 'getByIds', 'add', 'delete', 'deleteManyById', 'deleteMany', 'restore', 'restoreMany',
+  'purge', 'history', 'revertTo', 'update', 'updateMany', 'findOneAndUpdate', 'bulkAdd', 'bulkUpdate', 'bulkUpsert'
+]
 /**
  * Class to 
  */
 class MongooseDataSource extends DataSource {
   /**
-   * Validate Mongoose model name when initializing class.
-   * Verify if a mongoose schema is loaded with given name in option parameters.
-   * Raise an exception when schema is not found, otherwise set reference to schema in class.
-   * @param {string} mongooseModelName
-   * @param {object} options
-   * @constructor
+   * Resolve Mongoose model when initializing class. The model is given as Mongoose model, as model name
+   * of the default Mongoose connection, or as `{ connection, modelName }` for models of other connections.
+   * Raise an exception when the model is not found, otherwise set reference to model and its schema in class.
+   * Option **errorMappers** is a list of functions, receiving any error raised by Mongoose and returning
+   * an error to throw instead, or undefined to use the default mapping.
+   * Option **requiredFields** is a list of paths, which are always fetched when the projection
+   * is built from the GraphQL resolve info, like foreign keys needed by resolvers.
+   * Option **populateFromInfo** populates all references selected in the GraphQL query, up to
+   * **populateMaxDepth** levels.
+   * Option **policy** authorizes every call. It is called with the request context, the operation
+   * type (read, create, update or delete) and the model name, and returns false to deny the call, or an object
+   * with a native **filter** restricting all queries of the operation, and field masks **readFields**
+   * and **writeFields**. The filter is not applied when creating documents.
+   * Option **tenant** enables multi-tenant mode. Its **resolve** function reads the tenant from the request context.
+   * With **field**, all tenants share the collection: the tenant is stamped on created documents, added to every
+   * query and can not be changed. With **connection**, every tenant has its own database: the function receives
+   * the tenant and the context and returns the Mongoose connection of the request.
+   * Option **softDelete** marks deleted documents with a deletion date instead of removing them, and excludes them
+   * from all reads, updates and deletes, unless option **withDeleted** is passed to the method. True uses path
+   * `deletedAt`, an object can set **deletedAtField**, **deletedByField** and **deletedBy**, a function reading
+   * the deleting user from the request context. The paths must be part of the schema.
+   * Option **audit** records a field level diff of every write. True writes to collection `auditlogs` of the model's
+   * connection, an object can set **collection**, a custom **sink** with functions write(entries, { session }) and
+   * find(query, { session }), and **actor**, a function reading the acting user from the request context.
+   * Option **versionField** is the path checked by update() and findOneAndUpdate() when an expected version is passed,
+   * the version key `__v` by default. A date path like `updatedAt` is set to the current date on every versioned write.
+   * Option **emptyString** sets how updates handle empty strings: keep sets them, unset removes the field like null
+   * and ignore leaves the field untouched. It can be overridden per call.
+   * Option **searchFields** lists the paths searched by search() when the schema has no text index,
+   * and the paths highlighted in its results.
+   * Options **maxLimit**, **maxFilterDepth** and **maxFilterOperators** bound the page size and the filter of read
+   * methods, **filterFields** and **sortFields** list the paths allowed in filters and sorts, `indexed` allows
+   * all indexed paths of the schema. Queries exceeding a bound are rejected with a UserInputError.
+   * Methods without pages, find() and all(), read at most **maxLimit** documents.
+   * Sorts are restricted to the paths of the schema, option **computedSortFields** lists paths computed in the
+   * aggregations of listAggregation() and listAggregationConnection(), which can be sorted as well.
+   * Option **maxTimeMS** limits the run time of every read query.
+   * Option **collation** compares strings of filters and sorts of all read methods by language rules, like
+   * `{ locale: 'de', strength: 2, numericOrdering: true }`. It can be overridden per call.
+   * Option **instrumentation** is a function receiving an event for every call of a public method, with
+   * **modelName**, **method**, the converted **filter**, **durationMs**, the document **count** and the **error**.
+   * Transactions are not reported as a call, the calls of data sources within the transaction are.
+   * @param {string|function|object} model Mongoose model, model name or `{ connection, modelName }`.
+   * @param {object} options
+   * @constructor
+   */
+  constructor (model, options = {}) {
+    super()
+    /**
+     * @property {object} options - Default values for handling with mongoose methods.
+     */
+    this.options = { 
+      limit: PAGINATION_DEFAULT_LIMIT,
+      convertFilter: FILTER_CONVERTER,
+      ttl: CACHE_TTL,
+      errorMappers: [],
+      requiredFields: [],
+      populateMaxDepth: POPULATE_MAX_DEPTH,
+      populateFromInfo: false,
+      policy: null,
+      tenant: null,
+      softDelete: false,
+      audit: false,
+      versionField: null,
+      emptyString: 'keep',
+      searchFields: null,
+      maxLimit: null,
+      maxFilterDepth: null,
+      maxFilterOperators: null,
+      filterFields: null,
+      sortFields: null,
+      computedSortFields: [],
+      maxTimeMS: null,
+      collation: null,
+      instrumentation: null,
+      ...options
+    }
+    /**
+     * @property {object} Model - Mongoose Model definition
+     */
+    this.Model = toMongooseModel(model)
+    /**
+     * @property {object} Mongoose schema definition.
+     */
+    this.Schema = this.Model.schema
+
+    const { tenant } = this.options
+    if (tenant && typeof tenant.resolve !== 'function') {
+      throw new ApolloError('Tenant option need a resolve function.')
+    }
+    if (tenant && tenant.field && !this.Schema.path(tenant.field)) {
+      throw new ApolloError(`Unknown tenant field '${tenant.field}' in Mongoose model '${this.Model.modelName}'.`)
+    }
+
+    /**
+     * @property {object|null} softDelete - Soft delete configuration, null when documents are removed permanently.
+     */
+    this.softDelete = normalizeSoftDelete(this.options.softDelete)
+    if (this.softDelete) {
+      const { deletedAtField, deletedByField, deletedBy } = this.softDelete
+      const missingPath = [deletedAtField]
+        .concat(deletedBy ? [deletedByField] : [])
+        .find((path) => !this.Schema.path(path))
+      if (missingPath) {
+        throw new ApolloError(`Soft delete needs path '${missingPath}' in Mongoose model '${this.Model.modelName}'.`)
+      }
+    }
+    /**
+     * @property {object|null} audit - Audit configuration, null when writes are not audited.
+     */
+    this.audit = normalizeAudit(this.options.audit)
+    if (this.options.versionField && !this.Schema.path(this.options.versionField)) {
+      throw new ApolloError(`Unknown version field '${this.options.versionField}' in Mongoose model '${this.Model.modelName}'.`)
+    }
+    /**
+     * @property {object} queryGuards - Bounds of page size, filters and sorts of read methods.
+     */
+    this.queryGuards = normalizeQueryGuards(this.options, this.Schema)
+
+    INSTRUMENTED_METHODS.forEach((method) => {
+      this[method] = this.instrument(method, this[method])
+    })
+  }
+
+  /**
+   * This is a function that gets called by ApolloServer when being setup.
+   * This function gets called with the datasource config including things
+   * like caches and context. We'll assign this.context to the request context
+   * here, so we can know about the user making requests.
+   * A new document loader is created as well, so batching and caching of
+   * documents by id lives exactly as long as one request.
+   * The key value cache is shared between requests and used for opt-in document caching.
+   * @param {object} config
+   * @returns {void}
+   */
+  initialize (config) {
+    this.context = config.context
+    /**
+     * @property {KeyValueCache} cache - Apollo key value cache, shared between requests.
+     */
+    this.cache = config.cache
+    /**
+     * @property {DataLoader} loader - Per request loader, batching all id requested in the same tick.
+     */
+    this.loader = new DataLoader(
+      (ids) => this.batchGetByIds(ids),
+      { cacheKeyFn: (id) => String(id) }
+    )
+    /**
+     * @property {Map} projectionLoaders - Per request loaders of partial documents, one per projection.
+     */
+    this.projectionLoaders = new Map()
+
+    const { tenant } = this.options
+    /**
+     * @property {*} tenantId - Tenant of the request, resolved from the context in multi-tenant mode.
+     */
+    this.tenantId = tenant ? tenant.resolve(this.context) : null
+    if (tenant && tenant.connection && this.hasTenant()) {
+      this.Model = tenant.connection(this.tenantId, this.context).model(this.Model.modelName, this.Schema)
+    }
+  }
+
+  /**
+   * Test if the tenant of the request is known.
+   * @returns {boolean}
+   */
+  hasTenant () {
+    return this.tenantId !== undefined && this.tenantId !== null && this.tenantId !== ''
+  }
+
+  /**
+   * Resolve filter restricting queries to the tenant of the request.
+   * @returns {object|null} Native Mongo DB filter, null when not in multi-tenant mode or database per tenant.
+   *  Raise a ForbiddenError in multi-tenant mode, when the tenant of the request is unknown.
+   */
+  getTenantFilter () {
+    const { tenant } = this.options
+    if (!tenant) {
+      return null
+    }
+    if (!this.hasTenant()) {
+      throw new ForbiddenError('Tenant of the request is unknown.')
+    }
+    if (!tenant.field) {
+      return null
+    }
+    const schemaType = resolveSchemaType(this.Schema, tenant.field)
+    return { [tenant.field]: castSchemaValue(schemaType, this.tenantId) }
+  }
+
+  /**
+   * Verify that a document or update does not change the tenant field.
+   * @param {object} document Document or update.
+   * @returns {void} Raise a ForbiddenError when the tenant field is changed.
+   */
+  assertTenantUnchanged (document) {
+    const { tenant } = this.options
+    if (tenant && tenant.field) {
+      assertTenantUnchanged(document, tenant.field, this.tenantId)
+    }
+  }
+
+  /**
+   * Namespace of cache keys. With a database per tenant the database name is part of it,
+   * so tenants never share cached documents.
+   * @returns {string}
+   */
+  getCacheNamespace () {
+    const { tenant } = this.options
+    return tenant && tenant.connection
+      ? `${this.Model.modelName}:${this.Model.db.name}`
+      : this.Model.modelName
+  }
+
+  /**
+   * Resolve loader for documents with given projection, populate and policy filter. Documents with different
+   * projections, populated references or policy filters are batched and cached separately.
+   * @param {object} [projection] Mongoose projection (optional).
+   * @param {string|array|object} [populate] Populate definition (optional).
+   * @param {object} [filter] Policy filter (optional).
+   * @returns {DataLoader}
+   */
+  getLoader (projection = null, populate = null, filter = null) {
+    if (!projection && !populate && !filter) {
+      return this.loader
+    }
+    const key = toCacheKey(this.getCacheNamespace(), { projection, populate, filter })
+    if (!this.projectionLoaders.has(key)) {
+      this.projectionLoaders.set(key, new DataLoader(
+        (ids) => this.batchGetByIds(ids, projection, populate, filter),
+        { cacheKeyFn: (id) => String(id) }
+      ))
+    }
+    return this.projectionLoaders.get(key)
+  }
+
+  /**
+   * Batch function for the document loader. Fetch all requested documents with a single query.
+   * Id which are not cast able to Mongo DB Id are resolved to null without querying.
+   * @param {array} ids List of document id.
+   * @param {object} [projection] Mongoose projection (optional).
+   * @param {string|array|object} [populate] Populate definition (optional).
+   * @param {object} [filter] Policy filter (optional).
+   * @param {object} [session] MongoDB client session (optional).
+   * @returns {promise} Documents in order of requested id, null for missing documents.
+   */
+  async batchGetByIds (ids, projection = null, populate = null, filter = null, session = null) {
+    const validIds = ids.filter((id) => ObjectId.isValid(id))
+    if (!validIds.length) {
+      return ids.map(() => null)
+    }
+    const query = this.Model.find(scopeFilter({ _id: { $in: validIds } }, filter), projection)
+      .session(session)
+      .setOptions(this.getQueryOptions())
+    const documents = await this.applyPopulate(this.recordQuery(query), populate).exec()
+    return orderDocumentsByIds(ids, documents)
+  }
+
+  /**
+   * Remove document from the per request loader cache. Without id the whole cache is cleared.
+   * @param {string} [id] Document id (optional).
+   * @returns {void}
+   */
+  clearCache (id) {
+    if (!this.loader) {
+      return
+    }
+    [this.loader, ...this.projectionLoaders.values()].forEach((loader) => {
+      if (id === undefined) {
+        loader.clearAll()
+      } else {
+        loader.clear(id)
+      }
+    })
+  }
+
+  /**
+   * Put document into the per request loader cache, replacing any cached value.
+   * @param {object} document Mongoose document.
+   * @returns {void}
+   */
+  primeCache (document) {
+    if (!this.loader || !document) {
+      return
+    }
+    // partial documents have to be read again
+    this.projectionLoaders.forEach((loader) => loader.clear(document._id))
+    this.loader.clear(document._id).prime(document._id, document)
+  }
+
+  /**
+   * Build projection of the documents selected in a GraphQL query.
+   * @param {object} info GraphQL resolve info.
+   * @param {string} [path] Path of the documents in the result, like `node` (optional).
+   * @param {array} [requiredFields] Additional paths to fetch (optional).
+   * @returns {object|null} Mongoose projection, null without resolve info.
+   */
+  projectionFromInfo (info, path = '', requiredFields = []) {
+    if (!isResolveInfo(info)) {
+      return null
+    }
+    return toProjection(info, {
+      path,
+      schema: this.Schema,
+      requiredFields: this.options.requiredFields.concat(requiredFields)
+    })
+  }
+
+  /**
+   * Authorize an operation on the current request with the policy option.
+   * In multi-tenant mode the filter restricts the operation to the tenant of the request as well.
+   * In soft delete mode deleted documents are excluded, unless option **withDeleted** is set.
+   * @param {string} operation Operation type, one of read, create, update or delete.
+   * @param {object} [options] Options of the call (optional).
+   * @returns {promise} Scope with **filter**, **readFields** and **writeFields**, null when not restricted.
+   *  Raise a ForbiddenError when the policy denies the operation.
+   */
+  async authorize (operation, options = {}) {
+    const tenantFilter = this.getTenantFilter()
+    const result = this.options.policy
+      ? await this.options.policy(this.context, operation, this.Model.modelName)
+      : true
+    const scope = normalizePolicy(result, operation, this.Model.modelName)
+    const softDeleteFilter = this.softDelete && operation !== 'create' && !options.withDeleted
+      ? notDeletedFilter(this.softDelete)
+      : null
+    return { ...scope, filter: scopeFilter(scopeFilter(scope.filter, tenantFilter), softDeleteFilter) }
+  }
+
+  /**
+   * Verify that soft delete is enabled.
+   * @returns {object} Soft delete configuration. Raise an Apollo error when soft delete is disabled.
+   */
+  assertSoftDelete () {
+    if (!this.softDelete) {
+      throw new ApolloError(`Soft delete is not enabled for Mongoose model '${this.Model.modelName}'.`)
+    }
+    return this.softDelete
+  }
+
+  /**
+   * Verify that auditing is enabled.
+   * @returns {object} Audit configuration. Raise an Apollo error when auditing is disabled.
+   */
+  assertAudit () {
+    if (!this.audit) {
+      throw new ApolloError(`Audit is not enabled for Mongoose model '${this.Model.modelName}'.`)
+    }
+    return this.audit
+  }
+
+  /**
+   * Resolve the audit sink. The default sink writes to the connection of the current model,
+   * so with a database per tenant every tenant has its own audit collection.
+   * @returns {object} Audit sink.
+   */
+  getAuditSink () {
+    return this.audit.sink || createCollectionSink(this.Model.db, this.audit.collection)
+  }
+
+  /**
+   * Build the query of all audit entries of a document.
+   * @param {string} id Document id.
+   * @returns {object} Audit query.
+   */
+  toAuditQuery (id) {
+    const query = { modelName: this.Model.modelName, documentId: this.toObjectId(id) }
+    if (this.options.tenant) {
+      query.tenantId = this.tenantId
+    }
+    return query
+  }
+
+  /**
+   * Paths which are not audited, the id and the version key.
+   * @returns {array}
+   */
+  getAuditIgnorePaths () {
+    const { versionKey = '__v' } = this.Schema.options
+    return versionKey ? ['_id', versionKey] : ['_id']
+  }
+
+  /**
+   * Run a write and record the changes of all affected documents in the audit sink. The documents
+   * matching the filter are read before the write, and read again by id after it.
+   * Without auditing only the write is run.
+   * @param {string} operation Audited operation, like update or delete.
+   * @param {object|null} filter Native filter of the documents changed by the write, null for created documents.
+   * @param {object} options Options of the call, with **session**.
+   * @param {function} write Async function running the write.
+   * @param {object} [afterFilter] Filter of the documents after the write, for created documents (optional).
+   * @returns {promise} Result of the write.
+   */
+  async auditWrite (operation, filter, options, write, afterFilter = null) {
+    this.recordFilter(filter || afterFilter)
+    if (!this.audit) {
+      return write()
+    }
+    const session = this.getSession(options)
+    const before = filter
+      ? await this.Model.find(filter).session(session).lean().exec()
+      : []
+    const result = await write()
+    const ids = before.map((document) => document._id)
+    const afterQuery = afterFilter
+      ? { $or: [{ _id: { $in: ids } }, afterFilter] }
+      : { _id: { $in: ids } }
+    const after = await this.Model.find(afterQuery).session(session).lean().exec()
+    await this.recordAudit(operation, before, after, session)
+    return result
+  }
+
+  /**
+   * Write audit entries of changed documents. Documents without before state are recorded as created,
+   * documents without after state as removed. Documents without changes are not recorded.
+   * @param {string} operation Audited operation.
+   * @param {array} before Plain documents before the write.
+   * @param {array} after Plain documents after the write.
+   * @param {object} [session] MongoDB client session (optional).
+   * @returns {promise}
+   */
+  async recordAudit (operation, before, after, session = null) {
+    const beforeById = new Map(before.map((document) => [String(document._id), document]))
+    const afterById = new Map(after.map((document) => [String(document._id), document]))
+    const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])]
+    const actor = this.audit.actor ? this.audit.actor(this.context) : null
+    const createdAt = new Date()
+    const ignorePaths = this.getAuditIgnorePaths()
+
+    const entries = ids
+      .map((id) => {
+        const previous = beforeById.get(id)
+        const next = afterById.get(id)
+        const entry = {
+          modelName: this.Model.modelName,
+          documentId: (previous || next)._id,
+          operation: previous ? operation : 'create',
+          actor,
+          changes: diffDocuments(previous || {}, next || {}, ignorePaths),
+          removed: !next,
+          createdAt
+        }
+        if (this.options.tenant) {
+          entry.tenantId = this.tenantId
+        }
+        return entry
+      })
+      .filter((entry) => entry.changes.length || entry.removed)
+
+    if (entries.length) {
+      await this.getAuditSink().write(entries, { session })
+    }
+  }
+
+  /**
+   * Path of the document version.
+   * @returns {string|null} Version path, null when the schema has no version key and no version field is set.
+   */
+  getVersionField () {
+    return this.options.versionField || this.Schema.options.versionKey || null
+  }
+
+  /**
+   * Read the version of a document as opaque etag, which can be passed back as option **etag** of
+   * update() and findOneAndUpdate(). The version path must be selected.
+   * @param {object} document Mongoose document or plain object.
+   * @returns {string|null} Etag, null when the document has no version.
+   */
+  getEtag (document) {
+    const field = this.getVersionField()
+    if (!document || !field) {
+      return null
+    }
+    return toEtag(typeof document.get === 'function' ? document.get(field) : document[field])
+  }
+
+  /**
+   * Resolve the expected version of a write, given as option **etag** or **expectedVersion**.
+   * @param {object} options Options of the write.
+   * @returns {*} Expected version, undefined when the write is not versioned.
+   */
+  resolveExpectedVersion (options = {}) {
+    const expectedVersion = options.etag !== undefined && options.etag !== null
+      ? fromEtag(options.etag)
+      : options.expectedVersion
+    if (expectedVersion !== undefined && expectedVersion !== null && !this.getVersionField()) {
+      throw new ApolloError(`Mongoose model '${this.Model.modelName}' has no version field.`)
+    }
+    return expectedVersion === null ? undefined : expectedVersion
+  }
+
+  /**
+   * Build the error of a write with an outdated version.
+   * @param {*} id Document id.
+   * @param {*} currentVersion Version stored in the database.
+   * @returns {ConflictError}
+   */
+  toVersionConflict (id, currentVersion) {
+    return new ConflictError(`Version conflict on document '${id}'.`, {
+      currentVersion,
+      currentEtag: toEtag(currentVersion)
+    })
+  }
+
+  /**
+   * Read the current version of a document.
+   * @param {object} filter Native filter of the document.
+   * @param {object} [session] MongoDB client session (optional).
+   * @returns {promise} Version, null for documents without version, undefined when the document is not found.
+   */
+  async readCurrentVersion (filter, session = null) {
+    const field = this.getVersionField()
+    const document = await this.Model.findOne(filter).select(field).session(session).exec()
+    if (!document) {
+      return undefined
+    }
+    const version = document.get(field)
+    return version === undefined ? null : version
+  }
+
+  /**
+   * Prepare a loaded document for a versioned save. The save only matches the document when the
+   * version is still the loaded one, and changes the version.
+   * @param {object} document Mongoose document.
+   * @param {*} expectedVersion Expected version.
+   * @returns {void} Raise a ConflictError when the loaded document has another version.
+   */
+  prepareVersionedSave (document, expectedVersion) {
+    const field = this.getVersionField()
+    const currentVersion = document.get(field)
+    if (!isSameVersion(currentVersion, expectedVersion)) {
+      throw this.toVersionConflict(document._id, currentVersion)
+    }
+    document.$where = { ...document.$where, [field]: currentVersion }
+    if (field === this.Schema.options.versionKey) {
+      document.increment()
+    } else {
+      document.set(field, new Date())
+    }
+  }
+
+  /**
+   * Save a document. A versioned save not matching the stored document raises a conflict.
+   * @param {object} document Mongoose document.
+   * @param {*} [expectedVersion] Expected version, undefined for unversioned saves (optional).
+   * @returns {promise} Saved document. Raise a ConflictError when the document was changed meanwhile.
+   */
+  async saveDocument (document, expectedVersion) {
+    try {
+      return await document.save()
+    } catch (err) {
+      if (expectedVersion !== undefined && ['VersionError', 'DocumentNotFoundError'].includes(err.name)) {
+        const currentVersion = await this.readCurrentVersion({ _id: document._id }, document.$session())
+        throw this.toVersionConflict(document._id, currentVersion)
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Write an update atomically with findOneAndUpdate. A versioned update only matches the document
+   * when it still has the expected version, changes the version and never inserts.
+   * @param {object} query Native filter of the document.
+   * @param {object} update Mongo DB update.
+   * @param {*} [expectedVersion] Expected version, undefined for unversioned updates (optional).
+   * @param {object} [queryOptions] Options of findOneAndUpdate, like **new**, **upsert** and **session** (optional).
+   * @returns {promise} Document, null when not found. Raise a ConflictError when the document has another version.
+   */
+  async updateVersioned (query, update, expectedVersion, queryOptions = {}) {
+    const versioned = expectedVersion !== undefined
+    const field = this.getVersionField()
+    const document = await this.Model.findOneAndUpdate(
+      versioned ? scopeFilter(query, { [field]: expectedVersion }) : query,
+      versioned ? withVersionUpdate(update, field, field === this.Schema.options.versionKey) : update,
+      { ...queryOptions, upsert: Boolean(queryOptions.upsert) && !versioned }
+    ).exec()
+    if (versioned && !document) {
+      const currentVersion = await this.readCurrentVersion(query, queryOptions.session)
+      if (currentVersion !== undefined) {
+        throw this.toVersionConflict(query._id, currentVersion)
+      }
+    }
+    return document
+  }
+
+  /**
+   * Delete all documents matching a filter. In soft delete mode they are marked as deleted.
+   * @param {object} filter Native Mongo DB filter.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {object} Mongoose query.
+   */
+  removeMany (filter, options = {}) {
+    const query = this.softDelete
+      ? this.Model.updateMany(filter, toDeleteUpdate(this.softDelete, this.context))
+      : this.Model.deleteMany(filter)
+    return query.session(this.getSession(options))
+  }
+
+  /**
+   * Build a Mongo DB update from a partial document, see toPatchUpdate().
+   * @param {object} documentUpdate Partial document, with or without operators.
+   * @param {object} [options] Option **emptyString** overriding the data source option (optional).
+   * @returns {object} Mongo DB update.
+   */
+  toPatchUpdate (documentUpdate, options = {}) {
+    return toPatchUpdate(documentUpdate, { emptyString: options.emptyString || this.options.emptyString })
+  }
+
+  /**
+   * Validate the paths of a patch against the schema, like update validators do. Other paths
+   * of the document, like required ones, are not validated.
+   * @param {object} patch Changed paths and their new values.
+   * @returns {promise} Raise a Mongoose validation error when a value is invalid.
+   */
+  async validatePatch (patch) {
+    const paths = Object.keys(patch)
+    if (paths.length) {
+      const document = new this.Model()
+      document.set(patch)
+      await document.validate(paths)
+    }
+  }
+
+  /**
+   * Prepare every item of a batch, write the prepared operations with one bulk write and build a result per item.
+   * Items failing preparation or their write are reported in the result, they do not fail the batch.
+   * In ordered mode writing stops at the first failed item, later items are reported as skipped.
+   * @param {string} operation Audited operation, create or update.
+   * @param {array} items Items of the batch.
+   * @param {function} prepare Async function returning { id, op, filter } of an item: the bulk write operation
+   *  and the native filter of the written document. Raise an error for invalid items.
+   * @param {object} [options] Options **ordered** and **session** client session (optional).
+   * @returns {promise} Results per item { ok, id, error } and the prepared items, inserted upserts
+   *  with their new **id** and **upserted** true.
+   */
+  async runBulkWrite (operation, items, prepare, options = {}) {
+    const ordered = options.ordered !== false
+    const prepared = []
+    for (const item of items) {
+      try {
+        prepared.push(await prepare(item))
+      } catch (err) {
+        prepared.push({ error: toItemError(this.mapError(err)) })
+        if (ordered) {
+          break
+        }
+      }
+    }
+
+    const writes = prepared.filter((item) => item.op)
+    const writeErrors = new Map()
+    let result = null
+    if (writes.length) {
+      const filter = { $or: writes.map((item) => item.filter) }
+      result = await this.auditWrite(operation, operation === 'create' ? null : filter, options, async () => {
+        try {
+          return await this.Model.bulkWrite(writes.map((item) => item.op), {
+            ordered,
+            session: this.getSession(options)
+          })
+        } catch (err) {
+          if (!isBulkWriteError(err)) {
+            throw err
+          }
+          err.writeErrors.forEach((writeError) => {
+            writeErrors.set(writeError.index, toItemError(this.mapError(fromWriteError(writeError))))
+          })
+          return err.result
+        }
+      }, filter)
+    }
+
+    const upsertedIds = (result && result.upsertedIds) || {}
+    Object.keys(upsertedIds).forEach((index) => {
+      Object.assign(writes[index], { id: upsertedIds[index], upserted: true })
+    })
+
+    const results = toBulkResults(items.length, prepared, writeErrors, ordered)
+    results.filter((item) => item.ok && item.id).forEach((item) => this.clearCache(item.id))
+    await this.invalidateDocumentCache()
+    return { results, prepared }
+  }
+
+  /**
+   * Find a single document by id, restricted by a policy filter. Id which are not cast able
+   * to Mongo DB Id are resolved to null.
+   * @param {string} id Document id.
+   * @param {object} [filter] Policy filter (optional).
+   * @param {object} [session] MongoDB client session (optional).
+   * @returns {promise} Document, null when not found.
+   */
+  async findScopedById (id, filter = null, session = null) {
+    if (!ObjectId.isValid(id)) {
+      return null
+    }
+    return this.Model.findOne(scopeFilter({ _id: id }, filter)).session(session).exec()
+  }
+
+  /**
+   * Resolve the client session of a call. It is given with option **session**, or joined
+   * from a transaction running in the request context.
+   * @param {object} [options] Options of the call (optional).
+   * @returns {object|null} MongoDB client session, null outside a transaction.
+   */
+  getSession (options = {}) {
+    if (options.session) {
+      return options.session
+    }
+    const transaction = this.getContextTransaction()
+    if (!transaction) {
+      return null
+    }
+    transaction.dataSources.add(this)
+    return transaction.session
+  }
+
+  /**
+   * Read the transaction running in the request context.
+   * @returns {object|null} { session, dataSources, invalidated }, null outside a transaction.
+   */
+  getContextTransaction () {
+    return (this.context && this.context[TRANSACTION_CONTEXT_KEY]) || null
+  }
+
+  /**
+   * Run callback as unit of work in a transaction, committed when the callback succeeds and aborted when it fails.
+   * The session is put into the request context, so all data sources of the request use it without passing
+   * it explicitly. The callback is called again on transient transaction errors, so it must not have side effects
+   * outside the database. A transaction already running in the request context is joined.
+   * The per request caches of all joined data sources are cleared when an attempt is aborted, document caches
+   * are invalidated after the commit.
+   * @param {function} callback Async function receiving the client session.
+   * @param {object} [options] Option **maxRetries** limits the retries, **transactionOptions** are passed
+   *  to the transaction (optional).
+   * @returns {promise} Result of the callback. Raise an Apollo error on database errors.
+   */
+  async withTransaction (callback, options = {}) {
+    const activeSession = this.getSession()
+    if (activeSession) {
+      return callback(activeSession)
+    }
+
+    const session = await this.Model.db.startSession()
+    const context = this.context
+    const transaction = { session, dataSources: new Set([this]), invalidated: new Set() }
+    if (context) {
+      context[TRANSACTION_CONTEXT_KEY] = transaction
+    }
+    // Documents loaded or written in an aborted attempt are outdated.
+    const clearAll = () => {
+      transaction.dataSources.forEach((dataSource) => dataSource.clearCache())
+      transaction.invalidated.clear()
+    }
+    let result
+    try {
+      result = await runTransaction(session, (transactionSession) => {
+        clearAll()
+        return callback(transactionSession)
+      }, options)
+    } catch (err) {
+      clearAll()
+      throw this.mapError(err)
+    } finally {
+      if (context) {
+        delete context[TRANSACTION_CONTEXT_KEY]
+      }
+      session.endSession()
+    }
+    await Promise.all([...transaction.invalidated].map((dataSource) => dataSource.invalidateDocumentCache()))
+    return result
+  }
+
+  /**
+   * Resolve a model by name, using the connection of the data source model.
+   * @param {string} modelName Name of the model.
+   * @returns {object} Mongoose model.
+   */
+  resolveModel (modelName) {
+    return this.Model.db.model(modelName)
+  }
+
+  /**
+   * Resolve populate definition of a read method. An explicit **populate** option wins, false disables
+   * populating. Otherwise references selected in the GraphQL query are populated, when the data source
+   * option populateFromInfo is set.
+   * @param {object} options Read options with **populate** and **info**.
+   * @param {string} [path] Path of the documents in the result, like `node` (optional).
+   * @returns {string|array|object|null} Populate definition, null when nothing is populated.
+   */
+  resolvePopulate (options = {}, path = '') {
+    if (options.populate === false) {
+      return null
+    }
+    if (options.populate) {
+      assertPopulateDepth(options.populate, this.options.populateMaxDepth)
+      return options.populate
+    }
+    if (!this.options.populateFromInfo || !isResolveInfo(options.info)) {
+      return null
+    }
+    const populate = populateFromInfo(options.info, {
+      path,
+      schema: this.Schema,
+      resolveModel: (modelName) => this.resolveModel(modelName),
+      maxDepth: this.options.populateMaxDepth
+    })
+    return populate.length ? populate : null
+  }
+
+  /**
+   * Populate references of a query.
+   * @param {object} query Mongoose query.
+   * @param {string|array|object} [populate] Populate definition (optional).
+   * @returns {object} Mongoose query.
+   */
+  applyPopulate (query, populate = null) {
+    return populate ? query.populate(populate) : query
+  }
+
+  /**
+   * Build aggregation $lookup stages, the aggregation equivalent of populate.
+   * @param {string|array|object} [populate] Populate definition (optional).
+   * @returns {array} Aggregation stages.
+   */
+  toLookupStages (populate = null) {
+    if (!populate) {
+      return []
+    }
+    return toLookupStages(populate, this.Schema, (modelName) => this.resolveModel(modelName))
+  }
+
+  /**
+   * Verify that a read query stays within the query guard options.
+   * @param {object} query Native **filter**, Mongoose **sort** and **limit** of the query, each optional.
+   * @returns {void} Raise a UserInputError for a query exceeding a guard.
+   */
+  assertQueryCost (query) {
+    this.recordFilter(query.filter || null)
+    assertQueryCost(this.queryGuards, query)
+  }
+
+  /**
+   * Options of read queries and aggregations, limiting their run time with option maxTimeMS
+   * and comparing strings with option collation.
+   * @param {object} [options] Options of the call, **collation** overrides the data source option,
+   *  false disables it (optional).
+   * @returns {object} Query options.
+   */
+  getQueryOptions (options = {}) {
+    const queryOptions = {}
+    if (this.options.maxTimeMS) {
+      queryOptions.maxTimeMS = this.options.maxTimeMS
+    }
+    const collation = options.collation !== undefined ? options.collation : this.options.collation
+    if (collation) {
+      queryOptions.collation = collation
+    }
+    return queryOptions
+  }
+
+  /**
+   * Find documents sorted with a nulls order, which a query can not express. The matching id are read
+   * in sort order with an aggregation, the documents are read by id with projection and populate.
+   * @param {object} filter Native Mongo DB filter.
+   * @param {object|string} projection Mongoose projection.
+   * @param {object} options Options of the call, with **sort**, **session** and **collation**.
+   * @param {object} [page] Page **skip** and **limit**, and **populate** definition (optional).
+   * @returns {promise} Documents in sort order.
+   */
+  async findInSortOrder (filter, projection, options, page = {}) {
+    const { skip = 0, limit = 0, populate = null } = page
+    const session = this.getSession(options)
+    const pipeline = [{ $match: toGeoWithinFilter(this.Model.find(filter).cast(this.Model)) }]
+      .concat(toSortStages(options.sort, this.Schema))
+      .concat(skip ? [{ $skip: skip }] : [], limit ? [{ $limit: limit }] : [], [{ $project: { _id: 1 } }])
+    const ids = (await this.Model.aggregate(pipeline).session(session).option(this.getQueryOptions(options)).exec())
+      .map((document) => document._id)
+    if (!ids.length) {
+      return []
+    }
+    const documents = await this.applyPopulate(this.Model
+      .find({ _id: { $in: ids } }, projection)
+      .session(session)
+      .setOptions(this.getQueryOptions(options)), populate).exec()
+    return orderDocumentsByIds(ids, documents).filter(Boolean)
+  }
+
+  /**
+   * Wrap method, so every call emits an instrumentation event when it is finished. Calls of other
+   * instrumented methods of the data source within the call are part of it and not reported on their own.
+   * Without instrumentation the method is called as it is, no call state is tracked.
+   * @param {string} method Name of the method.
+   * @param {function} call Async method.
+   * @returns {function} Instrumented method.
+   */
+  instrument (method, call) {
+    return (...args) => {
+      if (!this.isInstrumented()) {
+        return call.apply(this, args)
+      }
+      const activeCall = getInstrumentedCall()
+      if (activeCall && activeCall.dataSource === this) {
+        return call.apply(this, args)
+      }
+      const state = { dataSource: this, filter: null, query: null }
+      const start = process.hrtime.bigint()
+      const finish = (result, error) => this.emitInstrumentation(toInstrumentationEvent({
+        modelName: this.Model.modelName,
+        method,
+        filter: state.filter,
+        durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+        result,
+        error
+      }), state.query)
+      return runInstrumented(state, async () => {
+        try {
+          const result = await call.apply(this, args)
+          finish(result, null)
+          return result
+        } catch (err) {
+          finish(undefined, err)
+          throw err
+        }
+      })
+    }
+  }
+
+  /**
+   * Test if calls are instrumented, by the instrumentation option or by the instrumentation plugin of the request.
+   * @returns {boolean}
+   */
+  isInstrumented () {
+    return Boolean(this.options.instrumentation || (this.context && this.context[INSTRUMENTATION_CONTEXT_KEY]))
+  }
+
+  /**
+   * Record the native filter of the running instrumented call. Only the first filter is kept.
+   * @param {object} filter Native Mongo DB filter.
+   * @returns {void}
+   */
+  recordFilter (filter) {
+    const activeCall = getInstrumentedCall()
+    if (activeCall && activeCall.dataSource === this && !activeCall.filter) {
+      activeCall.filter = filter
+    }
+  }
+
+  /**
+   * Record the find query of the running instrumented call, to explain it when it is slow.
+   * Only the first query is kept.
+   * @param {object} query Mongoose find or findOne query, with scope filter, sort and projection.
+   * @returns {object} Mongoose query.
+   */
+  recordQuery (query) {
+    const activeCall = getInstrumentedCall()
+    if (activeCall && activeCall.dataSource === this && !activeCall.query) {
+      activeCall.query = query
+    }
+    return query
+  }
+
+  /**
+   * Pass event of a finished call to the instrumentation option, and to the calls of the request
+   * recorded by the instrumentation plugin. Calls running a find query can be explained, with a copy of
+   * the query outside of the session, which may be ended when the plan is read.
+   * @param {object} event Event { modelName, method, filter, durationMs, count, error }.
+   * @param {object} [query] Mongoose find query of the call (optional).
+   * @returns {void}
+   */
+  emitInstrumentation (event, query = null) {
+    if (this.options.instrumentation) {
+      emitEvent(this.options.instrumentation, event)
+    }
+    const calls = this.context && this.context[INSTRUMENTATION_CONTEXT_KEY]
+    if (calls) {
+      calls.push(query
+        ? { event, explain: () => query.toConstructor()().session(null).explain('queryPlanner').exec() }
+        : { event })
+    }
+  }
+
+  /**
+   * Map error raised by Mongoose to an Apollo error, using custom mappers from options first.
+   * @param {Error} err Error raised by Mongoose or MongoDB.
+   * @returns {Error} Error to throw.
    */
-  constructor (mongooseModelName, options = {}) {
-    super()
-    /**
-     * @property {object} options - Default values for handling with mongoose methods.
-     */
-    this.options = { 
-      limit: PAGINATION_DEFAULT_LIMIT,
-      convertFilter: FILTER_CONVERTER,
-      ...options
+  mapError (err) {
+    return mapMongooseError(err, this.options.errorMappers)
+  }
+
+  /**
+   * Cast id to Mongo DB Id. Raise a cast error when it is not cast able,
+   * which is mapped to a user input error.
+   * @param {string|ObjectId} id Document id.
+   * @returns {ObjectId}
+   */
+  toObjectId (id) {
+    if (!ObjectId.isValid(id)) {
+      throw new Mongoose.Error.CastError('ObjectId', id, '_id')
+    }
+    return new ObjectId(id)
+  }
+
+  /**
+   * Resolve time to live of cached entries. A time to live set on a call overrides
+   * the data source option. Without a key value cache nothing is cached.
+   * @param {number} [ttl] Time to live in seconds (optional).
+   * @returns {number} Time to live in seconds, zero when caching is disabled.
+   */
+  resolveCacheTtl (ttl) {
+    if (!this.cache) {
+      return 0
     }
-    if (typeof mongooseModelName !== 'string') {
-      throw new ApolloError('Mongoose Data Source need a Mongoose model name.')
+    return ttl === undefined ? this.options.ttl : ttl
+  }
+
+  /**
+   * Build a cache key for the current model. Every key contains the model generation,
+   * which changes on each write, so cached entries of the model expire all at once.
+   * @param {string} method Name of the cached method.
+   * @param {*} query Query parameters of the method.
+   * @returns {promise} Cache key.
+   */
+  async buildCacheKey (method, query) {
+    const namespace = this.getCacheNamespace()
+    const generation = await this.cache.get(toCacheKey(namespace, 'generation'))
+    return toCacheKey(namespace, generation || '0', method, query)
+  }
+
+  /**
+   * Read lean value from the key value cache.
+   * @param {string} key Cache key.
+   * @returns {promise} Cached value, undefined when key is not cached.
+   */
+  async readDocumentCache (key) {
+    const value = await this.cache.get(key)
+    return value === undefined ? undefined : JSON.parse(value)
+  }
+
+  /**
+   * Write lean value to the key value cache.
+   * @param {string} key Cache key.
+   * @param {*} value Plain value, like lean documents.
+   * @param {number} ttl Time to live in seconds.
+   * @returns {promise}
+   */
+  async writeDocumentCache (key, value, ttl) {
+    await this.cache.set(key, JSON.stringify(value), { ttl })
+  }
+
+  /**
+   * Invalidate all cached entries of the model by moving to a new model generation. Within a transaction
+   * of the request context, the invalidation is deferred until the commit.
+   * @returns {promise}
+   */
+  async invalidateDocumentCache () {
+    if (!this.cache) {
+      return
     }
-    if (!Mongoose.models || !Mongoose.models[mongooseModelName]) {
-      throw new ApolloError(`Unknown Mongoose model '${mongooseModelName}'. Did you import your Mongoose model?`)
+    const transaction = this.getContextTransaction()
+    if (transaction) {
+      transaction.invalidated.add(this)
+      return
     }
-    /**
-     * @property {object} Model - Mongoose Model definition
-     */
-    this.Model = Mongoose.model(mongooseModelName)
-    /**
-     * @property {object} Mongoose schema definition.
-     */
-    this.Schema = Mongoose.modelSchemas[mongooseModelName]
+    await this.cache.set(toCacheKey(this.getCacheNamespace(), 'generation'), new ObjectId().toHexString())
   }
 
   /**
-   * This is a function that gets called by ApolloServer when being setup.
-   * This function gets called with the datasource config including things
-   * like caches and context. We'll assign this.context to the request context
-   * here, so we can know about the user making requests.
-   * @param {object} config
-   * @returns {void}
+   * Convert a Mongoose document to a plain object which can be stored in the cache.
+   * @param {object} document Mongoose document.
+   * @returns {object|null}
    */
-  initialize (config) {
-    this.context = config.context
+  toLeanDocument (document) {
+    return document ? document.toObject() : null
+  }
+
+  /**
+   * Convert a cached plain object back to a Mongoose document.
+   * @param {object} document Plain object.
+   * @returns {object|null}
+   */
+  fromLeanDocument (document) {
+    return document ? this.Model.hydrate(document) : null
   }
 
   /**
@@ -74,11 +1179,11 @@ class MongooseDataSource extends DataSource {
   convertQuery(filter, nativeQuery = null) {
     // user override option 
     if (nativeQuery === true) {
-      return toMongooseFilterExpression(filter)
+      return toMongooseFilterExpression(filter, this.Schema)
     }
     // use default option only when override option is not set
     if (this.options.convertFilter === true && nativeQuery !== false) {
-      return toMongooseFilterExpression(filter)
+      return toMongooseFilterExpression(filter, this.Schema)
     }
     return filter;
   }
@@ -88,166 +1193,629 @@ class MongooseDataSource extends DataSource {
    * @param {object} options - Option can have tree properties. **Filter** to select specifies selection filter using query operators. 
    *  **projection** specifies the fields to return in the documents that match the query filter. For details, see
    *                 [Projection](https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection).
-   *  **sort** to
+   *  **sort** to order the matching documents, as list of { field, direction, nulls } or Mongoose sort.
+   *                 A nulls order is read with an aggregation and not cached.
+   *  **collation** to compare strings by language rules, overrides the data source option.
+   *  **ttl** cache the document for given seconds, overrides the data source option.
+   *  **info** GraphQL resolve info, to fetch only selected fields when no projection is set.
+   *  **populate** references to populate, as path string, array or populate object. Populated documents are not cached.
+   *  **session** client session, documents read in a transaction are not cached.
    *  - Optional. 
    * @returns {promise}
    */
   async findOne (options = {}, nativeQuery = null) {
     try {
-      const { filter = {}, projection = null, sort = null } = options
-      return await this.Model.findOne(this.convertQuery(filter, nativeQuery), projection).sort(sort).exec()
+      const { filter = {} } = options
+      const scope = await this.authorize('read', options)
+      const projection = maskProjection(options.projection || this.projectionFromInfo(options.info), scope.readFields)
+      const populate = this.resolvePopulate(options)
+      const sort = toMongooseSortExpression(options.sort || null, this.Schema)
+      const convertedFilter = this.convertQuery(filter, nativeQuery)
+      this.assertQueryCost({ filter: convertedFilter, sort })
+      const query = scopeFilter(convertedFilter, scope.filter)
+      const session = this.getSession(options)
+      const nullsOrder = hasNullsOrder(options.sort)
+
+      const ttl = populate || session || nullsOrder ? 0 : this.resolveCacheTtl(options.ttl)
+      if (nullsOrder) {
+        const [document = null] = await this.findInSortOrder(query, projection, options, { limit: 1, populate })
+        return document
+      }
+      if (!ttl) {
+        return await this.applyPopulate(this.recordQuery(this.Model
+          .findOne(query, projection)
+          .sort(sort)
+          .session(session)
+          .setOptions(this.getQueryOptions(options))), populate).exec()
+      }
+
+      const { collation = null } = this.getQueryOptions(options)
+      const key = await this.buildCacheKey('findOne', { query, projection, sort, collation })
+      const cached = await this.readDocumentCache(key)
+      if (cached !== undefined) {
+        return this.fromLeanDocument(cached)
+      }
+      const document = await this.recordQuery(this.Model.findOne(query, projection).sort(sort).setOptions(this.getQueryOptions(options))).exec()
+      await this.writeDocumentCache(key, this.toLeanDocument(document), ttl)
+      return document
     } catch (err) {
-      return err
+      throw this.mapError(err)
     }
   }
 
   /**
    * @property {Function} find - Find a specific records, by using search entries.
    * @param {object} filter Represent filter object for mongo find()
+   * @param {object} projection Mongoose projection, or GraphQL resolve info to fetch only selected fields.
+   * @param {boolean} [nativeQuery] Override setting to convert query (optional).
+   * @param {object} [options] Option **populate** references to populate, **session** client session (optional).
    * @returns {promise}
    */
-  async find (filter = {}, projection = {}, nativeQuery = null) {
+  async find (filter = {}, projection = {}, nativeQuery = null, options = {}) {
     try {
-      const documents = await this.Model.find(this.convertQuery(filter, nativeQuery), projection).exec()
+      const scope = await this.authorize('read', options)
+      const info = isResolveInfo(projection) ? projection : null
+      const fields = maskProjection(info ? this.projectionFromInfo(info) : projection, scope.readFields)
+      const populate = this.resolvePopulate({ info, ...options })
+      const convertedFilter = this.convertQuery(filter, nativeQuery)
+      this.assertQueryCost({ filter: convertedFilter })
+      const query = this.Model
+        .find(scopeFilter(convertedFilter, scope.filter), fields)
+        .session(this.getSession(options))
+        .setOptions(this.getQueryOptions(options))
+      if (this.queryGuards.maxLimit) {
+        query.limit(this.queryGuards.maxLimit)
+      }
+      const documents = await this.applyPopulate(this.recordQuery(query), populate).exec()
       return documents
     } catch (err) {
-      return err
+      throw this.mapError(err)
     }
   }
 
   /**
    * @property {Function} all - Return all documents.
-   * @param {object} options - Represent filter object for mongo find()
+   * @param {object} options - Represent filter object for mongo find(). Option **info** is the
+   *  GraphQL resolve info, to fetch only selected fields when no reduction is set.
+   *  Option **populate** references to populate, option **session** client session.
+   *  Option **sort** list of { field, direction, nulls } or Mongoose sort, option **collation** overrides
+   *  the data source option.
    * @returns {promise}
    */
   async all (options = {}) {
-    const filter = toMongooseFilterExpression(options.filter)
-    const { reduction = null, sort = null } = options
-
     try {
-      const documents = await this.Model.find(filter, reduction).sort(sort).exec()
+      const scope = await this.authorize('read', options)
+      const convertedFilter = toMongooseFilterExpression(options.filter, this.Schema)
+      const filter = scopeFilter(convertedFilter, scope.filter)
+      const reduction = maskProjection(options.reduction || this.projectionFromInfo(options.info), scope.readFields)
+      const populate = this.resolvePopulate(options)
+      const sort = toMongooseSortExpression(options.sort || null, this.Schema)
+      this.assertQueryCost({ filter: convertedFilter, sort })
+
+      const { maxLimit } = this.queryGuards
+      if (hasNullsOrder(options.sort)) {
+        return await this.findInSortOrder(filter, reduction, options, { limit: maxLimit || 0, populate })
+      }
+      const query = this.Model
+        .find(filter, reduction)
+        .sort(sort)
+        .session(this.getSession(options))
+        .setOptions(this.getQueryOptions(options))
+      if (maxLimit) {
+        query.limit(maxLimit)
+      }
+      const documents = await this.applyPopulate(this.recordQuery(query), populate).exec()
       return documents
     } catch (err) {
-      return err
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Build a page of documents with its pagination information.
+   * @param {number} totalCount Number of all documents matching the query.
+   * @param {number} page Current page, starting at 1.
+   * @param {number} limit Documents per page.
+   * @param {array} node Documents of the page.
+   * @returns {object} Page { totalCount, currentPage, hasPrevPage, hasNextPage, totalPages, prevPage, nextPage, node }.
+   */
+  toPageResult (totalCount, page, limit, node) {
+    const totalPages = Math.ceil(totalCount / limit)
+    return {
+      totalCount,
+      currentPage: page,
+      hasPrevPage: (page > 1),
+      hasNextPage: (page < totalPages),
+      totalPages,
+      prevPage: (page > 1) ? page - 1 : 0,
+      nextPage: (page < totalPages) ? page + 1 : 0,
+      node
     }
   }
 
   /**
    * List documents with pagination.
+   * Option **ttl** caches the page for given seconds, overrides the data source option.
+   * Option **info** is the GraphQL resolve info of the page, to fetch only fields selected in `node`.
+   * Option **populate** references to populate, populated pages are not cached.
+   * Option **session** client session, pages read in a transaction are not cached.
+   * Option **sort** is a list of { field, direction, nulls } or a Mongoose sort, pages sorted with a nulls order
+   * are read with an aggregation and not cached. Option **collation** overrides the data source option.
    * @returns {promise}
    */
   async list (options = {}) {
     const {
-      page = 1, limit = this.options.limit, sort = {}, filter = {}
+      page = 1, limit = this.options.limit, filter = {}
     } = options
-    const datafilter = toMongooseFilterExpression(filter)
-    const skip = (page - 1) * limit
 
     try {
+      const scope = await this.authorize('read', options)
+      const sort = toMongooseSortExpression(options.sort || {}, this.Schema)
+      const convertedFilter = toMongooseFilterExpression(filter, this.Schema)
+      this.assertQueryCost({ filter: convertedFilter, sort, limit })
+      const datafilter = scopeFilter(convertedFilter, scope.filter)
+      const projection = maskProjection(this.projectionFromInfo(options.info, 'node'), scope.readFields)
+      const populate = this.resolvePopulate(options, 'node')
+      const session = this.getSession(options)
+      const skip = (page - 1) * limit
+      const nullsOrder = hasNullsOrder(options.sort)
+
+      const ttl = populate || session || nullsOrder ? 0 : this.resolveCacheTtl(options.ttl)
+      let key = null
+      if (ttl) {
+        const { collation = null } = this.getQueryOptions(options)
+        key = await this.buildCacheKey('list', { datafilter, projection, sort, collation, skip, limit })
+        const cached = await this.readDocumentCache(key)
+        if (cached !== undefined) {
+          return { ...cached, node: cached.node.map((document) => this.fromLeanDocument(document)) }
+        }
+      }
+
       // When filtering is present we use countDocuments(),
       // else estimatedDocumentCount() which is much faster but no filtering possible.
+      // It can not be used in transactions. Counts do not allow $near, it is counted as $geoWithin.
       let totalCount = 0
-      if (datafilter === {}) {
-        totalCount = await this.Model.estimatedDocumentCount().exec()
+      if (!Object.keys(datafilter).length && !session) {
+        totalCount = await this.Model.estimatedDocumentCount().setOptions(this.getQueryOptions(options)).exec()
       } else {
-        totalCount = await this.Model.countDocuments(datafilter).exec()
+        totalCount = await this.Model.countDocuments(toGeoWithinFilter(datafilter)).session(session).setOptions(this.getQueryOptions(options)).exec()
       }
 
-      // Get all nodes
-      const node = await this.Model
-        .find(datafilter)
+      // Get all nodes, a nulls order is only possible with an aggregation.
+      const query = this.Model
+        .find(datafilter, projection)
         .sort(sort)
         .skip(skip)
         .limit(limit)
+        .session(session)
+        .setOptions(this.getQueryOptions(options))
+      const node = nullsOrder
+        ? await this.findInSortOrder(datafilter, projection, options, { skip, limit, populate })
+        : await this.applyPopulate(this.recordQuery(query), populate).exec()
+
+      const result = this.toPageResult(totalCount, page, limit, node)
+      if (ttl) {
+        await this.writeDocumentCache(key, { ...result, node: node.map((document) => this.toLeanDocument(document)) }, ttl)
+      }
+      return result
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * List aggregated documents with pagination. The page, the total count and the facets are read
+   * with a single $facet stage after the aggregation, so the count matches the documents of the pipeline.
+   * Option **facets** counts documents of the pipeline by name, each facet is a path counting documents
+   * per value as list of { value, count }, or a list of pipeline stages.
+   * Option **hydrate** returns Mongoose documents instead of plain objects, for pipelines keeping the document shape.
+   * Option **populate** joins referenced documents with $lookup stages after paging.
+   * Option **session** client session.
+   * @param {object} [options] Options **page**, **limit**, **filter** and **sort**, and the options above (optional).
+   * @param {array} [aggregation] Aggregation pipeline stages, run after the filter (optional).
+   * @returns {promise} Page of documents with totalCount and node, and facets when option **facets** is set.
+   */
+  async listAggregation (options = {}, aggregation = []) {
+    const {
+      page = 1, limit = this.options.limit, filter = {}
+    } = options
+
+    try {
+      const scope = await this.authorize('read', options)
+      const sort = toMongooseSortExpression(options.sort || {}, this.Schema, this.options.computedSortFields)
+      const convertedFilter = toMongooseFilterExpression(filter, this.Schema)
+      this.assertQueryCost({ filter: convertedFilter, sort, limit })
+      const datafilter = scopeFilter(convertedFilter, scope.filter)
+      const populate = this.resolvePopulate(options, 'node')
+      const session = this.getSession(options)
+      const skip = (page - 1) * limit
+
+      // Only if filter or sort was set, we use it.
+      const firstAggregationMatch = Object.keys(datafilter).length ? [{ $match: toGeoWithinFilter(datafilter) }] : []
+      const sortAggregation = toSortStages(options.sort, this.Schema, this.options.computedSortFields)
+      // Unreadable fields are removed before the aggregation can see them.
+      const maskAggregation = scope.readFields ? [{ $project: maskProjection(null, scope.readFields) }] : []
+      const facetAggregation = toFacetStage(
+        [{ $skip: skip }, { $limit: limit }].concat(this.toLookupStages(populate)),
+        options.facets
+      )
+
+      // Join aggregation definitions
+      const aggregationConcat = firstAggregationMatch.concat(
+        maskAggregation,
+        aggregation,
+        sortAggregation,
+        [facetAggregation]
+      )
+
+      const result = await this.Model
+        .aggregate(aggregationConcat)
+        .session(session)
+        .option(this.getQueryOptions(options))
         .exec()
+      const { node, totalCount, facets } = fromFacetResult(result)
 
-      return {
+      const pageResult = this.toPageResult(
         totalCount,
-        currentPage: page,
-        hasPrevPage: (page > 1),
-        hasNextPage: (page < Math.ceil(totalCount / limit)),
-        totalPages: Math.ceil(totalCount / limit),
-        prevPage: (page > 1) ? page - 1 : 0,
-        nextPage: (page < Math.ceil(totalCount / limit)) ? page + 1 : 0,
-        node
+        page,
+        limit,
+        options.hydrate ? node.map((document) => this.Model.hydrate(document)) : node
+      )
+      if (options.facets) {
+        pageResult.facets = facets
       }
+      return pageResult
     } catch (err) {
-      return err
+      throw this.mapError(err)
     }
   }
 
   /**
-   * List documents with pagination.
-   * @returns {promise}
+   * Search documents by text. With a text index in the schema the index is queried with $text and documents
+   * are sorted by relevance, further sorted by option **sort**. Without text index every term of the query
+   * must match one of the paths of option **searchFields**, case insensitive, and terms negated with a leading
+   * dash must match none of them.
+   * Every node gets its relevance as **score**, the text score or the number of term matches without text index.
+   * Option **highlight** adds **highlights** to every node, the matches of the terms in the searched paths,
+   * without negated terms, as list of { path, value, matches }, with { start, end } offsets of every match.
+   * @param {object} [options] Options **query**, **page**, **limit**, **filter**, **sort**, **info**, **populate**
+   *  and **session** client session (optional).
+   * @returns {promise} Page of documents like list(). Raise an ApolloError when neither a text index
+   *  nor search fields exist.
    */
-  async listAggregation (options = {}, aggregation = []) {
+  async search (options = {}) {
     const {
-      page = 1, limit = this.options.limit, sort = {}, filter = {}
+      query = '', page = 1, limit = this.options.limit, filter = {}
     } = options
-    const datafilter = toMongooseFilterExpression(filter)
-    const skip = (page - 1) * limit
 
     try {
-      // When filtering is present we use countDocuments(),
-      // else estimatedDocumentCount() which is much faster but no filtering possible.
-      const firstAggregationMatch = []
-      const sortAggregation = []
+      const scope = await this.authorize('read', options)
+      if (hasNullsOrder(options.sort)) {
+        throw new UserInputError('Search does not support a nulls order.')
+      }
+      const sort = toMongooseSortExpression(options.sort || {}, this.Schema)
+      const convertedFilter = toMongooseFilterExpression(filter, this.Schema)
+      this.assertQueryCost({ filter: convertedFilter, sort, limit })
+      const datafilter = scopeFilter(convertedFilter, scope.filter)
+      const projection = maskProjection(this.projectionFromInfo(options.info, 'node'), scope.readFields)
+      const populate = this.resolvePopulate(options, 'node')
+      const session = this.getSession(options)
+      const skip = (page - 1) * limit
+      const { terms, negatedTerms } = tokenize(query)
+      const indexFields = findTextIndexFields(this.Schema)
+      const searchFields = this.options.searchFields || (indexFields || []).filter((path) => path !== '$**')
 
-      let totalCount = 0
+      if (!indexFields && !searchFields.length) {
+        throw new ApolloError(`Search needs a text index or option searchFields in Mongoose model '${this.Model.modelName}'.`)
+      }
 
-      if (datafilter === {}) {
-        totalCount = await this.Model.estimatedDocumentCount().exec()
-      } else {
-        totalCount = await this.Model.countDocuments(datafilter).exec()
-        // Only if filter was set, we use it.
-        firstAggregationMatch.push({ $match: datafilter })
+      let totalCount = 0
+      let node = []
+      if (terms.length) {
+        const searchFilter = indexFields
+          ? scopeFilter({ $text: { $search: String(query) } }, datafilter)
+          : scopeFilter(toRegexSearchFilter(terms, searchFields, negatedTerms), datafilter)
+        const score = { $meta: 'textScore' }
+        // the relevance and the sort by option alone leave the order of equal documents open
+        const searchSort = indexFields ? { score, ...sort } : sort
+        totalCount = await this.Model.countDocuments(toGeoWithinFilter(searchFilter)).session(session).setOptions(this.getQueryOptions(options)).exec()
+        const findQuery = this.Model
+          .find(searchFilter, indexFields ? { ...projection, score } : projection)
+          .sort({ ...searchSort, _id: searchSort._id || 1 })
+          .skip(skip)
+          .limit(limit)
+          .session(session)
+          .setOptions(this.getQueryOptions(options))
+        node = await this.applyPopulate(this.recordQuery(findQuery), populate).exec()
       }
 
-      // Only if there is a sort present we use it.
-      if (sort) {
-        sortAggregation.push({ $sort: sort })
+      node.forEach((document) => {
+        const highlights = toHighlights(document, searchFields, terms)
+        document.score = indexFields
+          ? document.get('score')
+          : highlights.reduce((count, highlight) => count + highlight.matches.length, 0)
+        if (options.highlight) {
+          document.highlights = highlights
+        }
+      })
+
+      return this.toPageResult(totalCount, page, limit, node)
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Resolve Relay pagination arguments to a query plan. Paginating backward with **last** and **before**
+   * reverses the sort order, so the query can always read from the cursor on.
+   * @param {object} options Pagination arguments first, after, last, before and sort.
+   * @param {array} [computedFields] Paths computed in the aggregation, which can be sorted besides the schema paths (optional).
+   * @returns {object} Query plan with sort keys, mongo sort, cursor filter and limit.
+   */
+  toConnectionQuery (options = {}, computedFields = []) {
+    const { first, after, last, before, sort = {} } = options
+    const backward = (last !== undefined && last !== null) && (first === undefined || first === null)
+    const limit = backward ? last : (first === undefined || first === null ? this.options.limit : first)
+    if (hasNullsOrder(sort)) {
+      throw new UserInputError('Cursor pagination does not support a nulls order.')
+    }
+    const sortKeys = normalizeSort(toMongooseSortExpression(sort, this.Schema, computedFields))
+    const querySort = {}
+    sortKeys.forEach(([field, direction]) => {
+      querySort[field] = backward ? -direction : direction
+    })
+
+    const cursorFilters = []
+    if (after) {
+      cursorFilters.push(toCursorFilter(after, sortKeys))
+    }
+    if (before) {
+      cursorFilters.push(toCursorFilter(before, sortKeys, true))
+    }
+
+    return {
+      backward,
+      limit,
+      sortKeys,
+      sort: querySort,
+      cursorFilter: cursorFilters.length ? { $and: cursorFilters } : null
+    }
+  }
+
+  /**
+   * Build Relay connection from nodes read with a query plan. One node more than
+   * requested is read, to know if there is a further page.
+   * @param {array} nodes Documents, read with limit + 1.
+   * @param {object} connectionQuery Query plan from toConnectionQuery().
+   * @param {object} options Pagination arguments first, after, last, before.
+   * @returns {object} Connection with edges and pageInfo.
+   */
+  toConnection (nodes, connectionQuery, options = {}) {
+    const { backward, limit, sortKeys } = connectionQuery
+    const hasMore = nodes.length > limit
+    const pageNodes = nodes.slice(0, limit)
+    if (backward) {
+      pageNodes.reverse()
+    }
+    const edges = pageNodes.map((node) => ({ cursor: encodeCursor(node, sortKeys), node }))
+
+    return {
+      edges,
+      pageInfo: {
+        hasNextPage: backward ? Boolean(options.before) : hasMore,
+        hasPreviousPage: backward ? hasMore : Boolean(options.after),
+        startCursor: edges.length ? edges[0].cursor : null,
+        endCursor: edges.length ? edges[edges.length - 1].cursor : null
       }
+    }
+  }
+
+  /**
+   * List documents with Relay style cursor pagination. Cursors are opaque and
+   * contain the sort key values of a document plus its id as tiebreaker, so pages
+   * stay stable when documents are inserted between requests.
+   * @param {object} options Pagination arguments **first**, **after**, **last**, **before**,
+   *  **sort** and **filter**. Option **info** is the GraphQL resolve info of the connection,
+   *  to fetch only fields selected in `edges.node`. Option **populate** references to populate,
+   *  option **session** client session.
+   * @returns {promise} Connection with edges { cursor node } and pageInfo.
+   */
+  async listConnection (options = {}) {
+    const { filter = {} } = options
+
+    try {
+      const scope = await this.authorize('read', options)
+      const connectionQuery = this.toConnectionQuery(options)
+      const convertedFilter = toMongooseFilterExpression(filter, this.Schema)
+      this.assertQueryCost({
+        filter: convertedFilter,
+        sort: toMongooseSortExpression(options.sort || {}, this.Schema),
+        limit: connectionQuery.limit
+      })
+      const datafilter = toGeoWithinFilter(scopeFilter(convertedFilter, scope.filter))
+      const query = connectionQuery.cursorFilter
+        ? { $and: [datafilter, connectionQuery.cursorFilter] }
+        : datafilter
+      // sort key values are needed to build the cursors
+      const sortFields = connectionQuery.sortKeys.map(([field]) => field)
+      const projection = maskProjection(this.projectionFromInfo(options.info, 'edges.node', sortFields), scope.readFields)
+      const populate = this.resolvePopulate(options, 'edges.node')
+
+      const nodes = await this.applyPopulate(this.recordQuery(this.Model
+        .find(query, projection)
+        .sort(connectionQuery.sort)
+        .limit(connectionQuery.limit + 1)
+        .session(this.getSession(options))
+        .setOptions(this.getQueryOptions(options))), populate)
+        .exec()
+
+      return this.toConnection(nodes, connectionQuery, options)
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * List aggregated documents with Relay style cursor pagination.
+   * The cursor condition is applied after the given aggregation, so sorting
+   * by fields computed in the aggregation is possible.
+   * @param {object} options Pagination arguments **first**, **after**, **last**, **before**,
+   *  **sort** and **filter**. Option **populate** joins referenced documents with $lookup stages,
+   *  option **session** client session.
+   * @param {array} aggregation Aggregation pipeline stages.
+   * @returns {promise} Connection with edges { cursor node } and pageInfo.
+   */
+  async listAggregationConnection (options = {}, aggregation = []) {
+    const { filter = {} } = options
+
+    try {
+      const scope = await this.authorize('read', options)
+      const connectionQuery = this.toConnectionQuery(options, this.options.computedSortFields)
+      const convertedFilter = toMongooseFilterExpression(filter, this.Schema)
+      this.assertQueryCost({
+        filter: convertedFilter,
+        sort: toMongooseSortExpression(options.sort || {}, this.Schema, this.options.computedSortFields),
+        limit: connectionQuery.limit
+      })
+      const datafilter = toGeoWithinFilter(scopeFilter(convertedFilter, scope.filter))
+      const populate = this.resolvePopulate(options, 'edges.node')
+      const firstAggregationMatch = Object.keys(datafilter).length ? [{ $match: datafilter }] : []
+      const maskAggregation = scope.readFields ? [{ $project: maskProjection(null, scope.readFields) }] : []
+      const cursorAggregationMatch = connectionQuery.cursorFilter ? [{ $match: connectionQuery.cursorFilter }] : []
 
-      // Join aggregation definitions
       const aggregationConcat = firstAggregationMatch.concat(
+        maskAggregation,
         aggregation,
-        sortAggregation,
-        [{ $skip: skip }, { $limit: limit }]
+        cursorAggregationMatch,
+        [{ $sort: connectionQuery.sort }, { $limit: connectionQuery.limit + 1 }],
+        this.toLookupStages(populate)
       )
 
-      const node = await this.Model
+      const nodes = await this.Model
         .aggregate(aggregationConcat)
+        .session(this.getSession(options))
+        .option(this.getQueryOptions(options))
         .exec()
 
-      return {
-        totalCount,
-        currentPage: page,
-        hasPrevPage: (page > 1),
-        hasNextPage: (page < Math.ceil(totalCount / limit)),
-        totalPages: Math.ceil(totalCount / limit),
-        prevPage: (page > 1) ? page - 1 : 0,
-        nextPage: (page < Math.ceil(totalCount / limit)) ? page + 1 : 0,
-        node
+      return this.toConnection(nodes, connectionQuery, options)
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Watch changes of documents with a MongoDB change stream, for GraphQL subscriptions. The subscription
+   * resolver can return the iterator directly, unsubscribing closes the change stream.
+   * Option **filter** restricts the events to documents matching the filter after the change, option **operations**
+   * to operations insert, update, replace and delete. Delete events carry no document and can not be filtered,
+   * so they are only passed without filter, policy scope and tenant. In soft delete mode, deleted documents are left out
+   * and marking a document as deleted is passed as delete event, also with a filter, unless option **withDeleted** is set.
+   * Option **resumeAfter** is the resume token of the last received event, to continue after a reconnect
+   * without losing events.
+   * @param {object} [options] Options **filter**, **operations**, **resumeAfter** and **withDeleted** (optional).
+   * @returns {promise} Async iterator of events { operationType, documentId, document, updatedFields,
+   *  removedFields, resumeToken }. Requires a replica set or sharded cluster.
+   */
+  async watch (options = {}) {
+    const { filter = {}, operations } = options
+
+    try {
+      // soft deleted documents are matched by the change stream, so their deletion is passed as delete event
+      const deletedAtField = this.softDelete && !options.withDeleted ? this.softDelete.deletedAtField : null
+      const scope = await this.authorize('read', deletedAtField ? { ...options, withDeleted: true } : options)
+      const convertedFilter = toMongooseFilterExpression(filter, this.Schema)
+      this.assertQueryCost({ filter: convertedFilter })
+      const datafilter = toGeoWithinFilter(scopeFilter(convertedFilter, scope.filter))
+      const pipeline = [toChangeStreamMatch(datafilter, operations, deletedAtField)]
+      if (scope.readFields) {
+        pipeline.push(toChangeStreamProjection(scope.readFields))
       }
+      const watchOptions = { fullDocument: 'updateLookup' }
+      if (options.resumeAfter) {
+        watchOptions.resumeAfter = decodeResumeToken(options.resumeAfter)
+      }
+
+      const stream = this.Model.watch(pipeline, watchOptions)
+      return toChangeIterator(stream, (change) => {
+        const event = toChangeEvent(change, scope.readFields, deletedAtField)
+        return { ...event, document: event.document && this.Model.hydrate(event.document) }
+      }, (err) => this.mapError(err))
     } catch (err) {
-      return err
+      throw this.mapError(err)
     }
   }
 
   /**
    * Find document by Id. The Id parameter is a string, and
    * should by cast able to Mongo DB Id.
+   * When the data source is initialized, all id requested in the same tick are
+   * fetched with one query and cached for the current request.
    * @param {string} id MongoDB record id as string.
+   * @param {object} [options] Option **ttl** caches the document for given seconds, overrides the data source option.
+   *  Option **info** is the GraphQL resolve info, to fetch only selected fields.
+   *  Option **populate** references to populate, populated documents are not cached across requests.
+   *  Option **session** client session, documents read in a transaction are neither batched nor cached.
    * @returns {promise}
    */
-  async getById (id) {
+  async getById (id, options = {}) {
+    this.recordFilter({ _id: id })
     try {
-      const document = await this.Model.findById(id).exec()
+      const scope = await this.authorize('read', options)
+      const projection = maskProjection(this.projectionFromInfo(options.info), scope.readFields)
+      const populate = this.resolvePopulate(options)
+      const session = this.getSession(options)
+      const ttl = populate || session ? 0 : this.resolveCacheTtl(options.ttl)
+      let key = null
+      if (ttl) {
+        key = await this.buildCacheKey('getById', { id: String(id), projection, filter: scope.filter })
+        const cached = await this.readDocumentCache(key)
+        if (cached !== undefined) {
+          return this.fromLeanDocument(cached)
+        }
+      }
+
+      const document = this.loader && !session
+        ? await this.getLoader(projection, populate, scope.filter).load(id)
+        : await this.applyPopulate(
+          this.recordQuery(this.Model.findOne(scopeFilter({ _id: id }, scope.filter), projection).session(session).setOptions(this.getQueryOptions(options))),
+          populate
+        ).exec()
+      if (ttl) {
+        await this.writeDocumentCache(key, this.toLeanDocument(document), ttl)
+      }
       return document
     } catch (err) {
       // When id is not cast able to mongo id error is raised.
       // To mask this error we return null value which can be compared with not found.
-      return null
+      if (err.name === 'CastError') {
+        return null
+      }
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Find documents by list of id. Documents are returned in order of the given id,
+   * null for id which are not found or not cast able to Mongo DB Id.
+   * @param {array} ids List of MongoDB record id as string.
+   * @param {object} [options] Option **info** is the GraphQL resolve info, to fetch only selected fields.
+   *  Option **populate** references to populate, option **session** client session.
+   * @returns {promise}
+   */
+  async getByIds (ids = [], options = {}) {
+    this.recordFilter({ _id: { $in: ids } })
+    try {
+      const scope = await this.authorize('read', options)
+      const projection = maskProjection(this.projectionFromInfo(options.info), scope.readFields)
+      const populate = this.resolvePopulate(options)
+      const session = this.getSession(options)
+      if (this.loader && !session) {
+        const documents = await this.getLoader(projection, populate, scope.filter).loadMany(ids)
+        return documents.map((document) => (document instanceof Error ? null : document))
+      }
+      return await this.batchGetByIds(ids, projection, populate, scope.filter, session)
+    } catch (err) {
+      throw this.mapError(err)
     }
   }
 
@@ -255,142 +1823,558 @@ class MongooseDataSource extends DataSource {
    * Create and only create a new documen. When document exists, an error will be raised.
    * An error will be raised also when any other property requirements don`t fit.
    * @param {object} document Object contains new document properties.
-   * @returns {promise} Retuns created document object or return database error.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} Retuns created document object. Raise an Apollo error on database errors.
    */
-  async add (document) {
-    const newDocument = new this.Model(document)
+  async add (document, options = {}) {
     try {
-      await newDocument.save()
+      const scope = await this.authorize('create', options)
+      assertWritable(document, scope.writeFields)
+      this.assertTenantUnchanged(document)
+      const newDocument = new this.Model(document)
+      if (this.options.tenant && this.options.tenant.field) {
+        newDocument.set(this.options.tenant.field, this.tenantId)
+      }
+      await this.auditWrite('create', null, options, () => newDocument.save({ session: this.getSession(options) }), {
+        _id: newDocument._id
+      })
+      this.primeCache(newDocument)
+      await this.invalidateDocumentCache()
       return newDocument
     } catch (err) {
-      return err
+      throw this.mapError(err)
     }
   }
 
   /**
-   * Delete document by it's id.
+   * Delete document by it's id. In soft delete mode the document is marked as deleted.
    * @param {*} id Document id
-   * @returns {promise} Retuns removed document object or return database error.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} Retuns removed document object. Raise an Apollo error on database errors.
    */
-  async delete (id) {
+  async delete (id, options = {}) {
     try {
-      const document = await this.getById(id)
+      const scope = await this.authorize('delete', options)
+      const document = await this.findScopedById(id, scope.filter, this.getSession(options))
       if (document) {
-        const result = await document.deleteOne()
+        const result = await this.auditWrite('delete', { _id: document._id }, options, () => (this.softDelete
+          ? document.set(toDeleteUpdate(this.softDelete, this.context).$set).save()
+          : document.deleteOne()))
+        this.clearCache(id)
+        await this.invalidateDocumentCache()
         return result
       }
       return null
     } catch (err) {
-      return err
+      throw this.mapError(err)
     }
   }
 
   /**
-   * Remove multiple document by it is id.
+   * Remove multiple document by it is id. In soft delete mode the documents are marked as deleted.
    * @param {array|string} id Document id as string or array of id.
-   * @returns {promise} Retuns removed document object or return database error.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} Retuns removed document object. Raise an Apollo error on database errors.
    */
-  async deleteManyById (id) {
+  async deleteManyById (id, options = {}) {
     const idList = []
 
     try {
       if (typeof id === 'string') {
-        idList.push(ObjectId(id))
+        idList.push(this.toObjectId(id))
       }
 
       if (Array.isArray(id)) {
         id.forEach((stringId) => {
-          idList.push(ObjectId(stringId))
+          idList.push(this.toObjectId(stringId))
         })
       }
 
-      const result = await this.Model.deleteMany({ _id: { $in: idList } })
+      const scope = await this.authorize('delete', options)
+      const query = scopeFilter({ _id: { $in: idList } }, scope.filter)
+      const result = await this.auditWrite('delete', query, options, () => this.removeMany(query, options))
+      idList.forEach((documentId) => this.clearCache(documentId))
+      await this.invalidateDocumentCache()
       return result
-    } catch (error) {
-      return error
+    } catch (err) {
+      throw this.mapError(err)
     }
   }
 
   /**
-   * Remove multiple document by setting filter.
+   * Remove multiple document by setting filter. In soft delete mode the documents are marked as deleted.
    * @param {object} filter Document id as string or array of id.
-   * @returns {promise} Retuns removed document object or return database error.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} Retuns removed document object. Raise an Apollo error on database errors.
+   */
+  async deleteMany (filter = {}, options = {}) {
+    try {
+      const scope = await this.authorize('delete', options)
+      const query = scopeFilter(filter, scope.filter)
+      const result = await this.auditWrite('delete', query, options, () => this.removeMany(query, options))
+      // Removed documents are unknown, so nothing in the cache can be trusted anymore.
+      this.clearCache()
+      await this.invalidateDocumentCache()
+      return result
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Restore soft deleted document by it's id.
+   * @param {string} id Document id.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} Restored document, null when no deleted document is found. Raise an Apollo error on database errors.
+   */
+  async restore (id, options = {}) {
+    try {
+      const softDelete = this.assertSoftDelete()
+      const scope = await this.authorize('update', { ...options, withDeleted: true })
+      const query = scopeFilter(scopeFilter({ _id: this.toObjectId(id) }, scope.filter), deletedFilter(softDelete))
+      const document = await this.auditWrite('restore', query, options, () => this.Model.findOneAndUpdate(
+        query,
+        toRestoreUpdate(softDelete),
+        { new: true, session: this.getSession(options) }
+      ).exec())
+      this.clearCache(id)
+      await this.invalidateDocumentCache()
+      return document
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Restore all soft deleted documents matching a filter.
+   * @param {object} filter Native Mongo DB filter.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} Update result. Raise an Apollo error on database errors.
+   */
+  async restoreMany (filter = {}, options = {}) {
+    try {
+      const softDelete = this.assertSoftDelete()
+      const scope = await this.authorize('update', { ...options, withDeleted: true })
+      const query = scopeFilter(scopeFilter(filter, scope.filter), deletedFilter(softDelete))
+      const result = await this.auditWrite('restore', query, options, () => this.Model
+        .updateMany(query, toRestoreUpdate(softDelete))
+        .session(this.getSession(options)))
+      this.clearCache()
+      await this.invalidateDocumentCache()
+      return result
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Permanently remove all soft deleted documents matching a filter.
+   * @param {object} filter Native Mongo DB filter.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} Delete result. Raise an Apollo error on database errors.
    */
-  async deleteMany (filter = {}) {
+  async purge (filter = {}, options = {}) {
     try {
-      const result = await this.Model.deleteMany(filter)
+      const softDelete = this.assertSoftDelete()
+      const scope = await this.authorize('delete', { ...options, withDeleted: true })
+      const query = scopeFilter(scopeFilter(filter, scope.filter), deletedFilter(softDelete))
+      const result = await this.auditWrite('purge', query, options, () => this.Model
+        .deleteMany(query)
+        .session(this.getSession(options)))
+      this.clearCache()
+      await this.invalidateDocumentCache()
       return result
-    } catch (error) {
-      return error
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Read the audited change history of a document, oldest change first. Every entry has a **version**,
+   * its position in the history, which can be passed to revertTo(). Changes of fields which are not
+   * readable by the policy are left out.
+   * @param {string} id Document id.
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} List of audit entries, empty when the document is out of the policy scope.
+   *  Raise an Apollo error when auditing is disabled.
+   */
+  async history (id, options = {}) {
+    try {
+      this.assertAudit()
+      const scope = await this.authorize('read', { ...options, withDeleted: true })
+      const session = this.getSession(options)
+      if (scope.filter && !await this.findScopedById(id, scope.filter, session)) {
+        // The document is out of scope, unless it was removed permanently.
+        const exists = ObjectId.isValid(id) && await this.Model.findOne({ _id: this.toObjectId(id) }).select('_id').session(session).exec()
+        if (exists) {
+          return []
+        }
+      }
+      const entries = await this.getAuditSink().find(this.toAuditQuery(id), { session })
+      return entries.map((entry, index) => ({
+        ...entry,
+        version: index + 1,
+        changes: scope.readFields
+          ? entry.changes.filter((change) => isPathCovered(change.path, scope.readFields))
+          : entry.changes
+      }))
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Restore the state of a document after a version of its history. The state is rebuilt from the audit entries
+   * and written as a new change, so the revert is part of the history as well. A removed document is created again.
+   * @param {string} id Document id.
+   * @param {number} version Version of the history, see history().
+   * @param {object} [options] Option **session** client session (optional).
+   * @returns {promise} Reverted document, null when the document is not accessible.
+   *  Raise a UserInputError for unknown versions.
+   */
+  async revertTo (id, version, options = {}) {
+    try {
+      this.assertAudit()
+      const session = this.getSession(options)
+      const scope = await this.authorize('update', { ...options, withDeleted: true })
+      const entries = await this.getAuditSink().find(this.toAuditQuery(id), { session })
+      if (!Number.isInteger(version) || version < 1 || version > entries.length) {
+        throw new UserInputError(`Unknown version ${version} of document '${id}'.`)
+      }
+      const state = replayHistory(entries, version)
+      if (!state) {
+        throw new UserInputError(`Document '${id}' did not exist in version ${version}.`)
+      }
+
+      let document = await this.findScopedById(id, scope.filter, session)
+      if (!document) {
+        // The document is out of scope, unless it was removed permanently.
+        const exists = await this.Model.findOne({ _id: this.toObjectId(id) }).select('_id').session(session).exec()
+        if (exists) {
+          return null
+        }
+        document = new this.Model({ _id: this.toObjectId(id) })
+      }
+      const changes = diffDocuments(document.isNew ? {} : document.toObject({ depopulate: true }), state, this.getAuditIgnorePaths())
+      const update = changes.reduce((paths, change) => ({ ...paths, [change.path]: change.after }), {})
+      assertWritable(update, scope.writeFields)
+      this.assertTenantUnchanged(update)
+      changes.forEach((change) => document.set(change.path, change.after))
+
+      await this.auditWrite('revert', { _id: document._id }, options, () => document.save({ session }), { _id: document._id })
+      this.clearCache(id)
+      await this.invalidateDocumentCache()
+      return document
+    } catch (err) {
+      throw this.mapError(err)
     }
   }
 
   /**
-   * Update document by it is id.
+   * Update document by it is id. The update is a partial document, nested objects are merged, null removes a field
+   * and operators $inc, $push, $addToSet and $pull change numbers and arrays, see toPatchUpdate().
+   * Updates with $inc are written atomically, so concurrent increments are not lost, as well as $pull with
+   * conditions like { qty: { $lt: 5 } }.
+   * With option **expectedVersion** or **etag** the update is only written, when the document still has this version.
    * @param {*} id Document id
    * @param {*} documentUpdate Document object with updated information
+   * @param {object} [options] Option **emptyString** and **session** client session (optional).
+   * @returns {promise} Updated document, null when not found. Raise a ConflictError with the current version
+   *  when the document has another version.
    */
-  async update (id, documentUpdate) {
+  async update (id, documentUpdate, options = {}) {
     try {
-      const document = await this.getById(id)
+      const scope = await this.authorize('update', options)
+      const expectedVersion = this.resolveExpectedVersion(options)
+      const update = this.toPatchUpdate(documentUpdate, options)
+      assertWritable(update, scope.writeFields)
+      this.assertTenantUnchanged(update)
+      if (needsAtomicUpdate(update)) {
+        const query = scopeFilter({ _id: this.toObjectId(id) }, scope.filter)
+        const document = await this.auditWrite('update', query, options, () => this.updateVersioned(
+          query,
+          update,
+          expectedVersion,
+          { new: true, runValidators: true, session: this.getSession(options) }
+        ))
+        if (document) {
+          this.primeCache(document)
+          await this.invalidateDocumentCache()
+        }
+        return document
+      }
+      const document = await this.findScopedById(id, scope.filter, this.getSession(options))
       if (document) {
-        Object.assign(document, documentUpdate)
-        await document.save()
+        if (expectedVersion !== undefined) {
+          this.prepareVersionedSave(document, expectedVersion)
+        }
+        applyPatchUpdate(document, update)
+        await this.auditWrite('update', { _id: document._id }, options, () => this.saveDocument(document, expectedVersion))
+        this.primeCache(document)
+        await this.invalidateDocumentCache()
         return document
       }
       return null
     } catch (err) {
-      return err
+      // Cached document may hold the rejected changes.
+      this.clearCache(id)
+      throw this.mapError(err)
     }
   }
 
   /**
-   * Update multiple document by list of id.
+   * Update multiple document by list of id. The update is a partial document like in update().
    * @param {*} id Document id
    * @param {*} documentUpdate Document object with updated information
+   * @param {object} [options] Option **emptyString** and **session** client session (optional).
    */
-  async updateMany (id, documentUpdate) {
+  async updateMany (id, documentUpdate, options = {}) {
     const idList = []
 
     try {
       if (typeof id === 'string') {
-        idList.push(ObjectId(id))
+        idList.push(this.toObjectId(id))
       }
 
       if (Array.isArray(id)) {
         id.forEach((stringId) => {
-          idList.push(ObjectId(stringId))
+          idList.push(this.toObjectId(stringId))
         })
       }
 
-      const cleanedDocumentUpdate = cleanDocumentUpdate(documentUpdate)
-      const result = await this.Model.updateMany(
-        { _id: { $in: idList } },
-        { $set: cleanedDocumentUpdate }
-      )
+      const scope = await this.authorize('update', options)
+      const update = this.toPatchUpdate(documentUpdate, options)
+      assertWritable(update, scope.writeFields)
+      this.assertTenantUnchanged(update)
+      const query = scopeFilter({ _id: { $in: idList } }, scope.filter)
+      const result = await this.auditWrite('update', query, options, () => this.Model.updateMany(
+        query,
+        update
+      ).session(this.getSession(options)))
+      idList.forEach((documentId) => this.clearCache(documentId))
+      await this.invalidateDocumentCache()
       return result
     } catch (err) {
-      return err
+      throw this.mapError(err)
     }
   }
 
   /**
-   * Update or insert document by it's id.
+   * Update or insert document by it's id. The update is a partial document like in update().
+   * With option **expectedVersion** or **etag** the document is updated atomically, when it still has this version,
+   * and not inserted. Otherwise the policy has to allow both update and create, and the fields have to be writable by both.
+   * In soft delete mode a deleted document with the id is restored and updated, it can not be inserted again.
    * @param {*} id Document id.
    * @param {*} documentUpdate Document object with updated information.
+   * @param {object} [options] Option **emptyString** and **session** client session (optional).
+   * @returns {promise} Document before the update. Raise a ConflictError with the current version
+   *  when the document has another version.
    */
-  async findOneAndUpdate (id, documentUpdate) {
+  async findOneAndUpdate (id, documentUpdate, options = {}) {
     try {
-      const document = await this.Model.findOneAndUpdate(
-        { _id: new ObjectId(id) },
-        documentUpdate,
-        { upsert: true }
-      ).exec()
+      const expectedVersion = this.resolveExpectedVersion(options)
+      const upsert = expectedVersion === undefined
+      const restore = upsert && Boolean(this.softDelete)
+      const scope = await this.authorize('update', restore ? { ...options, withDeleted: true } : options)
+      const update = this.toPatchUpdate(documentUpdate, options)
+      assertWritable(update, scope.writeFields)
+      if (upsert) {
+        const createScope = await this.authorize('create', options)
+        assertWritable(update, createScope.writeFields)
+      }
+      this.assertTenantUnchanged(update)
+      const query = scopeFilter({ _id: this.toObjectId(id) }, scope.filter)
+      const document = await this.auditWrite('update', query, options, () => this.updateVersioned(
+        query,
+        restore ? withRestoreUpdate(this.softDelete, update) : update,
+        expectedVersion,
+        { upsert, session: this.getSession(options) }
+      ), { _id: this.toObjectId(id) })
+      this.clearCache(id)
+      await this.invalidateDocumentCache()
       return document
     } catch (err) {
-      return err
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Create many documents with one bulk write. Every document is validated on its own,
+   * invalid documents and failed writes are reported per item and do not fail the batch.
+   * @param {array} documents List of new documents.
+   * @param {object} [options] Option **ordered**, false to write all valid documents even when some fail (default true),
+   *  and **session** client session (optional).
+   * @returns {promise} List of results { ok, id, error } in document order. Error has a GraphQL error **code**
+   *  and **message**, documents not written after a failure in ordered mode have code SKIPPED.
+   */
+  async bulkAdd (documents = [], options = {}) {
+    try {
+      const scope = await this.authorize('create', options)
+      const { tenant } = this.options
+      const { results } = await this.runBulkWrite('create', documents, async (document) => {
+        assertWritable(document, scope.writeFields)
+        this.assertTenantUnchanged(document)
+        const newDocument = new this.Model(document)
+        if (tenant && tenant.field) {
+          newDocument.set(tenant.field, this.tenantId)
+        }
+        await newDocument.validate()
+        return {
+          id: newDocument._id,
+          op: { insertOne: { document: newDocument.toObject({ depopulate: true }) } },
+          filter: { _id: newDocument._id }
+        }
+      }, options)
+      return results
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Update many documents, each with its own changes, with one bulk write. Every change is validated on its own,
+   * invalid or empty changes, unknown documents and failed writes are reported per item and do not fail the batch.
+   * @param {array} updates List of updates { id, update }, the document id and a partial document like in update().
+   * @param {object} [options] Option **ordered**, false to write all valid updates even when some fail (default true),
+   *  **emptyString** and **session** client session (optional).
+   * @returns {promise} List of results { ok, id, error } in update order. Error has a GraphQL error **code**
+   *  and **message**, updates not written after a failure in ordered mode have code SKIPPED.
+   */
+  async bulkUpdate (updates = [], options = {}) {
+    try {
+      const scope = await this.authorize('update', options)
+      const ids = updates.map(({ id }) => id).filter((id) => ObjectId.isValid(id)).map((id) => this.toObjectId(id))
+      const existing = await this.Model.find(scopeFilter({ _id: { $in: ids } }, scope.filter), { _id: 1 })
+        .session(this.getSession(options))
+        .lean()
+        .exec()
+      const existingIds = new Set(existing.map((document) => String(document._id)))
+
+      const { results } = await this.runBulkWrite('update', updates, async ({ id, update }) => {
+        const documentId = this.toObjectId(id)
+        if (!existingIds.has(String(documentId))) {
+          throw new NotFoundError(`Document '${id}' not found.`)
+        }
+        const patchUpdate = this.toPatchUpdate(update, options)
+        if (!Object.keys(patchUpdate).length) {
+          throw new UserInputError(`Update of document '${id}' has no changes.`)
+        }
+        assertWritable(patchUpdate, scope.writeFields)
+        this.assertTenantUnchanged(patchUpdate)
+        await this.validatePatch(patchUpdate.$set || {})
+        const filter = scopeFilter({ _id: documentId }, scope.filter)
+        return {
+          id: documentId,
+          op: { updateOne: { filter, update: patchUpdate } },
+          filter
+        }
+      }, options)
+      return results
+    } catch (err) {
+      throw this.mapError(err)
+    }
+  }
+
+  /**
+   * Update or insert many documents with one bulk write. Documents are matched by their upsert key,
+   * existing documents are updated with the given fields as partial document like in update(), missing documents
+   * are inserted. The policy has to allow both update and create, and the fields have to be writable by both.
+   * In soft delete mode deleted documents matching the key are restored and updated, they can not be inserted again.
+   * Every document is validated on its own, inserted documents as a whole and updated documents by their changed
+   * paths. Invalid documents and failed writes are reported per item and do not fail the batch.
+   * @param {array} documents List of documents, each with a value for every key path.
+   * @param {object} [options] Option **key**, path or list of paths matching documents (default _id),
+   *  **ordered**, false to write all valid documents even when some fail (default true),
+   *  **emptyString** and **session** client session (optional).
+   * @returns {promise} List of results { ok, id, upserted, error } in document order. Upserted is true for inserted
+   *  documents. Error has a GraphQL error **code** and **message**, documents not written after a failure
+   *  in ordered mode have code SKIPPED.
+   */
+  async bulkUpsert (documents = [], options = {}) {
+    try {
+      const scope = await this.authorize('update', this.softDelete ? { ...options, withDeleted: true } : options)
+      const createScope = await this.authorize('create', options)
+      const keys = [].concat(options.key || '_id')
+      const { tenant } = this.options
+      const toKeyFilter = (document) => keys.reduce((keyFilter, key) => {
+        const value = getPathValue(document, key)
+        if (value === undefined || value === null) {
+          throw new UserInputError(`Missing value of upsert key '${key}'.`)
+        }
+        keyFilter[key] = key === '_id' ? this.toObjectId(value) : value
+        return keyFilter
+      }, {})
+
+      // Documents which are inserted are validated as a whole, updates only by their changed paths.
+      const keyFilters = documents.reduce((filters, document) => {
+        try {
+          return filters.concat([toKeyFilter(document)])
+        } catch (err) {
+          return filters
+        }
+      }, [])
+      const projection = keys.reduce((keyProjection, key) => ({ ...keyProjection, [key]: 1 }), { _id: 1 })
+      const existing = keyFilters.length
+        ? await this.Model.find(scopeFilter({ $or: keyFilters }, scope.filter), projection)
+          .session(this.getSession(options))
+          .lean()
+          .exec()
+        : []
+      const existingKeys = new Set(existing.map((document) => toKeyString(document, keys)))
+
+      const { results, prepared } = await this.runBulkWrite('update', documents, async (document) => {
+        const filter = toKeyFilter(document)
+        const { _id, ...fields } = document
+        const patchUpdate = this.toPatchUpdate(fields, options)
+        if (!Object.keys(patchUpdate).length) {
+          throw new UserInputError(`Upsert of document with key ${JSON.stringify(filter)} has no changes.`)
+        }
+        assertWritable(patchUpdate, scope.writeFields)
+        assertWritable(patchUpdate, createScope.writeFields)
+        this.assertTenantUnchanged(patchUpdate)
+        if (existingKeys.has(toKeyString(document, keys))) {
+          await this.validatePatch(patchUpdate.$set || {})
+        } else {
+          const newDocument = new this.Model(filter)
+          newDocument.set(patchUpdate.$set || {})
+          if (tenant && tenant.field) {
+            newDocument.set(tenant.field, this.tenantId)
+          }
+          await newDocument.validate()
+        }
+        const update = this.softDelete ? withRestoreUpdate(this.softDelete, patchUpdate) : patchUpdate
+        if (tenant && tenant.field) {
+          update.$setOnInsert = { [tenant.field]: this.tenantId }
+        }
+        const scopedFilter = scopeFilter(filter, scope.filter)
+        return {
+          id: filter._id,
+          op: { updateOne: { filter: scopedFilter, update, upsert: true, setDefaultsOnInsert: true } },
+          filter: scopedFilter
+        }
+      }, options)
+
+      // Ids of updated documents matched by another key are read after the write.
+      const unknown = results.map((item, index) => index).filter((index) => results[index].ok && !results[index].id)
+      if (unknown.length) {
+        const found = await this.Model.find({ $or: unknown.map((index) => prepared[index].filter) }, projection)
+          .session(this.getSession(options))
+          .lean()
+          .exec()
+        const idsByKey = new Map(found.map((document) => [toKeyString(document, keys), document._id]))
+        unknown.forEach((index) => {
+          results[index].id = idsByKey.get(toKeyString(documents[index], keys)) || null
+        })
+      }
+      return results.map((item, index) => ({ ...item, upserted: Boolean(prepared[index] && prepared[index].upserted) }))
+    } catch (err) {
+      throw this.mapError(err)
     }
   }
 }
 
 module.exports = MongooseDataSource
+module.exports.generateBaseTypeDefs = generateBaseTypeDefs
+module.exports.generateTypeDefs = generateTypeDefs
+module.exports.generateGraphQLTypes = generateGraphQLTypes
+module.exports.createInstrumentationPlugin = createInstrumentationPlugin
@@ -0,0 +1,86 @@
+const Mongoose = require('mongoose')
+const {
+  diffDocuments, applyChanges, replayHistory, createCollectionSink, normalizeAudit
+} = require('../audit')
+
+describe('Audit', () => {
+  it('should diff documents by field', () => {
+    const before = { _id: 1, name: 'a', address: { city: 'x', zip: '1' }, tags: ['a'], __v: 0 }
+    const after = { _id: 1, name: 'b', address: { city: 'x' }, tags: ['a', 'b'], age: 3, __v: 1 }
+    expect(diffDocuments(before, after, ['_id', '__v'])).toEqual([
+      { path: 'name', before: 'a', after: 'b' },
+      { path: 'address.zip', before: '1' },
+      { path: 'tags', before: ['a'], after: ['a', 'b'] },
+      { path: 'age', after: 3 }
+    ])
+  })
+
+  it('should compare dates and ObjectIds by value', () => {
+    const id = new Mongoose.Types.ObjectId()
+    const before = { owner: id, createdAt: new Date('2020-01-01T00:00:00Z') }
+    const after = { owner: new Mongoose.Types.ObjectId(id.toHexString()), createdAt: new Date('2020-01-01T00:00:00Z') }
+    expect(diffDocuments(before, after)).toEqual([])
+    expect(diffDocuments({ owner: id }, { owner: id.toHexString() })).toHaveLength(1)
+  })
+
+  it('should apply changes', () => {
+    const document = { name: 'a', address: { city: 'x', zip: '1' } }
+    const changes = [
+      { path: 'name', before: 'a', after: 'b' },
+      { path: 'address.zip', before: '1' },
+      { path: 'address.city', before: 'x' },
+      { path: 'address', after: 'unknown' }
+    ]
+    expect(applyChanges(document, changes)).toEqual({ name: 'b', address: 'unknown' })
+    expect(document).toEqual({ name: 'a', address: { city: 'x', zip: '1' } })
+  })
+
+  it('should replay history to a version', () => {
+    const entries = [
+      { operation: 'create', changes: [{ path: 'name', after: 'a' }, { path: 'age', after: 1 }] },
+      { operation: 'update', changes: [{ path: 'name', before: 'a', after: 'b' }] },
+      { operation: 'delete', changes: [], removed: true },
+      { operation: 'revert', changes: [{ path: 'name', after: 'b' }] }
+    ]
+    expect(replayHistory(entries, 1)).toEqual({ name: 'a', age: 1 })
+    expect(replayHistory(entries, 2)).toEqual({ name: 'b', age: 1 })
+    expect(replayHistory(entries, 3)).toBe(null)
+    expect(replayHistory(entries, 4)).toEqual({ name: 'b' })
+  })
+
+  it('should write to and read from collection', async () => {
+    const calls = []
+    const cursor = {
+      sort (sort) {
+        calls.push(['sort', sort])
+        return cursor
+      },
+      toArray: async () => [{ version: 1 }]
+    }
+    const collection = {
+      insertMany: async (entries, options) => calls.push(['insertMany', entries, options]),
+      find: (query, options) => {
+        calls.push(['find', query, options])
+        return cursor
+      }
+    }
+    const connection = { collection: (name) => (name === 'history' ? collection : null) }
+    const sink = createCollectionSink(connection, 'history')
+    const session = {}
+
+    await sink.write([{ operation: 'create' }], { session })
+    expect(await sink.find({ documentId: 1 })).toEqual([{ version: 1 }])
+    expect(calls).toEqual([
+      ['insertMany', [{ operation: 'create' }], { session }],
+      ['find', { documentId: 1 }, {}],
+      ['sort', { createdAt: 1, _id: 1 }]
+    ])
+  })
+
+  it('should normalize audit option', () => {
+    const actor = (context) => context.userId
+    expect(normalizeAudit(false)).toBe(null)
+    expect(normalizeAudit(true)).toEqual({ collection: 'auditlogs', sink: null, actor: null })
+    expect(normalizeAudit({ collection: 'history', actor })).toEqual({ collection: 'history', sink: null, actor })
+  })
+})
@@ -0,0 +1,52 @@
+const { UserInputError } = require('apollo-server-errors')
+const {
+  toItemError, fromWriteError, isBulkWriteError, toKeyString, toBulkResults
+} = require('../bulkWrite')
+
+describe('Bulk write', () => {
+  it('should convert Apollo error to item error', () => {
+    const err = new UserInputError('Invalid value.', { path: 'age' })
+    expect(toItemError(err)).toEqual({ code: 'BAD_USER_INPUT', message: 'Invalid value.', path: 'age' })
+    expect(toItemError(new Error('failed'))).toEqual({ code: 'INTERNAL_SERVER_ERROR', message: 'failed' })
+  })
+
+  it('should convert write error', () => {
+    const writeError = { err: { index: 1, code: 11000, errmsg: 'E11000 duplicate key', keyPattern: { email: 1 } } }
+    const err = fromWriteError(writeError)
+    expect(err.message).toBe('E11000 duplicate key')
+    expect(err.code).toBe(11000)
+    expect(err.keyPattern).toEqual({ email: 1 })
+    expect(isBulkWriteError(Object.assign(new Error('bulk'), { writeErrors: [writeError] }))).toBe(true)
+    expect(isBulkWriteError(new Error('other'))).toBe(false)
+  })
+
+  it('should read key values', () => {
+    const document = { sku: 'a-1', vendor: { code: 7 } }
+    expect(toKeyString(document, ['sku', 'vendor.code'])).toBe(toKeyString({ sku: 'a-1', vendor: { code: '7' } }, ['sku', 'vendor.code']))
+  })
+
+  it('should build unordered results', () => {
+    const invalid = { code: 'BAD_USER_INPUT', message: 'Invalid value.' }
+    const conflict = { code: 'CONFLICT', message: 'Duplicate value.' }
+    const prepared = [{ id: 1, op: {} }, { error: invalid }, { id: 3, op: {} }, { id: 4, op: {} }]
+    expect(toBulkResults(4, prepared, new Map([[1, conflict]]), false)).toEqual([
+      { ok: true, id: 1, error: null },
+      { ok: false, id: null, error: invalid },
+      { ok: false, id: 3, error: conflict },
+      { ok: true, id: 4, error: null }
+    ])
+  })
+
+  it('should skip items after first failure in ordered mode', () => {
+    const invalid = { code: 'BAD_USER_INPUT', message: 'Invalid value.' }
+    const results = toBulkResults(3, [{ id: 1, op: {} }, { error: invalid }], new Map(), true)
+    expect(results.map(({ ok }) => ok)).toEqual([true, false, false])
+    expect(results[1].error).toBe(invalid)
+    expect(results[2].error.code).toBe('SKIPPED')
+
+    const conflict = { code: 'CONFLICT', message: 'Duplicate value.' }
+    const written = toBulkResults(3, [{ id: 1, op: {} }, { id: 2, op: {} }, { id: 3, op: {} }], new Map([[0, conflict]]), true)
+    expect(written.map(({ error }) => error && error.code)).toEqual(['CONFLICT', 'SKIPPED', 'SKIPPED'])
+    expect(written[2].id).toBe(3)
+  })
+})
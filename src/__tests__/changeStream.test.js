@@ -0,0 +1,158 @@
+const { EventEmitter } = require('events')
+const {
+  toChangeStreamMatch, isSoftDeleteChange, toChangeStreamProjection, encodeResumeToken, decodeResumeToken, toChangeEvent, toChangeIterator
+} = require('../changeStream')
+
+/**
+ * Create a fake change stream, recording when it is closed.
+ * @returns {object} Change stream.
+ */
+function createStream () {
+  const stream = new EventEmitter()
+  stream.closed = false
+  stream.close = () => {
+    stream.closed = true
+  }
+  return stream
+}
+
+describe('Change stream', () => {
+  it('should match operations and documents', () => {
+    expect(toChangeStreamMatch({})).toEqual({ $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } })
+    expect(toChangeStreamMatch({ status: 'open', $or: [{ age: { $gt: 1 } }, { tenant: 'a' }] }, ['insert', 'update']))
+      .toEqual({
+        $match: {
+          operationType: { $in: ['insert', 'update'] },
+          'fullDocument.status': 'open',
+          $or: [{ 'fullDocument.age': { $gt: 1 } }, { 'fullDocument.tenant': 'a' }]
+        }
+      })
+    expect(() => toChangeStreamMatch({}, ['drop'])).toThrow("Unknown change operation 'drop'.")
+  })
+
+  it('should leave out delete events of filtered documents', () => {
+    expect(toChangeStreamMatch({ tenant: 'a' })).toEqual({
+      $match: { operationType: { $in: ['insert', 'update', 'replace'] }, 'fullDocument.tenant': 'a' }
+    })
+    expect(toChangeStreamMatch({}, ['delete'])).toEqual({ $match: { operationType: { $in: ['delete'] } } })
+    expect(() => toChangeStreamMatch({ tenant: 'a' }, ['update', 'delete'])).toThrow('Delete events can not be filtered')
+  })
+
+  it('should pass soft deletions as delete events', () => {
+    expect(toChangeStreamMatch({ tenant: 'a' }, null, 'deletedAt')).toEqual({
+      $match: {
+        $and: [
+          { 'fullDocument.tenant': 'a' },
+          {
+            $or: [
+              { operationType: { $in: ['insert', 'update', 'replace'] }, 'fullDocument.deletedAt': null },
+              { operationType: 'update', 'updateDescription.updatedFields.deletedAt': { $ne: null } }
+            ]
+          }
+        ]
+      }
+    })
+    expect(toChangeStreamMatch({}, ['insert', 'delete'], 'deletedAt')).toEqual({
+      $match: {
+        $or: [
+          { operationType: { $in: ['insert'] }, 'fullDocument.deletedAt': null },
+          { operationType: 'update', 'updateDescription.updatedFields.deletedAt': { $ne: null } },
+          { operationType: 'delete' }
+        ]
+      }
+    })
+    expect(toChangeStreamMatch({}, ['update'], 'deletedAt')).toEqual({
+      $match: { $or: [{ operationType: { $in: ['update'] }, 'fullDocument.deletedAt': null }] }
+    })
+
+    const deletion = {
+      _id: { _data: '825F' },
+      operationType: 'update',
+      documentKey: { _id: 1 },
+      fullDocument: { _id: 1, name: 'a', deletedAt: new Date() },
+      updateDescription: { updatedFields: { deletedAt: new Date() }, removedFields: [] }
+    }
+    const restore = { ...deletion, updateDescription: { updatedFields: { deletedAt: null }, removedFields: [] } }
+    expect(isSoftDeleteChange(deletion, 'deletedAt')).toBe(true)
+    expect(isSoftDeleteChange(restore, 'deletedAt')).toBe(false)
+    expect(isSoftDeleteChange({ operationType: 'delete' }, 'deletedAt')).toBe(false)
+    expect(toChangeEvent(deletion, null, 'deletedAt')).toEqual({
+      operationType: 'delete',
+      documentId: 1,
+      document: null,
+      updatedFields: null,
+      removedFields: null,
+      resumeToken: encodeResumeToken({ _data: '825F' })
+    })
+    expect(toChangeEvent(deletion).operationType).toBe('update')
+  })
+
+  it('should reject top level operators', () => {
+    expect(() => toChangeStreamMatch({ $expr: { $gt: ['$a', '$b'] } })).toThrow("Filter operator '$expr' is not supported by change streams.")
+    expect(() => toChangeStreamMatch({ $or: [{ $where: 'true' }] })).toThrow("Filter operator '$where' is not supported by change streams.")
+  })
+
+  it('should project readable fields', () => {
+    expect(toChangeStreamProjection(['name', 'address.city'])).toEqual({
+      $project: { operationType: 1, documentKey: 1, updateDescription: 1, 'fullDocument.name': 1, 'fullDocument.address.city': 1 }
+    })
+  })
+
+  it('should encode resume tokens', () => {
+    const token = { _data: '825F' }
+    expect(decodeResumeToken(encodeResumeToken(token))).toEqual(token)
+    expect(() => decodeResumeToken('invalid')).toThrow("Invalid resume token 'invalid'.")
+  })
+
+  it('should convert change event', () => {
+    const change = {
+      _id: { _data: '825F' },
+      operationType: 'update',
+      documentKey: { _id: 1 },
+      fullDocument: { _id: 1, name: 'a', secret: 'x' },
+      updateDescription: { updatedFields: { name: 'a', secret: 'x' }, removedFields: ['secret', 'age'] }
+    }
+    expect(toChangeEvent(change, ['name', 'age'])).toEqual({
+      operationType: 'update',
+      documentId: 1,
+      document: { _id: 1, name: 'a', secret: 'x' },
+      updatedFields: { name: 'a' },
+      removedFields: ['age'],
+      resumeToken: encodeResumeToken({ _data: '825F' })
+    })
+    expect(toChangeEvent({ _id: {}, operationType: 'delete', documentKey: { _id: 2 } })).toMatchObject({
+      documentId: 2, document: null, updatedFields: null, removedFields: null
+    })
+  })
+
+  it('should iterate queued and later changes', async () => {
+    const stream = createStream()
+    const iterator = toChangeIterator(stream, (change) => change.id)
+    stream.emit('change', { id: 1 })
+    expect(await iterator.next()).toEqual({ value: 1, done: false })
+    const next = iterator.next()
+    stream.emit('change', { id: 2 })
+    expect(await next).toEqual({ value: 2, done: false })
+    expect(iterator[Symbol.asyncIterator]()).toBe(iterator)
+  })
+
+  it('should close stream on return', async () => {
+    const stream = createStream()
+    const iterator = toChangeIterator(stream, (change) => change.id)
+    const next = iterator.next()
+    expect(await iterator.return()).toEqual({ value: undefined, done: true })
+    expect(await next).toEqual({ value: undefined, done: true })
+    expect(stream.closed).toBe(true)
+    stream.emit('change', { id: 1 })
+    expect(await iterator.next()).toEqual({ value: undefined, done: true })
+  })
+
+  it('should throw stream errors', async () => {
+    const stream = createStream()
+    const iterator = toChangeIterator(stream, (change) => change.id, (err) => new Error(`mapped ${err.message}`))
+    stream.emit('error', new Error('failed'))
+    await expect(iterator.next()).rejects.toThrow('mapped failed')
+    expect(await iterator.next()).toEqual({ value: undefined, done: true })
+    expect(stream.closed).toBe(true)
+  })
+})
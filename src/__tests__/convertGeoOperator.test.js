@@ -0,0 +1,31 @@
+const convertGeoOperator = require('../convertGeoOperator')
+const { toGeoWithinFilter } = require('../convertGeoOperator')
+
+describe('Geo operators', () => {
+  it('should convert near to $geoWithin for counts and aggregations', () => {
+    const near = convertGeoOperator('near', { coordinates: [10, 53.5], maxDistance: 6378.1 })
+    expect(toGeoWithinFilter({ location: near, name: 'a', $or: [{ home: near }] })).toEqual({
+      location: { $geoWithin: { $centerSphere: [[10, 53.5], 0.001] } },
+      name: 'a',
+      $or: [{ home: { $geoWithin: { $centerSphere: [[10, 53.5], 0.001] } } }]
+    })
+  })
+
+  it('should match the whole sphere without maximum distance', () => {
+    const near = convertGeoOperator('near', { coordinates: [10, 53.5] })
+    expect(toGeoWithinFilter({ location: near })).toEqual({
+      location: { $geoWithin: { $centerSphere: [[10, 53.5], Math.PI] } }
+    })
+  })
+
+  it('should reject near with minimum distance', () => {
+    const near = convertGeoOperator('near', { coordinates: [10, 53.5], minDistance: 10 })
+    expect(() => toGeoWithinFilter({ location: near }))
+      .toThrow('Operator \'near\' with minDistance is not supported in counts and aggregations.')
+  })
+
+  it('should keep filters without near', () => {
+    const filter = { age: { $gt: 1 }, location: { $geoWithin: { $box: [[0, 0], [1, 1]] } } }
+    expect(toGeoWithinFilter(filter)).toEqual(filter)
+  })
+})
@@ -0,0 +1,74 @@
+const Mongoose = require('mongoose')
+const { normalizeSort, encodeCursor, decodeCursor, toCursorFilter } = require('../cursor')
+
+const { ObjectId } = Mongoose.Types
+
+describe('Cursor pagination', () => {
+  const id = new ObjectId('5e8f1c1b2f1b2c3d4e5f6a7b')
+  const born = new Date('2020-04-01T10:00:00.000Z')
+
+  it('should normalize sort object and append id as tiebreaker', () => {
+    const result = normalizeSort({ lastname: 1, born: 'desc' })
+    expect(result).toEqual([['lastname', 1], ['born', -1], ['_id', 1]])
+  })
+
+  it('should normalize sort string', () => {
+    const result = normalizeSort('lastname -born')
+    expect(result).toEqual([['lastname', 1], ['born', -1], ['_id', 1]])
+  })
+
+  it('should not append id when already sorted by id', () => {
+    const result = normalizeSort({ _id: -1 })
+    expect(result).toEqual([['_id', -1]])
+  })
+
+  it('should encode and decode cursor with typed values', () => {
+    const sortKeys = normalizeSort({ born: -1, 'address.city': 1 })
+    const cursor = encodeCursor({ _id: id, born, address: { city: 'Hamburg' } }, sortKeys)
+    expect(typeof cursor).toEqual('string')
+    const values = decodeCursor(cursor, sortKeys)
+    expect(values[0]).toEqual(born)
+    expect(values[1]).toEqual('Hamburg')
+    expect(values[2]).toBeInstanceOf(ObjectId)
+    expect(String(values[2])).toEqual(String(id))
+  })
+
+  it('should reject invalid cursor', () => {
+    const sortKeys = normalizeSort({ born: -1 })
+    expect(() => decodeCursor('not a cursor', sortKeys)).toThrow('Invalid cursor')
+    const cursor = encodeCursor({ _id: id }, normalizeSort({}))
+    expect(() => decodeCursor(cursor, sortKeys)).toThrow('Invalid cursor')
+  })
+
+  it('should build filter for documents after cursor', () => {
+    const sortKeys = normalizeSort({ lastname: 1, born: -1 })
+    const cursor = encodeCursor({ _id: id, lastname: 'trump', born }, sortKeys)
+    const result = toCursorFilter(cursor, sortKeys)
+    expect(result).toEqual({
+      $or: [
+        { $and: [{}, { lastname: { $gt: 'trump' } }] },
+        { $and: [{ lastname: 'trump' }, { $or: [{ born: { $lt: born } }, { born: null }] }] },
+        { $and: [{ lastname: 'trump', born }, { _id: { $gt: id } }] }
+      ]
+    })
+  })
+
+  it('should build filter for documents before cursor', () => {
+    const sortKeys = normalizeSort({ lastname: 1 })
+    const cursor = encodeCursor({ _id: id, lastname: 'trump' }, sortKeys)
+    const result = toCursorFilter(cursor, sortKeys, true)
+    expect(result).toEqual({
+      $or: [
+        { $and: [{}, { $or: [{ lastname: { $lt: 'trump' } }, { lastname: null }] }] },
+        { $and: [{ lastname: 'trump' }, { $or: [{ _id: { $lt: id } }, { _id: null }] }] }
+      ]
+    })
+  })
+
+  it('should match all non null values after a null value', () => {
+    const sortKeys = normalizeSort({ lastname: 1 })
+    const cursor = encodeCursor({ _id: id }, sortKeys)
+    const result = toCursorFilter(cursor, sortKeys)
+    expect(result.$or[0]).toEqual({ $and: [{}, { lastname: { $ne: null } }] })
+  })
+})
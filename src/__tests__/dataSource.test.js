@@ -0,0 +1,548 @@
+const { EventEmitter } = require('events')
+const Mongoose = require('mongoose')
+const { InMemoryLRUCache } = require('apollo-server-caching')
+const MongooseDataSource = require('../../index')
+
+/**
+ * Stub all queries, so they resolve with the result of their operation instead of reading the database.
+ * @param {object} results Result per query operation, like find or findOne. A function receives the query.
+ * @returns {object} Jest mock of Query.prototype.exec, its instances are the executed queries.
+ */
+function stubQueries (results = {}) {
+  return jest.spyOn(Mongoose.Query.prototype, 'exec').mockImplementation(function () {
+    const result = results[this.op]
+    return Promise.resolve(typeof result === 'function' ? result(this) : result)
+  })
+}
+
+/**
+ * Create a data source of a new request.
+ * @param {object} Model Mongoose model.
+ * @param {object} [options] Data source options (optional).
+ * @param {object} [config] Data source config with **context** and **cache** (optional).
+ * @returns {MongooseDataSource}
+ */
+function createDataSource (Model, options = {}, config = {}) {
+  const dataSource = new MongooseDataSource(Model, options)
+  dataSource.initialize({ context: {}, ...config })
+  return dataSource
+}
+
+describe('Mongoose data source', () => {
+  const Item = Mongoose.model('DataSourceItem', new Mongoose.Schema({ name: String }))
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('Document loader', () => {
+    it('should batch id requested in the same tick', async () => {
+      const [a, b] = [new Item({ name: 'a' }), new Item({ name: 'b' })]
+      const exec = stubQueries({ find: [b, a] })
+      const dataSource = createDataSource(Item)
+
+      const documents = await Promise.all([
+        dataSource.getById(String(a._id)),
+        dataSource.getById(String(b._id)),
+        dataSource.getById(String(a._id)),
+        dataSource.getById('invalid')
+      ])
+      expect(documents).toEqual([a, b, a, null])
+      expect(exec).toHaveBeenCalledTimes(1)
+      expect(exec.mock.instances[0].getFilter()).toEqual({ _id: { $in: [String(a._id), String(b._id)] } })
+    })
+
+    it('should return null for missing and invalid id', async () => {
+      const a = new Item({ name: 'a' })
+      stubQueries({ find: [a] })
+      const dataSource = createDataSource(Item)
+
+      const documents = await dataSource.getByIds([String(new Mongoose.Types.ObjectId()), 'invalid', String(a._id)])
+      expect(documents).toEqual([null, null, a])
+    })
+
+    it('should prime written documents', async () => {
+      const exec = stubQueries()
+      jest.spyOn(Item.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this)
+      })
+      const dataSource = createDataSource(Item)
+
+      const added = await dataSource.add({ name: 'a' })
+      expect(await dataSource.getById(String(added._id))).toBe(added)
+      expect(exec).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Document cache', () => {
+    it('should read cached documents in later requests until a write', async () => {
+      const a = new Item({ name: 'a' })
+      const exec = stubQueries({ find: [a], findOneAndUpdate: a })
+      const cache = new InMemoryLRUCache()
+      const id = String(a._id)
+
+      expect((await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)).name).toBe('a')
+      expect((await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)).name).toBe('a')
+      expect(exec).toHaveBeenCalledTimes(1)
+
+      await createDataSource(Item, { ttl: 60 }, { cache }).findOneAndUpdate(id, { name: 'b' })
+      await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)
+      expect(exec).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not cache without key value cache', async () => {
+      const a = new Item({ name: 'a' })
+      const exec = stubQueries({ find: [a] })
+
+      await createDataSource(Item, { ttl: 60 }).getById(String(a._id))
+      await createDataSource(Item, { ttl: 60 }).getById(String(a._id))
+      expect(exec).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('Policy', () => {
+    const Secret = Mongoose.model('DataSourceSecret', new Mongoose.Schema({ name: String, owner: String, secret: String }))
+    const policy = (context, operation) => (operation === 'delete'
+      ? false
+      : { filter: { owner: context.user }, readFields: ['name', 'owner'], writeFields: ['name'] })
+
+    it('should restrict reads with filter and readable fields of the policy', async () => {
+      const exec = stubQueries({ find: [], findOne: null })
+      const dataSource = createDataSource(Secret, { policy }, { context: { user: 'u1' } })
+
+      const id = String(new Mongoose.Types.ObjectId())
+      await dataSource.getById(id)
+      await dataSource.findOne({ filter: { name: 'a' } })
+      const [byId, findOne] = exec.mock.instances
+      expect(byId.getFilter()).toEqual({ $and: [{ _id: { $in: [id] } }, { owner: 'u1' }] })
+      expect(findOne.getFilter()).toEqual({ $and: [{ name: 'a' }, { owner: 'u1' }] })
+      expect(findOne._fields).toEqual({ name: 1, owner: 1 })
+    })
+
+    it('should reject denied operations and fields which are not writable', async () => {
+      const exec = stubQueries()
+      const dataSource = createDataSource(Secret, { policy }, { context: { user: 'u1' } })
+      const id = String(new Mongoose.Types.ObjectId())
+
+      await expect(dataSource.update(id, { secret: 't' })).rejects.toThrow("Fields not writable: 'secret'.")
+      await expect(dataSource.delete(id)).rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } })
+      expect(exec).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Tenant', () => {
+    const Tenanted = Mongoose.model('DataSourceTenanted', new Mongoose.Schema({ name: String, tenantId: String }))
+    const tenant = { resolve: (context) => context.tenantId, field: 'tenantId' }
+
+    it('should stamp created documents and restrict queries to the tenant', async () => {
+      const exec = stubQueries({ find: [], countDocuments: 0 })
+      jest.spyOn(Tenanted.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this)
+      })
+      const dataSource = createDataSource(Tenanted, { tenant }, { context: { tenantId: 't1' } })
+
+      expect((await dataSource.add({ name: 'a' })).tenantId).toBe('t1')
+      await dataSource.list()
+      expect(exec.mock.instances.map((query) => query.op)).toEqual(['countDocuments', 'find'])
+      exec.mock.instances.forEach((query) => expect(query.getFilter()).toEqual({ tenantId: 't1' }))
+      await expect(dataSource.add({ name: 'b', tenantId: 't2' })).rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } })
+    })
+
+    it('should reject requests of unknown tenants', async () => {
+      const exec = stubQueries()
+      const dataSource = createDataSource(Tenanted, { tenant })
+
+      await expect(dataSource.find({})).rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } })
+      expect(exec).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Soft delete', () => {
+    const Deletable = Mongoose.model('DataSourceDeletable', new Mongoose.Schema({ name: String, deletedAt: Date }))
+
+    it('should exclude deleted documents from reads unless asked for', async () => {
+      const exec = stubQueries({ find: [] })
+      const dataSource = createDataSource(Deletable, { softDelete: true })
+
+      await dataSource.find({ name: 'a' })
+      await dataSource.find({ name: 'a' }, {}, null, { withDeleted: true })
+      expect(exec.mock.instances.map((query) => query.getFilter())).toEqual([
+        { $and: [{ name: 'a' }, { deletedAt: null }] },
+        { name: 'a' }
+      ])
+    })
+
+    it('should mark deleted documents instead of removing them', async () => {
+      const document = new Deletable({ name: 'a' })
+      const exec = stubQueries({ findOne: document })
+      const save = jest.spyOn(Deletable.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this)
+      })
+      const deleteOne = jest.spyOn(Deletable.prototype, 'deleteOne')
+
+      await createDataSource(Deletable, { softDelete: true }).delete(String(document._id))
+      expect(exec.mock.instances[0].getFilter()).toEqual({ $and: [{ _id: String(document._id) }, { deletedAt: null }] })
+      expect(save).toHaveBeenCalledTimes(1)
+      expect(document.deletedAt).toBeInstanceOf(Date)
+      expect(deleteOne).not.toHaveBeenCalled()
+    })
+
+    it('should watch deletions of documents as delete events', async () => {
+      const stream = Object.assign(new EventEmitter(), { close: jest.fn() })
+      const watch = jest.spyOn(Deletable, 'watch').mockReturnValue(stream)
+      const dataSource = createDataSource(Deletable, { softDelete: true })
+
+      const iterator = await dataSource.watch({ filter: { name: 'a' } })
+      expect(watch.mock.calls[0][0]).toEqual([{
+        $match: {
+          $and: [
+            { 'fullDocument.name': 'a' },
+            {
+              $or: [
+                { operationType: { $in: ['insert', 'update', 'replace'] }, 'fullDocument.deletedAt': null },
+                { operationType: 'update', 'updateDescription.updatedFields.deletedAt': { $ne: null } }
+              ]
+            }
+          ]
+        }
+      }])
+
+      stream.emit('change', {
+        _id: { _data: '825F' },
+        operationType: 'update',
+        documentKey: { _id: 1 },
+        fullDocument: { _id: 1, name: 'a', deletedAt: new Date() },
+        updateDescription: { updatedFields: { deletedAt: new Date() }, removedFields: [] }
+      })
+      expect((await iterator.next()).value).toMatchObject({ operationType: 'delete', documentId: 1, document: null })
+      await iterator.return()
+      expect(stream.close).toHaveBeenCalled()
+    })
+  })
+
+  describe('Audit', () => {
+    const Audited = Mongoose.model('DataSourceAudited', new Mongoose.Schema({ name: String, owner: String }))
+
+    /**
+     * Create an audit sink keeping entries in memory.
+     * @returns {object} Sink with **entries**.
+     */
+    function createSink () {
+      const sink = {
+        entries: [],
+        write: jest.fn(async (entries) => sink.entries.push(...entries)),
+        find: jest.fn(async () => sink.entries)
+      }
+      return sink
+    }
+
+    it('should record changes of writes with the actor', async () => {
+      const document = new Audited({ name: 'a' })
+      const before = document.toObject()
+      stubQueries({
+        findOne: document,
+        find: jest.fn().mockReturnValueOnce([before]).mockReturnValueOnce([{ ...before, name: 'b' }])
+      })
+      jest.spyOn(Audited.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this)
+      })
+      const sink = createSink()
+      const dataSource = createDataSource(Audited, { audit: { sink, actor: (context) => context.user } }, { context: { user: 'u1' } })
+
+      await dataSource.update(String(document._id), { name: 'b' })
+      expect(sink.entries).toMatchObject([{
+        modelName: 'DataSourceAudited',
+        documentId: document._id,
+        operation: 'update',
+        actor: 'u1',
+        changes: [{ path: 'name', before: 'a', after: 'b' }],
+        removed: false
+      }])
+
+      const history = await dataSource.history(String(document._id))
+      expect(history).toMatchObject([{ version: 1, operation: 'update' }])
+      expect(sink.find.mock.calls[0][0]).toEqual({ modelName: 'DataSourceAudited', documentId: document._id })
+    })
+
+    it('should read history only of documents in the policy scope', async () => {
+      const other = new Audited({ name: 'a', owner: 'u2' })
+      let stored = other
+      stubQueries({ findOne: (query) => (query.getFilter().$and ? null : stored) })
+      const sink = createSink()
+      sink.entries.push({ operation: 'create', changes: [{ path: 'name', before: undefined, after: 'a' }] })
+      const policy = (context) => ({ filter: { owner: context.user } })
+      const dataSource = createDataSource(Audited, { audit: { sink }, policy }, { context: { user: 'u1' } })
+
+      expect(await dataSource.history(String(other._id))).toEqual([])
+      expect(sink.find).not.toHaveBeenCalled()
+
+      // The history of permanently removed documents can not be scoped.
+      stored = null
+      expect(await dataSource.history(String(other._id))).toMatchObject([{ version: 1, operation: 'create' }])
+    })
+
+    it('should reject history without audit', async () => {
+      await expect(createDataSource(Audited).history(String(new Mongoose.Types.ObjectId())))
+        .rejects.toThrow("Audit is not enabled for Mongoose model 'DataSourceAudited'.")
+    })
+  })
+
+  describe('Bulk writes', () => {
+    const Product = Mongoose.model('DataSourceProduct', new Mongoose.Schema({
+      sku: { type: String, unique: true },
+      name: { type: String, required: true },
+      stock: { type: Number, min: 0 }
+    }))
+
+    it('should write valid items with one bulk write and report invalid ones', async () => {
+      const bulkWrite = jest.spyOn(Product, 'bulkWrite').mockResolvedValue({ upsertedIds: {} })
+      const dataSource = createDataSource(Product)
+
+      const results = await dataSource.bulkAdd([{ sku: 'a', name: 'a' }, { sku: 'b' }, { sku: 'c', name: 'c' }], { ordered: false })
+      expect(results.map(({ ok, error }) => [ok, error ? error.code : null])).toEqual([[true, null], [false, 'BAD_USER_INPUT'], [true, null]])
+      expect(bulkWrite).toHaveBeenCalledTimes(1)
+      const [operations, options] = bulkWrite.mock.calls[0]
+      expect(operations.map(({ insertOne }) => insertOne.document.sku)).toEqual(['a', 'c'])
+      expect(options).toEqual({ ordered: false, session: null })
+    })
+
+    it('should report unknown documents of updates and skip items after a failure in ordered mode', async () => {
+      const product = new Product({ sku: 'a', name: 'a' })
+      stubQueries({ find: [{ _id: product._id }] })
+      const bulkWrite = jest.spyOn(Product, 'bulkWrite').mockResolvedValue({ upsertedIds: {} })
+      const dataSource = createDataSource(Product)
+
+      const results = await dataSource.bulkUpdate([
+        { id: String(product._id), update: { name: 'b' } },
+        { id: String(new Mongoose.Types.ObjectId()), update: { name: 'c' } },
+        { id: String(product._id), update: { stock: 1 } }
+      ])
+      expect(results.map(({ ok, error }) => [ok, error ? error.code : null])).toEqual([[true, null], [false, 'NOT_FOUND'], [false, 'SKIPPED']])
+      expect(bulkWrite.mock.calls[0][0]).toEqual([{ updateOne: { filter: { _id: product._id }, update: { $set: { name: 'b' } } } }])
+    })
+
+    it('should report updates without changes', async () => {
+      const product = new Product({ sku: 'a', name: 'a' })
+      stubQueries({ find: [{ _id: product._id }] })
+      const bulkWrite = jest.spyOn(Product, 'bulkWrite').mockResolvedValue({ upsertedIds: {} })
+      const id = String(product._id)
+
+      const results = await createDataSource(Product).bulkUpdate([
+        { id, update: {} },
+        { id, update: { name: undefined } },
+        { id, update: { name: '' } },
+        { id, update: { name: 'b' } }
+      ], { ordered: false, emptyString: 'ignore' })
+      expect(results.map(({ ok, error }) => [ok, error ? error.code : null])).toEqual([
+        [false, 'BAD_USER_INPUT'], [false, 'BAD_USER_INPUT'], [false, 'BAD_USER_INPUT'], [true, null]
+      ])
+      expect(bulkWrite.mock.calls[0][0]).toHaveLength(1)
+    })
+
+    it('should report upserted documents with their new id', async () => {
+      const id = new Mongoose.Types.ObjectId()
+      stubQueries({ find: [] })
+      jest.spyOn(Product, 'bulkWrite').mockResolvedValue({ upsertedIds: { 0: id } })
+
+      const results = await createDataSource(Product).bulkUpsert([{ sku: 'a', name: 'a' }], { key: 'sku' })
+      expect(results).toEqual([{ ok: true, id, upserted: true, error: null }])
+    })
+
+    it('should validate inserted upserts as whole documents and updated ones by their changes', async () => {
+      const exec = stubQueries({ find: [{ _id: new Mongoose.Types.ObjectId(), sku: 'a' }] })
+      const bulkWrite = jest.spyOn(Product, 'bulkWrite').mockResolvedValue({ upsertedIds: {} })
+
+      const results = await createDataSource(Product).bulkUpsert([
+        { sku: 'a', stock: 1, vendor: null },
+        { sku: 'b', stock: 2 },
+        { sku: 'c', name: 'c', stock: -1 },
+        { sku: 'd' }
+      ], { key: 'sku', ordered: false })
+      expect(exec.mock.instances[0].getFilter()).toEqual({ $or: [{ sku: 'a' }, { sku: 'b' }, { sku: 'c' }, { sku: 'd' }] })
+      expect(results.map(({ ok, error }) => [ok, error ? error.code : null])).toEqual([
+        [true, null], [false, 'BAD_USER_INPUT'], [false, 'BAD_USER_INPUT'], [false, 'BAD_USER_INPUT']
+      ])
+      expect(bulkWrite.mock.calls[0][0]).toEqual([{
+        updateOne: { filter: { sku: 'a' }, update: { $set: { sku: 'a', stock: 1 }, $unset: { vendor: '' } }, upsert: true, setDefaultsOnInsert: true }
+      }])
+    })
+  })
+
+  describe('Query guards', () => {
+    it('should reject pages of zero documents', async () => {
+      const exec = stubQueries()
+      const dataSource = createDataSource(Item)
+
+      await expect(dataSource.list({ limit: 0 })).rejects.toThrow('Limit 0 has to be a positive integer.')
+      await expect(dataSource.listConnection({ first: 0 })).rejects.toThrow('Limit 0 has to be a positive integer.')
+      expect(exec).not.toHaveBeenCalled()
+    })
+
+    it('should read at most the maximum limit without pages', async () => {
+      const exec = stubQueries({ find: [] })
+      const dataSource = createDataSource(Item, { maxLimit: 50 })
+
+      await dataSource.find({ name: 'a' })
+      await dataSource.all({ filter: { name: 'a' } })
+      expect(exec.mock.instances.map((query) => query.getOptions().limit)).toEqual([50, 50])
+      await createDataSource(Item).all()
+      expect(exec.mock.instances[2].getOptions().limit).toBe(undefined)
+    })
+
+    it('should map errors of the query preparation', async () => {
+      const exec = stubQueries()
+      const mapped = new Error('mapped')
+      const errorMappers = [(err) => (err.message === 'Limit 0 has to be a positive integer.' ? mapped : undefined)]
+      const dataSource = createDataSource(Item, { errorMappers, searchFields: ['name'] })
+
+      await expect(dataSource.list({ limit: 0 })).rejects.toBe(mapped)
+      await expect(dataSource.listAggregation({ limit: 0 })).rejects.toBe(mapped)
+      await expect(dataSource.search({ query: 'a', limit: 0 })).rejects.toBe(mapped)
+      await expect(createDataSource(Item, { policy: () => { throw new Error('denied') } }).all())
+        .rejects.toMatchObject({ message: 'denied', extensions: { code: 'DATABASE_ERROR' } })
+      expect(exec).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Transactions', () => {
+    /**
+     * Stub the sessions of the model connection with a fake session, failing the commits with the errors.
+     * @param {object} Model Mongoose model.
+     * @param {array} [commitErrors] Errors thrown by the next commits (optional).
+     * @returns {object} Session.
+     */
+    function stubSession (Model, commitErrors = []) {
+      const session = {
+        active: false,
+        startTransaction () { session.active = true },
+        inTransaction () { return session.active },
+        async commitTransaction () {
+          const err = commitErrors.shift()
+          if (err) {
+            throw err
+          }
+          session.active = false
+        },
+        async abortTransaction () { session.active = false },
+        endSession: jest.fn()
+      }
+      jest.spyOn(Model.db, 'startSession').mockResolvedValue(session)
+      return session
+    }
+
+    it('should clear documents of all joined data sources on abort', async () => {
+      stubSession(Item)
+      jest.spyOn(Item.prototype, 'save').mockImplementation(function () { return Promise.resolve(this) })
+      const context = {}
+      const dataSource = createDataSource(Item, {}, { context })
+      const other = createDataSource(Item, {}, { context })
+
+      let added
+      await expect(dataSource.withTransaction(async (session) => {
+        expect(other.getSession()).toBe(session)
+        added = await other.add({ name: 'a' })
+        throw new Error('failed')
+      })).rejects.toThrow('failed')
+      expect(other.getSession()).toBe(null)
+
+      const exec = stubQueries({ find: [] })
+      expect(await other.getById(String(added._id))).toBe(null)
+      expect(exec).toHaveBeenCalledTimes(1)
+    })
+
+    it('should invalidate document caches after the commit', async () => {
+      const session = stubSession(Item)
+      const a = new Item({ name: 'a' })
+      const id = String(a._id)
+      const exec = stubQueries({ find: [a], findOneAndUpdate: a })
+      const cache = new InMemoryLRUCache()
+      const context = {}
+      const dataSource = createDataSource(Item, {}, { context })
+      const other = createDataSource(Item, { ttl: 60 }, { context, cache })
+
+      await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)
+      await dataSource.withTransaction(async () => {
+        await other.findOneAndUpdate(id, { name: 'b' })
+        // a parallel request still reads the committed state from the cache
+        await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)
+        expect(exec).toHaveBeenCalledTimes(2)
+      })
+      expect(session.endSession).toHaveBeenCalled()
+
+      await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)
+      expect(exec).toHaveBeenCalledTimes(3)
+    })
+
+    it('should keep document caches of failed transactions', async () => {
+      stubSession(Item, [new Error('commit failed')])
+      const a = new Item({ name: 'a' })
+      const id = String(a._id)
+      const exec = stubQueries({ find: [a], findOneAndUpdate: a })
+      const cache = new InMemoryLRUCache()
+      const dataSource = createDataSource(Item, { ttl: 60 }, { cache })
+
+      await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)
+      await expect(dataSource.withTransaction(() => dataSource.findOneAndUpdate(id, { name: 'b' })))
+        .rejects.toThrow('commit failed')
+      await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)
+      expect(exec).toHaveBeenCalledTimes(2)
+    })
+
+    it('should report the calls within a transaction instead of the transaction', async () => {
+      stubSession(Item)
+      stubQueries({ find: [] })
+      const instrumentation = jest.fn()
+      const dataSource = createDataSource(Item, { instrumentation })
+
+      await dataSource.withTransaction(() => dataSource.find({ name: 'a' }))
+      expect(instrumentation).toHaveBeenCalledTimes(1)
+      expect(instrumentation.mock.calls[0][0]).toMatchObject({ method: 'find', filter: { name: 'a' }, count: 0 })
+    })
+  })
+
+  describe('Search', () => {
+    it('should exclude negated terms without text index and leave them out of highlights', async () => {
+      const a = new Item({ name: 'Mongo without sql' })
+      const exec = stubQueries({ countDocuments: 1, find: [a] })
+      const dataSource = createDataSource(Item, { searchFields: ['name'] })
+
+      const result = await dataSource.search({ query: 'mongo -sql', highlight: true })
+      const condition = (term) => ({ name: { $regex: term, $options: 'i' } })
+      expect(exec.mock.instances[1].getFilter().$and[0]).toEqual({
+        $and: [{ $or: [condition('mongo')] }],
+        $nor: [condition('sql')]
+      })
+      expect(result.node[0].highlights).toEqual([
+        { path: 'name', value: 'Mongo without sql', matches: [{ start: 0, end: 5 }] }
+      ])
+      expect(result.node[0].score).toBe(1)
+    })
+
+    it('should sort text search results by relevance and id', async () => {
+      const Article = Mongoose.model('DataSourceArticle', new Mongoose.Schema({ title: { type: String, text: true } }))
+      const exec = stubQueries({ countDocuments: 0, find: [] })
+      const dataSource = createDataSource(Article)
+
+      await dataSource.search({ query: 'mongo' })
+      expect(exec.mock.instances[1].getOptions().sort).toEqual({ score: { $meta: 'textScore' }, _id: 1 })
+      await dataSource.search({ query: 'mongo', sort: [{ field: 'title', direction: 'DESC' }] })
+      expect(Object.entries(exec.mock.instances[3].getOptions().sort))
+        .toEqual([['score', { $meta: 'textScore' }], ['title', -1], ['_id', 1]])
+    })
+  })
+
+  describe('Updates', () => {
+    const Stock = Mongoose.model('DataSourceStock', new Mongoose.Schema({ name: String, scores: [Number] }))
+
+    it('should write pulls by condition atomically', async () => {
+      const a = new Stock({ name: 'a', scores: [2, 8] })
+      const exec = stubQueries({ findOneAndUpdate: a })
+      const dataSource = createDataSource(Stock)
+
+      expect(await dataSource.update(String(a._id), { $pull: { scores: { $lt: 5 } } })).toBe(a)
+      expect(exec).toHaveBeenCalledTimes(1)
+      expect(exec.mock.instances[0].op).toBe('findOneAndUpdate')
+      expect(exec.mock.instances[0].getUpdate()).toMatchObject({ $pull: { scores: { $lt: 5 } } })
+    })
+  })
+})
@@ -0,0 +1,78 @@
+const Mongoose = require('mongoose')
+const { GraphQLInputObjectType, GraphQLEnumType } = require('graphql')
+const { generateBaseTypeDefs, generateTypeDefs, generateGraphQLTypes } = require('../generateTypeDefs')
+
+describe('Generate GraphQL type definitions from Mongoose schema', () => {
+  const Model = Mongoose.model('TypeDefsUser', new Mongoose.Schema({
+    firstname: String,
+    born: Date,
+    active: Boolean,
+    address: {
+      city: String,
+      location: { type: { type: String }, coordinates: [Number] }
+    },
+    orders: [{ total: Number }],
+    profile: new Mongoose.Schema({ height: Number }),
+    tags: [String],
+    friend: Mongoose.Schema.Types.ObjectId,
+    settings: Mongoose.Schema.Types.Mixed
+  }))
+
+  it('should generate filter input with filter type per path type', () => {
+    const typeDefs = generateTypeDefs(Model, { typeName: 'User' })
+    expect(typeDefs).toContain([
+      'input UserFilter {',
+      '  firstname: StringFilter',
+      '  born: DateFilter',
+      '  active: BooleanFilter',
+      '  address: UserAddressFilter',
+      '  orders: UserOrdersListFilter',
+      '  profile: UserProfileFilter',
+      '  tags: StringListFilter',
+      '  friend: IDFilter',
+      '  _id: IDFilter',
+      '  and: [UserFilter!]',
+      '  or: [UserFilter!]',
+      '  nor: [UserFilter!]',
+      '}'
+    ].join('\n'))
+  })
+
+  it('should generate nested filter inputs', () => {
+    const typeDefs = generateTypeDefs(Model, { typeName: 'User' })
+    expect(typeDefs).toContain('input UserAddressFilter {\n  city: StringFilter\n  location: GeoFilter\n}')
+    expect(typeDefs).toContain('input UserOrdersListFilter {\n  elemMatch: UserOrdersFilter\n  size: Int\n  exists: Boolean\n}')
+  })
+
+  it('should generate sort input with nested sort fields', () => {
+    const typeDefs = generateTypeDefs(Model, { typeName: 'User' })
+    expect(typeDefs).toContain('enum UserSortField {\n  firstname\n  born\n  active\n  address__city\n  profile__height\n  profile___id\n  friend\n  _id\n}')
+    expect(typeDefs).toContain('input UserSort {\n  field: UserSortField!\n  direction: SortDirection = ASC\n  nulls: SortNulls\n}')
+  })
+
+  it('should generate page and connection types', () => {
+    const typeDefs = generateTypeDefs('TypeDefsUser')
+    expect(typeDefs).toContain('type TypeDefsUserPage {')
+    expect(typeDefs).toContain('  node: [TypeDefsUser!]!')
+    expect(typeDefs).toContain('type TypeDefsUserConnection {\n  edges: [TypeDefsUserEdge!]!\n  pageInfo: PageInfo!\n}')
+    expect(generateTypeDefs(Model, { pagination: false })).not.toContain('TypeDefsUserPage')
+  })
+
+  it('should generate base types only with valid operators', () => {
+    const typeDefs = generateBaseTypeDefs({ dateScalar: 'DateTime' })
+    expect(typeDefs).toContain('  between: [DateTime!]')
+    expect(typeDefs).toContain('input BooleanFilter {\n  eq: Boolean\n  ne: Boolean\n  in: [Boolean!]\n  nin: [Boolean!]\n  exists: Boolean\n  not: BooleanFilter\n}')
+  })
+
+  it('should generate GraphQL input types', () => {
+    const types = generateGraphQLTypes(Model, { typeName: 'User', dateScalar: 'DateTime' })
+    expect(types.filter).toBeInstanceOf(GraphQLInputObjectType)
+    expect(types.sort).toBeInstanceOf(GraphQLInputObjectType)
+    expect(types.sortField).toBeInstanceOf(GraphQLEnumType)
+    expect(Object.keys(types.filter.getFields())).toContain('address')
+  })
+
+  it('should reject unknown models', () => {
+    expect(() => generateTypeDefs('UnknownModel')).toThrow('Unknown Mongoose model \'UnknownModel\'.')
+  })
+})
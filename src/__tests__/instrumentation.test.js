@@ -0,0 +1,87 @@
+const {
+  INSTRUMENTATION_CONTEXT_KEY, runInstrumented, getInstrumentedCall, countResult, toInstrumentationEvent, emitEvent,
+  toDatabaseSummary, createInstrumentationPlugin
+} = require('../instrumentation')
+
+describe('Instrumentation', () => {
+  it('should count documents of results', () => {
+    expect(countResult(null)).toBe(0)
+    expect(countResult([{ _id: 1 }, null, { _id: 2 }])).toBe(2)
+    expect(countResult({ totalCount: 10, node: [{ _id: 1 }] })).toBe(1)
+    expect(countResult({ edges: [], pageInfo: {} })).toBe(0)
+    expect(countResult({ n: 3, nModified: 2, ok: 1 })).toBe(2)
+    expect(countResult({ n: 3, deletedCount: 3, ok: 1 })).toBe(3)
+    expect(countResult({ _id: 1, name: 'a' })).toBe(1)
+    expect(countResult({ [Symbol.asyncIterator]: () => {} })).toBe(null)
+  })
+
+  it('should build event', () => {
+    const error = new Error('failed')
+    expect(toInstrumentationEvent({
+      modelName: 'User', method: 'find', filter: { name: 'a' }, durationMs: 2, result: [{ _id: 1 }]
+    })).toEqual({ modelName: 'User', method: 'find', filter: { name: 'a' }, durationMs: 2, count: 1, error: null })
+    expect(toInstrumentationEvent({ modelName: 'User', method: 'find', durationMs: 2, error }))
+      .toEqual({ modelName: 'User', method: 'find', filter: null, durationMs: 2, count: null, error })
+  })
+
+  it('should keep call state across awaits', async () => {
+    expect(getInstrumentedCall()).toBe(null)
+    const state = { filter: null }
+    await runInstrumented(state, async () => {
+      await Promise.resolve()
+      getInstrumentedCall().filter = { name: 'a' }
+    })
+    expect(state.filter).toEqual({ name: 'a' })
+    expect(getInstrumentedCall()).toBe(null)
+  })
+
+  it('should ignore failing sinks', async () => {
+    const events = []
+    emitEvent((event) => events.push(event), { method: 'find' })
+    expect(events).toEqual([{ method: 'find' }])
+    expect(() => emitEvent(() => { throw new Error('failed') }, {})).not.toThrow()
+    expect(() => emitEvent(() => Promise.reject(new Error('failed')), {})).not.toThrow()
+    await Promise.resolve()
+  })
+
+  it('should summarize calls with slow queries', async () => {
+    const calls = [
+      { event: { method: 'find', filter: { name: 'a' }, durationMs: 5, count: 1, error: null } },
+      { event: { method: 'list', filter: { age: 1 }, durationMs: 150, count: 0, error: null }, explain: async () => ({ plan: 1 }) },
+      { event: { method: 'add', filter: { _id: 1 }, durationMs: 200, count: null, error: new Error('failed') } }
+    ]
+    const summary = await toDatabaseSummary(calls, { slowQueryMs: 100 })
+    expect(summary).toMatchObject({ count: 3, durationMs: 355 })
+    expect(summary.calls[2].error).toBe('failed')
+    expect(summary.slowQueries).toEqual([
+      { method: 'list', filter: { age: 1 }, durationMs: 150, count: 0, error: null, explain: { plan: 1 } },
+      { method: 'add', filter: { _id: 1 }, durationMs: 200, count: null, error: 'failed' }
+    ])
+    const failed = await toDatabaseSummary([{ ...calls[1], explain: () => Promise.reject(new Error('no plan')) }])
+    expect(failed.slowQueries[0].explain).toEqual({ error: 'no plan' })
+    const unexplained = await toDatabaseSummary(calls, { slowQueryMs: 100, explain: false })
+    expect(unexplained.slowQueries[0].explain).toBe(undefined)
+  })
+
+  it('should add summary to response extensions', async () => {
+    const context = {}
+    const plugin = createInstrumentationPlugin({ enabled: true, slowQueryMs: 10 })
+    const listener = plugin.requestDidStart({ context })
+    context[INSTRUMENTATION_CONTEXT_KEY].push({ event: { method: 'find', filter: null, durationMs: 1, count: 1, error: null } })
+    const response = { data: {}, extensions: { tracing: true } }
+    await listener.willSendResponse({ response, context })
+    expect(response.extensions).toEqual({
+      tracing: true,
+      database: {
+        count: 1,
+        durationMs: 1,
+        calls: [{ method: 'find', filter: null, durationMs: 1, count: 1, error: null }],
+        slowQueries: []
+      }
+    })
+
+    const disabledContext = {}
+    expect(createInstrumentationPlugin({ enabled: false }).requestDidStart({ context: disabledContext })).toEqual({})
+    expect(disabledContext[INSTRUMENTATION_CONTEXT_KEY]).toBe(undefined)
+  })
+})
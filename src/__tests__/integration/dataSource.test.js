@@ -0,0 +1,320 @@
+const Mongoose = require('mongoose')
+const { InMemoryLRUCache } = require('apollo-server-caching')
+const MongooseDataSource = require('../../../index')
+const { createInstrumentationPlugin } = require('../../../index')
+const { startReplicaSet, createCollections } = require('./replicaSet')
+
+jest.setTimeout(60000)
+
+describe('Data source on a replica set', () => {
+  let replicaSet
+  let connection
+
+  /**
+   * Create a data source of a new request.
+   * @param {object} Model Mongoose model.
+   * @param {object} [options] Data source options (optional).
+   * @param {object} [config] Data source config with **context** and **cache** (optional).
+   * @returns {MongooseDataSource}
+   */
+  function createDataSource (Model, options = {}, config = {}) {
+    const dataSource = new MongooseDataSource(Model, options)
+    dataSource.initialize({ context: {}, ...config })
+    return dataSource
+  }
+
+  /**
+   * Create a model with a schema of its own.
+   * @param {string} modelName Name of the model.
+   * @param {object} definition Schema definition.
+   * @returns {promise} Mongoose model with its collection and indexes.
+   */
+  async function createModel (modelName, definition) {
+    const Model = connection.model(modelName, new Mongoose.Schema(definition))
+    await createCollections([Model])
+    return Model
+  }
+
+  beforeAll(async () => {
+    replicaSet = await startReplicaSet()
+    connection = replicaSet.connection
+  })
+
+  afterAll(async () => {
+    if (replicaSet) {
+      await replicaSet.stop()
+    }
+  })
+
+  describe('Document loader', () => {
+    let Item
+
+    beforeAll(async () => {
+      Item = await createModel('LoaderItem', { name: String })
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    it('should batch ids requested in the same tick', async () => {
+      const [a, b] = await Item.create([{ name: 'a' }, { name: 'b' }])
+      const dataSource = createDataSource(Item)
+      const find = jest.spyOn(Item, 'find')
+
+      const [first, second, third] = await Promise.all([
+        dataSource.getById(String(a._id)),
+        dataSource.getById(String(b._id)),
+        dataSource.getById(String(a._id))
+      ])
+      expect(find).toHaveBeenCalledTimes(1)
+      expect([first.name, second.name, third.name]).toEqual(['a', 'b', 'a'])
+
+      const documents = await dataSource.getByIds([String(b._id), 'invalid', String(new Mongoose.Types.ObjectId())])
+      expect(documents.map((document) => document && document.name)).toEqual(['b', null, null])
+      expect(find).toHaveBeenCalledTimes(2)
+    })
+
+    it('should prime written documents', async () => {
+      const dataSource = createDataSource(Item)
+      const added = await dataSource.add({ name: 'c' })
+      const find = jest.spyOn(Item, 'find')
+      const findOne = jest.spyOn(Item, 'findOne')
+
+      expect(await dataSource.getById(String(added._id))).toBe(added)
+      const updated = await dataSource.update(String(added._id), { name: 'd' })
+      findOne.mockClear()
+      expect(await dataSource.getById(String(added._id))).toBe(updated)
+      expect(updated.name).toBe('d')
+      expect(find).not.toHaveBeenCalled()
+      expect(findOne).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Document cache', () => {
+    it('should invalidate cached documents on writes', async () => {
+      const Item = await createModel('CacheItem', { name: String })
+      const cache = new InMemoryLRUCache()
+      const item = await Item.create({ name: 'a' })
+      const id = String(item._id)
+
+      expect((await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)).name).toBe('a')
+      await Item.updateOne({ _id: item._id }, { name: 'b' })
+      // Written outside of the data source, the cached document is read.
+      expect((await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)).name).toBe('a')
+
+      await createDataSource(Item, { ttl: 60 }, { cache }).update(id, { name: 'c' })
+      expect((await createDataSource(Item, { ttl: 60 }, { cache }).getById(id)).name).toBe('c')
+    })
+  })
+
+  describe('Atomic increments', () => {
+    it('should keep concurrent increments', async () => {
+      const Counter = await createModel('Counter', { count: Number })
+      const counter = await Counter.create({ count: 0 })
+
+      await Promise.all([1, 2, 3, 4, 5].map(() => createDataSource(Counter)
+        .update(String(counter._id), { $inc: { count: 1 } })))
+      expect((await Counter.findById(counter._id)).count).toBe(5)
+    })
+  })
+
+  describe('Soft delete', () => {
+    let Item
+
+    beforeAll(async () => {
+      Item = await createModel('SoftDeleteItem', { sku: { type: String, unique: true }, name: String, deletedAt: Date })
+    })
+
+    it('should delete, restore and purge', async () => {
+      const dataSource = createDataSource(Item, { softDelete: true })
+      const item = await dataSource.add({ sku: 's-1', name: 'a' })
+      const id = String(item._id)
+
+      await dataSource.delete(id)
+      expect((await Item.findById(item._id)).deletedAt).toBeInstanceOf(Date)
+      expect(await createDataSource(Item, { softDelete: true }).getById(id)).toBe(null)
+      expect(await createDataSource(Item, { softDelete: true }).getById(id, { withDeleted: true })).not.toBe(null)
+
+      expect((await dataSource.restore(id)).deletedAt).toBe(undefined)
+      expect(await createDataSource(Item, { softDelete: true }).getById(id)).not.toBe(null)
+
+      await dataSource.delete(id)
+      await dataSource.purge({ sku: 's-1' })
+      expect(await Item.findById(item._id)).toBe(null)
+    })
+
+    it('should restore deleted documents matched by upserts', async () => {
+      const dataSource = createDataSource(Item, { softDelete: true })
+      const first = await dataSource.add({ sku: 's-2', name: 'a' })
+      const second = await dataSource.add({ sku: 's-3', name: 'b' })
+      await dataSource.delete(String(first._id))
+      await dataSource.delete(String(second._id))
+
+      await dataSource.findOneAndUpdate(String(first._id), { name: 'c' })
+      expect(await Item.findById(first._id).lean()).toMatchObject({ name: 'c' })
+      expect((await Item.findById(first._id)).deletedAt).toBe(undefined)
+
+      const [result] = await dataSource.bulkUpsert([{ sku: 's-3', name: 'd' }], { key: 'sku' })
+      expect(result).toMatchObject({ ok: true, upserted: false })
+      expect(String(result.id)).toBe(String(second._id))
+      expect(await Item.countDocuments({ sku: 's-3', deletedAt: null })).toBe(1)
+    })
+  })
+
+  describe('Audit', () => {
+    it('should record history and revert to a version', async () => {
+      const Item = await createModel('AuditItem', { name: String })
+      const dataSource = createDataSource(Item, { audit: { actor: (context) => context.user } }, { context: { user: 'u1' } })
+      const item = await dataSource.add({ name: 'a' })
+      const id = String(item._id)
+      await dataSource.update(id, { name: 'b' })
+      await dataSource.delete(id)
+
+      const history = await dataSource.history(id)
+      expect(history.map(({ version, operation, actor, removed }) => ({ version, operation, actor, removed }))).toEqual([
+        { version: 1, operation: 'create', actor: 'u1', removed: false },
+        { version: 2, operation: 'update', actor: 'u1', removed: false },
+        { version: 3, operation: 'delete', actor: 'u1', removed: true }
+      ])
+      expect(history[1].changes).toEqual([{ path: 'name', before: 'a', after: 'b' }])
+
+      const reverted = await dataSource.revertTo(id, 2)
+      expect(reverted.name).toBe('b')
+      expect((await Item.findById(item._id)).name).toBe('b')
+      expect((await dataSource.history(id)).map(({ operation }) => operation)).toEqual(['create', 'update', 'delete', 'create'])
+    })
+  })
+
+  describe('Versions', () => {
+    it('should reject writes of outdated versions', async () => {
+      const Item = await createModel('VersionItem', { name: String, count: Number })
+      const dataSource = createDataSource(Item)
+      const item = await dataSource.add({ name: 'a', count: 0 })
+      const id = String(item._id)
+      const etag = dataSource.getEtag(item)
+
+      const updated = await dataSource.update(id, { name: 'b' }, { expectedVersion: 0 })
+      expect(updated.get('__v')).toBe(1)
+      await expect(dataSource.update(id, { name: 'c' }, { etag })).rejects.toMatchObject({
+        extensions: { code: 'CONFLICT', currentVersion: 1 }
+      })
+      await expect(dataSource.update(id, { $inc: { count: 1 } }, { expectedVersion: 0 })).rejects.toMatchObject({
+        extensions: { code: 'CONFLICT', currentVersion: 1 }
+      })
+      await expect(dataSource.findOneAndUpdate(id, { name: 'c' }, { expectedVersion: 0 })).rejects.toMatchObject({
+        extensions: { code: 'CONFLICT', currentVersion: 1 }
+      })
+
+      await dataSource.update(id, { $inc: { count: 1 } }, { etag: dataSource.getEtag(updated) })
+      expect(await Item.findById(item._id).lean()).toMatchObject({ name: 'b', count: 1, __v: 2 })
+    })
+  })
+
+  describe('Bulk writes', () => {
+    let Item
+
+    beforeAll(async () => {
+      Item = await createModel('BulkItem', { sku: { type: String, unique: true }, name: { type: String, required: true } })
+    })
+
+    it('should report results per item', async () => {
+      const dataSource = createDataSource(Item)
+      const added = await dataSource.bulkAdd([{ sku: 'b-1', name: 'a' }, { sku: 'b-2' }, { sku: 'b-3', name: 'c' }], { ordered: false })
+      expect(added.map(({ ok, error }) => [ok, error ? error.code : null])).toEqual([[true, null], [false, 'BAD_USER_INPUT'], [true, null]])
+
+      const updated = await dataSource.bulkUpdate([
+        { id: String(added[0].id), update: { name: 'b' } },
+        { id: String(new Mongoose.Types.ObjectId()), update: { name: 'x' } }
+      ], { ordered: false })
+      expect(updated.map(({ ok, error }) => [ok, error ? error.code : null])).toEqual([[true, null], [false, 'NOT_FOUND']])
+
+      const upserted = await dataSource.bulkUpsert([{ sku: 'b-3', name: 'd' }, { sku: 'b-4', name: 'e' }], { key: 'sku' })
+      expect(upserted.map(({ ok, upserted }) => [ok, upserted])).toEqual([[true, false], [true, true]])
+      expect(String(upserted[0].id)).toBe(String(added[2].id))
+      expect(await Item.find({}).sort({ sku: 1 }).lean().then((items) => items.map(({ name }) => name))).toEqual(['b', 'd', 'e'])
+    })
+
+    it('should authorize create on upserts', async () => {
+      const policy = (context, operation) => operation !== 'create'
+      await expect(createDataSource(Item, { policy }).bulkUpsert([{ sku: 'b-5', name: 'f' }], { key: 'sku' }))
+        .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } })
+      await expect(createDataSource(Item, { policy }).findOneAndUpdate(String(new Mongoose.Types.ObjectId()), { name: 'f' }))
+        .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } })
+      expect(await Item.countDocuments({ name: 'f' })).toBe(0)
+    })
+  })
+
+  describe('Tenants and policies', () => {
+    it('should restrict documents to the tenant of the request', async () => {
+      const Item = await createModel('TenantItem', { name: String, tenantId: String })
+      const tenant = { resolve: (context) => context.tenantId, field: 'tenantId' }
+      const createTenantDataSource = (tenantId) => createDataSource(Item, { tenant }, { context: { tenantId } })
+
+      const item = await createTenantDataSource('t1').add({ name: 'a' })
+      expect(item.tenantId).toBe('t1')
+      expect(await createTenantDataSource('t2').getById(String(item._id))).toBe(null)
+      expect((await createTenantDataSource('t2').list()).totalCount).toBe(0)
+      expect(await createTenantDataSource('t2').update(String(item._id), { name: 'b' })).toBe(null)
+      await expect(createTenantDataSource('t1').update(String(item._id), { tenantId: 't2' }))
+        .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } })
+      expect((await createTenantDataSource('t1').getById(String(item._id))).name).toBe('a')
+    })
+
+    it('should apply filter and field masks of the policy', async () => {
+      const Item = await createModel('PolicyItem', { name: String, owner: String, secret: String })
+      const policy = (context, operation) => (operation === 'delete'
+        ? false
+        : { filter: { owner: context.user }, readFields: ['name', 'owner'], writeFields: ['name'] })
+      const [own, other] = await Item.create([{ name: 'a', owner: 'u1', secret: 's' }, { name: 'b', owner: 'u2', secret: 's' }])
+      const createPolicyDataSource = () => createDataSource(Item, { policy }, { context: { user: 'u1' } })
+
+      const document = await createPolicyDataSource().getById(String(own._id))
+      expect(document.name).toBe('a')
+      expect(document.secret).toBe(undefined)
+      expect(await createPolicyDataSource().getById(String(other._id))).toBe(null)
+      await expect(createPolicyDataSource().update(String(own._id), { secret: 't' }))
+        .rejects.toThrow("Fields not writable: 'secret'.")
+      await expect(createPolicyDataSource().delete(String(own._id)))
+        .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } })
+      expect(await Item.countDocuments({})).toBe(2)
+    })
+  })
+
+  describe('Instrumentation', () => {
+    let Item
+
+    beforeAll(async () => {
+      Item = await createModel('InstrumentedItem', { name: String })
+      await Item.create([{ name: 'a' }, { name: 'b' }])
+    })
+
+    it('should emit an event per call', async () => {
+      const events = []
+      const dataSource = createDataSource(Item, { instrumentation: (event) => events.push(event) })
+      await dataSource.list({ filter: { name: { eq: 'a' } } })
+      await expect(dataSource.getById('invalid')).resolves.toBe(null)
+
+      expect(events).toHaveLength(2)
+      expect(events[0]).toMatchObject({ modelName: 'InstrumentedItem', method: 'list', count: 1, error: null })
+      expect(events[0].filter).not.toBe(null)
+      expect(events[1]).toMatchObject({ method: 'getById', count: 0, error: null })
+    })
+
+    it('should add calls and query plans to the response', async () => {
+      const plugin = createInstrumentationPlugin({ enabled: true, slowQueryMs: 0 })
+      const context = {}
+      const listener = plugin.requestDidStart({ context })
+      const dataSource = createDataSource(Item, {}, { context })
+      await dataSource.find({ name: 'a' })
+      await dataSource.add({ name: 'c' })
+
+      const response = { data: {} }
+      await listener.willSendResponse({ response, context })
+      const { database } = response.extensions
+      expect(database.calls.map(({ method }) => method)).toEqual(['find', 'add'])
+      expect(JSON.stringify(database.slowQueries[0].explain)).toContain('queryPlanner')
+      expect(database.slowQueries[1].explain).toBe(undefined)
+    })
+  })
+})
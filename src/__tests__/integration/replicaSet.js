@@ -0,0 +1,36 @@
+const Mongoose = require('mongoose')
+const { MongoMemoryReplSet } = require('mongodb-memory-server')
+
+/**
+ * Start an in memory replica set with one member, transactions and change streams need a replica set.
+ * @returns {promise} Replica set { connection, stop }, stop closes the connection and the replica set.
+ */
+async function startReplicaSet () {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } })
+  const connection = await Mongoose.createConnection(replSet.getUri(), {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    useFindAndModify: false
+  })
+  return {
+    connection,
+    async stop () {
+      await connection.close()
+      await replSet.stop()
+    }
+  }
+}
+
+/**
+ * Create the collections of models. MongoDB 4.0 can not create collections inside transactions.
+ * @param {array} models Mongoose models.
+ * @returns {promise}
+ */
+async function createCollections (models) {
+  await Promise.all(models.map((Model) => Model.init().then(() => Model.createCollection())))
+}
+
+module.exports = {
+  startReplicaSet,
+  createCollections
+}
@@ -0,0 +1,114 @@
+const Mongoose = require('mongoose')
+const MongooseDataSource = require('../../../index')
+const { startReplicaSet, createCollections } = require('./replicaSet')
+
+jest.setTimeout(60000)
+
+describe('Transactions on a replica set', () => {
+  let replicaSet
+  let Account
+
+  beforeAll(async () => {
+    replicaSet = await startReplicaSet()
+    Account = replicaSet.connection.model('Account', new Mongoose.Schema({ name: String, balance: Number }))
+    await createCollections([Account])
+  })
+
+  afterAll(async () => {
+    if (replicaSet) {
+      await replicaSet.stop()
+    }
+  })
+
+  beforeEach(async () => {
+    await Account.deleteMany({})
+  })
+
+  /**
+   * Create a data source of a new request.
+   * @returns {MongooseDataSource}
+   */
+  function createDataSource () {
+    const dataSource = new MongooseDataSource(Account)
+    dataSource.initialize({ context: {} })
+    return dataSource
+  }
+
+  it('should commit add, update and delete', async () => {
+    const [updated, deleted] = await Account.create([{ name: 'a', balance: 1 }, { name: 'b', balance: 2 }])
+    const dataSource = createDataSource()
+
+    const added = await dataSource.withTransaction(async () => {
+      const document = await dataSource.add({ name: 'c', balance: 3 })
+      await dataSource.update(String(updated._id), { balance: 10 })
+      await dataSource.delete(String(deleted._id))
+      // Changes of the transaction are not visible outside of its session before the commit.
+      expect(await Account.findById(document._id)).toBe(null)
+      expect((await Account.findById(updated._id)).balance).toBe(1)
+      expect(await Account.findById(deleted._id)).not.toBe(null)
+      return document
+    })
+
+    expect(await Account.findById(added._id)).not.toBe(null)
+    expect((await Account.findById(updated._id)).balance).toBe(10)
+    expect(await Account.findById(deleted._id)).toBe(null)
+  })
+
+  it('should abort add, update and delete', async () => {
+    const [updated, deleted] = await Account.create([{ name: 'a', balance: 1 }, { name: 'b', balance: 2 }])
+    const dataSource = createDataSource()
+
+    await expect(dataSource.withTransaction(async () => {
+      await dataSource.add({ name: 'c', balance: 3 })
+      await dataSource.update(String(updated._id), { $inc: { balance: 10 } })
+      await dataSource.delete(String(deleted._id))
+      throw new Error('failed')
+    })).rejects.toThrow('failed')
+
+    expect(await Account.countDocuments({ name: 'c' })).toBe(0)
+    expect((await Account.findById(updated._id)).balance).toBe(1)
+    expect(await Account.findById(deleted._id)).not.toBe(null)
+  })
+
+  it('should retry transaction after a write conflict', async () => {
+    const account = await Account.create({ name: 'a', balance: 1 })
+    const otherSession = await replicaSet.connection.startSession()
+    otherSession.startTransaction()
+    await Account.updateOne({ _id: account._id }, { $inc: { balance: 1 } }).session(otherSession)
+    const dataSource = createDataSource()
+
+    let attempts = 0
+    await dataSource.withTransaction(async () => {
+      attempts += 1
+      try {
+        await dataSource.update(String(account._id), { $inc: { balance: 10 } })
+      } finally {
+        // The conflicting transaction ends after the first attempt, so the retry can write.
+        if (otherSession.inTransaction()) {
+          await otherSession.commitTransaction()
+        }
+      }
+    })
+    otherSession.endSession()
+
+    expect(attempts).toBe(2)
+    expect((await Account.findById(account._id)).balance).toBe(12)
+  })
+
+  it('should join the transaction of the request in other data sources', async () => {
+    const context = {}
+    const dataSource = new MongooseDataSource(Account)
+    dataSource.initialize({ context })
+    const otherDataSource = new MongooseDataSource(Account)
+    otherDataSource.initialize({ context })
+
+    await expect(dataSource.withTransaction(async (session) => {
+      expect(otherDataSource.getSession()).toBe(session)
+      await otherDataSource.add({ name: 'a', balance: 1 })
+      throw new Error('failed')
+    })).rejects.toThrow('failed')
+
+    expect(await Account.countDocuments({})).toBe(0)
+    expect(otherDataSource.getSession()).toBe(null)
+  })
+})
@@ -0,0 +1,67 @@
+const Mongoose = require('mongoose')
+const { ApolloError, UserInputError, ForbiddenError } = require('apollo-server-errors')
+const mapMongooseError = require('../mapMongooseError')
+const { ConflictError } = require('../errors')
+
+describe('Map Mongoose error to Apollo error', () => {
+  const User = Mongoose.model('MapErrorUser', new Mongoose.Schema({
+    firstname: { type: String, required: true },
+    age: { type: Number, min: 0 }
+  }))
+
+  it('should map validation error to user input error with field details', () => {
+    const err = new User({ age: -1 }).validateSync()
+    const result = mapMongooseError(err)
+    expect(result).toBeInstanceOf(UserInputError)
+    expect(result.extensions.code).toEqual('BAD_USER_INPUT')
+    expect(Object.keys(result.extensions.fields).sort()).toEqual(['age', 'firstname'])
+    expect(result.extensions.fields.firstname.kind).toEqual('required')
+    expect(result.extensions.fields.age.value).toEqual(-1)
+  })
+
+  it('should map cast error to user input error', () => {
+    const err = new Mongoose.Error.CastError('ObjectId', 'abc', '_id')
+    const result = mapMongooseError(err)
+    expect(result).toBeInstanceOf(UserInputError)
+    expect(result.extensions.path).toEqual('_id')
+    expect(result.extensions.value).toEqual('abc')
+  })
+
+  it('should map duplicate key error to conflict error', () => {
+    const err = new Error('E11000 duplicate key error collection: test.users index: email_1 dup key: { email: "a@b.c" }')
+    err.code = 11000
+    err.keyPattern = { email: 1 }
+    err.keyValue = { email: 'a@b.c' }
+    const result = mapMongooseError(err)
+    expect(result).toBeInstanceOf(ConflictError)
+    expect(result.extensions.code).toEqual('CONFLICT')
+    expect(result.extensions.fields).toEqual(['email'])
+  })
+
+  it('should read duplicate key fields from message of older servers', () => {
+    const err = new Error('E11000 duplicate key error collection: test.users index: email_1_tenant_-1 dup key: { : "a@b.c" }')
+    err.code = 11000
+    const result = mapMongooseError(err)
+    expect(result.extensions.fields).toEqual(['email', 'tenant'])
+  })
+
+  it('should map other errors to Apollo error with stable code', () => {
+    const err = new Error('connection lost')
+    const result = mapMongooseError(err)
+    expect(result).toBeInstanceOf(ApolloError)
+    expect(result.extensions.code).toEqual('DATABASE_ERROR')
+    expect(result.originalError).toBe(err)
+  })
+
+  it('should not touch Apollo errors', () => {
+    const err = new ForbiddenError('no access')
+    expect(mapMongooseError(err)).toBe(err)
+  })
+
+  it('should prefer custom mappers', () => {
+    const err = new Error('connection lost')
+    const customError = new ApolloError('Try again later.', 'UNAVAILABLE')
+    const result = mapMongooseError(err, [() => undefined, () => customError])
+    expect(result).toBe(customError)
+  })
+})
@@ -0,0 +1,24 @@
+const orderDocumentsByIds = require('../orderDocumentsByIds')
+
+describe('Order documents by requested id', () => {
+  const documents = [
+    { _id: 'c', name: 'third' },
+    { _id: 'a', name: 'first' }
+  ]
+
+  it('should return documents in order of requested id', () => {
+    const result = orderDocumentsByIds(['a', 'c'], documents)
+    expect(result).toEqual([{ _id: 'a', name: 'first' }, { _id: 'c', name: 'third' }])
+  })
+
+  it('should return null for missing documents', () => {
+    const result = orderDocumentsByIds(['a', 'b', 'c'], documents)
+    expect(result).toEqual([{ _id: 'a', name: 'first' }, null, { _id: 'c', name: 'third' }])
+  })
+
+  it('should compare id by its string value', () => {
+    const objectIdLike = { toString: () => 'a' }
+    const result = orderDocumentsByIds([objectIdLike, objectIdLike], documents)
+    expect(result).toEqual([{ _id: 'a', name: 'first' }, { _id: 'a', name: 'first' }])
+  })
+})
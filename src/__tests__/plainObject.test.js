@@ -0,0 +1,23 @@
+const Mongoose = require('mongoose')
+const { isPlainObject, getPathValue } = require('../plainObject')
+
+describe('Plain objects', () => {
+  it('should detect plain objects', () => {
+    expect(isPlainObject({ name: 'a' })).toBe(true)
+    expect(isPlainObject(Object.create(null))).toBe(true)
+    expect(isPlainObject([])).toBe(false)
+    expect(isPlainObject(null)).toBe(false)
+    expect(isPlainObject(new Date())).toBe(false)
+    expect(isPlainObject(new Mongoose.Types.ObjectId())).toBe(false)
+  })
+
+  it('should read dot notated paths', () => {
+    const document = { sku: 'a-1', vendor: { code: 7 }, owner: null }
+    expect(getPathValue(document, 'vendor.code')).toBe(7)
+    expect(getPathValue(document, 'owner.name')).toBe(undefined)
+    expect(getPathValue(document, 'tags.name')).toBe(undefined)
+
+    const Model = Mongoose.model('PlainObjectPath', new Mongoose.Schema({ vendor: { code: Number } }))
+    expect(getPathValue(new Model({ vendor: { code: 7 } }), 'vendor.code')).toBe(7)
+  })
+})
@@ -0,0 +1,49 @@
+const { ForbiddenError } = require('apollo-server-errors')
+const {
+  normalizePolicy, scopeFilter, maskProjection, findUnwritablePaths, assertWritable
+} = require('../policy')
+
+describe('Authorization policy', () => {
+  it('should normalize policy result', () => {
+    expect(() => normalizePolicy(false, 'delete', 'User')).toThrow(ForbiddenError)
+    expect(() => normalizePolicy(false, 'delete', 'User')).toThrow("Operation 'delete' on 'User' is not allowed.")
+    expect(normalizePolicy(true, 'read', 'User')).toEqual({ filter: null, readFields: null, writeFields: null })
+    expect(normalizePolicy(undefined, 'read', 'User')).toEqual({ filter: null, readFields: null, writeFields: null })
+    expect(normalizePolicy({ filter: {}, readFields: ['name'] }, 'read', 'User'))
+      .toEqual({ filter: null, readFields: ['name'], writeFields: null })
+    expect(normalizePolicy({ filter: { owner: 'a' } }, 'read', 'User'))
+      .toEqual({ filter: { owner: 'a' }, readFields: null, writeFields: null })
+  })
+
+  it('should restrict query with policy filter', () => {
+    expect(scopeFilter({ name: 'a' })).toEqual({ name: 'a' })
+    expect(scopeFilter({}, { owner: 'a' })).toEqual({ owner: 'a' })
+    expect(scopeFilter({ name: 'a' }, { owner: 'a' })).toEqual({ $and: [{ name: 'a' }, { owner: 'a' }] })
+  })
+
+  it('should mask projection with readable fields', () => {
+    const readFields = ['name', 'address.city']
+    expect(maskProjection({ name: 1, secret: 1 })).toEqual({ name: 1, secret: 1 })
+    expect(maskProjection(null, readFields)).toEqual({ name: 1, 'address.city': 1 })
+    expect(maskProjection({ name: 1, secret: 1, address: 1 }, readFields)).toEqual({ name: 1, 'address.city': 1 })
+    expect(maskProjection({ name: 0, _id: 0 }, readFields)).toEqual({ 'address.city': 1, _id: 0 })
+    expect(maskProjection('name -_id', readFields)).toEqual({ name: 1, _id: 0 })
+    expect(maskProjection({ secret: 1 }, readFields)).toEqual({ _id: 1 })
+  })
+
+  it('should find fields which are not writable', () => {
+    const writeFields = ['name', 'address.city', 'tags']
+    expect(findUnwritablePaths({ name: 'a', role: 'admin' }, writeFields)).toEqual(['role'])
+    expect(findUnwritablePaths({ address: { city: 'a', zip: '1' } }, writeFields)).toEqual(['address.zip'])
+    expect(findUnwritablePaths({ $set: { 'address.city': 'a' }, $push: { tags: 'b' } }, writeFields)).toEqual([])
+    expect(findUnwritablePaths({ $set: { 'items.0.price': 1 }, $inc: { 'tags.$.count': 1 } }, writeFields))
+      .toEqual(['items.price'])
+  })
+
+  it('should reject update of fields which are not writable', () => {
+    expect(() => assertWritable({ role: 'admin' })).not.toThrow()
+    expect(() => assertWritable({ name: 'a' }, ['name'])).not.toThrow()
+    expect(() => assertWritable({ name: 'a', role: 'admin', owner: 'b' }, ['name']))
+      .toThrow("Fields not writable: 'role', 'owner'.")
+  })
+})
@@ -0,0 +1,63 @@
+const Mongoose = require('mongoose')
+const {
+  measureFilter, findIndexedPaths, normalizeQueryGuards, assertQueryCost
+} = require('../queryGuard')
+
+describe('Query guard', () => {
+  it('should measure filter', () => {
+    expect(measureFilter({})).toEqual({ depth: 0, operators: 0, paths: [] })
+    expect(measureFilter({ name: 'a', age: { $gt: 1, $lt: 9 } })).toEqual({ depth: 1, operators: 2, paths: ['name', 'age'] })
+    expect(measureFilter({
+      $or: [
+        { name: 'a' },
+        { $and: [{ age: { $not: { $gt: 1 } } }, { tags: { $elemMatch: { label: 'x' } } }] }
+      ]
+    })).toEqual({ depth: 4, operators: 5, paths: ['name', 'age', 'tags'] })
+    expect(() => measureFilter({ $or: { name: 'a' } })).toThrow("Operator '$or' needs a list of filters.")
+  })
+
+  it('should find indexed paths', () => {
+    const schema = new Mongoose.Schema({
+      email: { type: String, unique: true },
+      name: { type: String, index: true },
+      age: Number,
+      city: String
+    })
+    schema.index({ city: 1, age: -1 })
+    expect(findIndexedPaths(schema).sort()).toEqual(['_id', 'age', 'city', 'email', 'name'])
+  })
+
+  it('should normalize query guards', () => {
+    const schema = new Mongoose.Schema({ name: { type: String, index: true }, age: Number })
+    expect(normalizeQueryGuards({}, schema)).toEqual({
+      maxLimit: null, maxFilterDepth: null, maxFilterOperators: null, filterFields: null, sortFields: null
+    })
+    expect(normalizeQueryGuards({ maxLimit: 100, filterFields: 'indexed', sortFields: ['age'] }, schema)).toMatchObject({
+      maxLimit: 100, filterFields: ['_id', 'name'], sortFields: ['age']
+    })
+  })
+
+  it('should reject queries exceeding guards', () => {
+    const guards = {
+      maxLimit: 100,
+      maxFilterDepth: 2,
+      maxFilterOperators: 3,
+      filterFields: ['name', 'address'],
+      sortFields: ['name']
+    }
+    expect(() => assertQueryCost(guards, { filter: { name: 'a', 'address.city': 'x' }, sort: { name: 1 }, limit: 100 }))
+      .not.toThrow()
+    expect(() => assertQueryCost(guards, { limit: 1000 })).toThrow('Limit 1000 exceeds maximum of 100.')
+    expect(() => assertQueryCost(guards, { limit: 0 })).toThrow('Limit 0 has to be a positive integer.')
+    expect(() => assertQueryCost({}, { limit: -1 })).toThrow('Limit -1 has to be a positive integer.')
+    expect(() => assertQueryCost({}, { limit: 1.5 })).toThrow('Limit 1.5 has to be a positive integer.')
+    expect(() => assertQueryCost(guards, { filter: { $or: [{ $or: [{ name: 'a' }] }] } }))
+      .toThrow('Filter nesting depth 3 exceeds maximum of 2.')
+    expect(() => assertQueryCost(guards, { filter: { name: { $gt: 'a', $lt: 'z', $ne: 'b', $nin: [] } } }))
+      .toThrow('Filter has 4 operators, maximum is 3.')
+    expect(() => assertQueryCost(guards, { filter: { age: 1 } })).toThrow("Filter on 'age' is not allowed.")
+    expect(() => assertQueryCost(guards, { sort: { age: -1 } })).toThrow("Sort by 'age' is not allowed.")
+    expect(() => assertQueryCost(guards, { sort: '-age' })).toThrow("Sort by 'age' is not allowed.")
+    expect(() => assertQueryCost(guards, { sort: { name: 1, _id: 1 } })).not.toThrow()
+  })
+})
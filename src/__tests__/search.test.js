@@ -0,0 +1,47 @@
+const Mongoose = require('mongoose')
+const {
+  findTextIndexFields, tokenize, toRegexSearchFilter, toHighlights
+} = require('../search')
+
+describe('Search', () => {
+  it('should find text index fields', () => {
+    const schema = new Mongoose.Schema({ title: { type: String, text: true }, body: String, tags: [String] })
+    schema.index({ body: 'text', tags: 'text' })
+    expect(findTextIndexFields(schema).sort()).toEqual(['body', 'tags', 'title'])
+    // reading the indexes twice keeps the text option of paths
+    expect(findTextIndexFields(schema).sort()).toEqual(['body', 'tags', 'title'])
+    expect(findTextIndexFields(new Mongoose.Schema({ title: { type: String, index: true } }))).toBe(null)
+  })
+
+  it('should tokenize query', () => {
+    expect(tokenize('  Mongo "data source" -sql mongo -SQL ')).toEqual({
+      terms: ['mongo', 'data', 'source'], negatedTerms: ['sql']
+    })
+    expect(tokenize('- -"')).toEqual({ terms: [], negatedTerms: [] })
+    expect(tokenize('')).toEqual({ terms: [], negatedTerms: [] })
+    expect(tokenize(null)).toEqual({ terms: [], negatedTerms: [] })
+  })
+
+  it('should build regular expression filter', () => {
+    expect(toRegexSearchFilter(['mongo', 'c++'], ['title', 'tags'])).toEqual({
+      $and: [
+        { $or: [{ title: { $regex: 'mongo', $options: 'i' } }, { tags: { $regex: 'mongo', $options: 'i' } }] },
+        { $or: [{ title: { $regex: 'c\\+\\+', $options: 'i' } }, { tags: { $regex: 'c\\+\\+', $options: 'i' } }] }
+      ]
+    })
+    expect(toRegexSearchFilter(['mongo'], ['title', 'tags'], ['sql'])).toEqual({
+      $and: [{ $or: [{ title: { $regex: 'mongo', $options: 'i' } }, { tags: { $regex: 'mongo', $options: 'i' } }] }],
+      $nor: [{ title: { $regex: 'sql', $options: 'i' } }, { tags: { $regex: 'sql', $options: 'i' } }]
+    })
+  })
+
+  it('should highlight matches', () => {
+    const document = { title: 'Mongo and mongoose', tags: ['db', 'mongo'], author: { name: 'Mongo Team' }, views: 3 }
+    expect(toHighlights(document, ['title', 'tags', 'author.name', 'views'], ['mongo'])).toEqual([
+      { path: 'title', value: 'Mongo and mongoose', matches: [{ start: 0, end: 5 }, { start: 10, end: 15 }] },
+      { path: 'tags', value: 'mongo', matches: [{ start: 0, end: 5 }] },
+      { path: 'author.name', value: 'Mongo Team', matches: [{ start: 0, end: 5 }] }
+    ])
+    expect(toHighlights(document, ['title'], [])).toEqual([])
+  })
+})
@@ -0,0 +1,37 @@
+const {
+  normalizeSoftDelete, notDeletedFilter, deletedFilter, toDeleteUpdate, toRestoreUpdate, withRestoreUpdate
+} = require('../softDelete')
+
+describe('Soft delete', () => {
+  const deletedBy = (context) => context.userId
+
+  it('should normalize soft delete option', () => {
+    expect(normalizeSoftDelete(false)).toBe(null)
+    expect(normalizeSoftDelete(true)).toEqual({ deletedAtField: 'deletedAt', deletedByField: 'deletedBy', deletedBy: null })
+    expect(normalizeSoftDelete({ deletedAtField: 'removedAt', deletedBy }))
+      .toEqual({ deletedAtField: 'removedAt', deletedByField: 'deletedBy', deletedBy })
+  })
+
+  it('should filter deleted documents', () => {
+    const softDelete = normalizeSoftDelete(true)
+    expect(notDeletedFilter(softDelete)).toEqual({ deletedAt: null })
+    expect(deletedFilter(softDelete)).toEqual({ deletedAt: { $ne: null } })
+  })
+
+  it('should mark documents as deleted', () => {
+    const date = new Date('2020-04-01T00:00:00Z')
+    expect(toDeleteUpdate(normalizeSoftDelete(true), {}, date)).toEqual({ $set: { deletedAt: date } })
+    expect(toDeleteUpdate(normalizeSoftDelete({ deletedBy }), { userId: 'u1' }, date))
+      .toEqual({ $set: { deletedAt: date, deletedBy: 'u1' } })
+  })
+
+  it('should restore deleted documents', () => {
+    expect(toRestoreUpdate(normalizeSoftDelete(true))).toEqual({ $unset: { deletedAt: '' } })
+    expect(toRestoreUpdate(normalizeSoftDelete({ deletedBy }))).toEqual({ $unset: { deletedAt: '', deletedBy: '' } })
+  })
+
+  it('should restore deleted documents matched by upserts', () => {
+    expect(withRestoreUpdate(normalizeSoftDelete({ deletedBy }), { $set: { name: 'a' }, $unset: { age: '' } }))
+      .toEqual({ $set: { name: 'a' }, $unset: { age: '', deletedAt: '', deletedBy: '' } })
+  })
+})
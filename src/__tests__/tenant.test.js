@@ -0,0 +1,33 @@
+const { ForbiddenError } = require('apollo-server-errors')
+const Mongoose = require('mongoose')
+const { findTenantChanges, assertTenantUnchanged } = require('../tenant')
+
+describe('Tenant field', () => {
+  it('should find changes of the tenant field', () => {
+    expect(findTenantChanges({ name: 'a' }, 'tenantId', 't1')).toEqual([])
+    expect(findTenantChanges({ name: 'a', tenantId: 't1' }, 'tenantId', 't1')).toEqual([])
+    expect(findTenantChanges({ tenantId: 't2' }, 'tenantId', 't1')).toEqual(['tenantId'])
+    expect(findTenantChanges({ $set: { tenantId: 't2' } }, 'tenantId', 't1')).toEqual(['tenantId'])
+    expect(findTenantChanges({ $unset: { tenantId: '' } }, 'tenantId', 't1')).toEqual(['tenantId'])
+    expect(findTenantChanges({ $rename: { tenantId: 'owner' } }, 'tenantId', 't1')).toEqual(['tenantId'])
+  })
+
+  it('should find changes of a nested tenant field', () => {
+    expect(findTenantChanges({ org: { id: 't1', name: 'a' } }, 'org.id', 't1')).toEqual([])
+    expect(findTenantChanges({ org: { id: 't2' } }, 'org.id', 't1')).toEqual(['org.id'])
+    expect(findTenantChanges({ $set: { 'org.id': 't2' } }, 'org.id', 't1')).toEqual(['org.id'])
+    expect(findTenantChanges({ $unset: { org: '' } }, 'org.id', 't1')).toEqual(['org'])
+  })
+
+  it('should compare tenant by value', () => {
+    const tenantId = new Mongoose.Types.ObjectId()
+    expect(findTenantChanges({ tenantId: tenantId.toHexString() }, 'tenantId', tenantId)).toEqual([])
+  })
+
+  it('should reject change of the tenant field', () => {
+    expect(() => assertTenantUnchanged({ tenantId: 't1' }, 'tenantId', 't1')).not.toThrow()
+    expect(() => assertTenantUnchanged({ tenantId: 't2' }, 'tenantId', 't1')).toThrow(ForbiddenError)
+    expect(() => assertTenantUnchanged({ tenantId: 't2' }, 'tenantId', 't1'))
+      .toThrow("Tenant field 'tenantId' can not be changed.")
+  })
+})
@@ -0,0 +1,36 @@
+const toCacheKey = require('../toCacheKey')
+
+describe('Build cache key', () => {
+  it('should prefix key with model name', () => {
+    const result = toCacheKey('User', 'getById', '5e8f1c1b2f1b2c3d4e5f6a7b')
+    expect(result).toEqual('mongoose:User:getById:5e8f1c1b2f1b2c3d4e5f6a7b')
+  })
+
+  it('should serialize query independent of property order', () => {
+    const first = toCacheKey('User', 'list', { filter: { lastname: 'trump', firstname: 'dumbo' }, page: 1 })
+    const second = toCacheKey('User', 'list', { page: 1, filter: { firstname: 'dumbo', lastname: 'trump' } })
+    expect(first).toEqual(second)
+  })
+
+  it('should keep order of arrays', () => {
+    const first = toCacheKey('User', 'list', { in: ['a', 'b'] })
+    const second = toCacheKey('User', 'list', { in: ['b', 'a'] })
+    expect(first).not.toEqual(second)
+  })
+
+  it('should serialize regular expressions and objects with toJSON', () => {
+    class ObjectIdLike {
+      toJSON () {
+        return 'abc'
+      }
+    }
+    const objectIdLike = new ObjectIdLike()
+    const result = toCacheKey('User', 'findOne', { firstname: /dump/i, _id: objectIdLike })
+    expect(result).toEqual('mongoose:User:findOne:{"_id":"abc","firstname":"/dump/i"}')
+  })
+
+  it('should ignore undefined properties', () => {
+    const result = toCacheKey('User', 'findOne', { sort: undefined, filter: {} })
+    expect(result).toEqual('mongoose:User:findOne:{"filter":{}}')
+  })
+})
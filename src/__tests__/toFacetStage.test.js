@@ -0,0 +1,44 @@
+const { toFacetStage, fromFacetResult } = require('../toFacetStage')
+
+describe('Facet stage', () => {
+  it('should build page and count facets', () => {
+    const pageStages = [{ $skip: 20 }, { $limit: 10 }]
+    expect(toFacetStage(pageStages)).toEqual({
+      $facet: {
+        node: pageStages,
+        totalCount: [{ $count: 'count' }]
+      }
+    })
+  })
+
+  it('should build facets by path and pipeline', () => {
+    const perYear = [{ $group: { _id: { $year: '$createdAt' }, count: { $sum: 1 } } }]
+    const { $facet } = toFacetStage([], { status: 'status', perYear })
+    expect($facet.status).toEqual([
+      { $unwind: { path: '$status', preserveNullAndEmptyArrays: true } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ])
+    expect($facet.perYear).toBe(perYear)
+  })
+
+  it('should reject invalid facets', () => {
+    expect(() => toFacetStage([], { node: 'status' })).toThrow("Facet name 'node' is reserved.")
+    expect(() => toFacetStage([], { status: 1 })).toThrow("Facet 'status' needs a path or a list of pipeline stages.")
+  })
+
+  it('should read facet result', () => {
+    const result = [{
+      node: [{ _id: 1 }],
+      totalCount: [{ count: 21 }],
+      status: [{ value: 'open', count: 20 }, { value: 'closed', count: 1 }]
+    }]
+    expect(fromFacetResult(result)).toEqual({
+      node: [{ _id: 1 }],
+      totalCount: 21,
+      facets: { status: [{ value: 'open', count: 20 }, { value: 'closed', count: 1 }] }
+    })
+    expect(fromFacetResult([{ node: [], totalCount: [] }])).toEqual({ node: [], totalCount: 0, facets: {} })
+  })
+})
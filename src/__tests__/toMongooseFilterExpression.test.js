@@ -1,5 +1,9 @@
+const Mongoose = require('mongoose');
+const { UserInputError } = require('apollo-server-errors');
 const toMongooseFilterExpression = require('../toMongooseFilterExpression');
 
+const { ObjectId } = Mongoose.Types;
+
 describe('Convert GraphQL request to Mongoose query', () => {
   it('should convert contains', () => {
     const request = { firstname: { contains: 'dump' } };
@@ -90,4 +94,279 @@ describe('Convert GraphQL request to Mongoose query', () => {
     const result = toMongooseFilterExpression(request);
     expect(result).toEqual({ $and: [{ firstname: { $ne: 'dumbo' } }, { lastname: 'trump' }] });
   });
+  it('should escape regex metacharacters in string operators', () => {
+    const request = { firstname: { contains: 'a.b' }, lastname: { startsWith: '(x+' } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({
+      firstname: { $options: 'i', $regex: 'a\\.b' },
+      lastname: { $options: 'i', $regex: '^\\(x\\+' }
+    });
+  });
+
+  it('should convert case sensitive string operators', () => {
+    const request = {
+      firstname: { containsCaseSensitive: 'Dump' },
+      lastname: { notContainsCaseSensitive: 'Dump' },
+      nickname: { startsWithCaseSensitive: 'Dump' },
+      city: { endsWithCaseSensitive: 'Dump' }
+    };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({
+      firstname: { $regex: 'Dump' },
+      lastname: { $not: { $regex: 'Dump' } },
+      nickname: { $regex: '^Dump' },
+      city: { $regex: 'Dump$' }
+    });
+  });
+
+  it('should convert nin ($nin)', () => {
+    const request = { firstname: { nin: ['trump', 'dumbo'] } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ firstname: { $nin: ['trump', 'dumbo'] } });
+  });
+
+  it('should convert not ($not)', () => {
+    const request = { age: { not: { gt: 2 } }, firstname: { not: { contains: 'dump' } } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({
+      age: { $not: { $gt: 2 } },
+      firstname: { $not: { $options: 'i', $regex: 'dump' } }
+    });
+  });
+
+  it('should convert not equal to $ne', () => {
+    const request = { firstname: { not: { eq: 'dumbo' } } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ firstname: { $ne: 'dumbo' } });
+  });
+
+  it('should convert nor ($nor)', () => {
+    const request = { nor: [{ firstname: { eq: 'dumbo' } }, { lastname: { eq: 'trump' } }] };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ $nor: [{ firstname: 'dumbo' }, { lastname: 'trump' }] });
+  });
+
+  it('should convert size ($size)', () => {
+    const request = { tags: { size: '2' } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ tags: { $size: 2 } });
+    expect(() => toMongooseFilterExpression({ tags: { size: -1 } })).toThrow(UserInputError);
+  });
+
+  it('should convert all ($all)', () => {
+    const request = { tags: { all: ['red', 'blue'] } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ tags: { $all: ['red', 'blue'] } });
+  });
+
+  it('should convert elemMatch ($elemMatch) with nested filter', () => {
+    const request = { items: { elemMatch: { name: { eq: 'pen' }, qty: { gt: 5 } } } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ items: { $elemMatch: { name: 'pen', qty: { $gt: 5 } } } });
+  });
+
+  it('should convert elemMatch ($elemMatch) with operators', () => {
+    const request = { scores: { elemMatch: { ge: 80, lt: 85 } } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ scores: { $elemMatch: { $gte: 80, $lt: 85 } } });
+  });
+
+  it('should convert elemMatch ($elemMatch) with equality', () => {
+    const request = { tags: { elemMatch: { eq: 'x' } } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ tags: { $elemMatch: { $eq: 'x' } } });
+  });
+
+  it('should convert near ($near)', () => {
+    const request = { location: { near: { coordinates: [10, '53.5'], maxDistance: 1000 } } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({
+      location: { $near: { $geometry: { type: 'Point', coordinates: [10, 53.5] }, $maxDistance: 1000 } }
+    });
+  });
+
+  it('should convert withinBox to $geoWithin polygon', () => {
+    const request = { location: { withinBox: [[9, 53], [10, 54]] } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({
+      location: {
+        $geoWithin: {
+          $geometry: { type: 'Polygon', coordinates: [[[9, 53], [10, 53], [10, 54], [9, 54], [9, 53]]] }
+        }
+      }
+    });
+  });
+
+  it('should convert withinPolygon to $geoWithin and close the ring', () => {
+    const request = { location: { withinPolygon: [[9, 53], [10, 53], [10, 54]] } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({
+      location: {
+        $geoWithin: { $geometry: { type: 'Polygon', coordinates: [[[9, 53], [10, 53], [10, 54], [9, 53]]] } }
+      }
+    });
+  });
+
+  it('should convert geoIntersects ($geoIntersects)', () => {
+    const geometry = { type: 'LineString', coordinates: [[9, 53], [10, 54]] };
+    const request = { location: { geoIntersects: geometry } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ location: { $geoIntersects: { $geometry: geometry } } });
+  });
+
+  it('should reject invalid geo positions', () => {
+    expect(() => toMongooseFilterExpression({ location: { near: { coordinates: ['x', 1] } } })).toThrow(UserInputError);
+    expect(() => toMongooseFilterExpression({ location: { withinPolygon: [[9, 53]] } })).toThrow(UserInputError);
+  });
+
+  it('should reject unknown operators', () => {
+    expect(() => toMongooseFilterExpression({ age: { gte2: 5 } })).toThrow("Unknown filter operator 'gte2'.");
+    expect(() => toMongooseFilterExpression({ age: { ge: 5, gte2: 5 } })).toThrow(UserInputError);
+  });
+});
+
+describe('Convert GraphQL request to Mongoose query by schema', () => {
+  const schema = new Mongoose.Schema({
+    firstname: String,
+    age: Number,
+    active: Boolean,
+    born: Date,
+    price: Mongoose.Schema.Types.Decimal128,
+    friend: Mongoose.Schema.Types.ObjectId,
+    friends: [Mongoose.Schema.Types.ObjectId],
+    address: { city: String, zip: Number },
+    profile: new Mongoose.Schema({ height: Number }),
+    items: [{ name: String, qty: Number }],
+    scores: [Number]
+  });
+  const id = '5e8f1c1b2f1b2c3d4e5f6a7b';
+
+  it('should cast numeric strings to number', () => {
+    const request = { age: { ge: '18' } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result).toEqual({ age: { $gte: 18 } });
+  });
+
+  it('should cast date strings to date', () => {
+    const request = { born: { between: ['2020-01-01', '2020-12-31'] } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result.born.$gte).toEqual(new Date('2020-01-01'));
+    expect(result.born.$lte).toEqual(new Date('2020-12-31'));
+  });
+
+  it('should cast id strings to ObjectId', () => {
+    const request = { friend: { eq: id }, friends: { in: [id] } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result.friend).toBeInstanceOf(ObjectId);
+    expect(String(result.friend)).toEqual(id);
+    expect(result.friends.$in[0]).toBeInstanceOf(ObjectId);
+  });
+
+  it('should cast boolean and decimal values', () => {
+    const request = { active: { eq: 'false' }, price: { lt: '9.99' } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result.active).toEqual(false);
+    expect(result.price.$lt).toBeInstanceOf(Mongoose.Types.Decimal128);
+    expect(String(result.price.$lt)).toEqual('9.99');
+  });
+
+  it('should cast exists to boolean', () => {
+    const request = { firstname: { exists: '1' } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result).toEqual({ firstname: { $exists: true } });
+  });
+
+  it('should cast plain values', () => {
+    const request = { age: '42', friend: id };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result.age).toEqual(42);
+    expect(result.friend).toBeInstanceOf(ObjectId);
+  });
+
+  it('should cast embedded paths in dot notation', () => {
+    const request = { 'address.zip': { eq: '20095' }, 'profile.height': { gt: '1.8' } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result).toEqual({ 'address.zip': 20095, 'profile.height': { $gt: 1.8 } });
+  });
+
+  it('should flatten nested filter objects to dot notation', () => {
+    const request = { address: { city: { startsWith: 'Ham' }, zip: { eq: '20095' } } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result).toEqual({ 'address.city': { $options: 'i', $regex: '^Ham' }, 'address.zip': 20095 });
+  });
+
+  it('should cast values in logical operators', () => {
+    const request = { or: [{ age: { lt: '18' } }, { age: { gt: '65' } }] };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result).toEqual({ $or: [{ age: { $lt: 18 } }, { age: { $gt: 65 } }] });
+  });
+
+  it('should cast values of elemMatch by embedded schema', () => {
+    const request = { items: { elemMatch: { qty: { gt: '5' } } }, scores: { elemMatch: { ge: '80' } } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result).toEqual({ items: { $elemMatch: { qty: { $gt: 5 } } }, scores: { $elemMatch: { $gte: 80 } } });
+  });
+
+  it('should convert nested filters of document arrays to sub paths', () => {
+    const request = { items: { name: { eq: 'pen' }, qty: { gt: '5' } } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result).toEqual({ 'items.name': 'pen', 'items.qty': { $gt: 5 } });
+  });
+
+  it('should reject unknown operators by schema', () => {
+    expect(() => toMongooseFilterExpression({ age: { gte2: 5 } }, schema)).toThrow("Unknown filter operator 'gte2'.");
+  });
+
+  it('should cast values of not, nin and all', () => {
+    const request = { age: { not: { lt: '18' } }, scores: { all: ['1', '2'] }, friends: { nin: [id] } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result.age).toEqual({ $not: { $lt: 18 } });
+    expect(result.scores).toEqual({ $all: [1, 2] });
+    expect(result.friends.$nin[0]).toBeInstanceOf(ObjectId);
+  });
+
+  it('should reject unknown paths', () => {
+    const request = { lastname: { eq: 'trump' } };
+    expect(() => toMongooseFilterExpression(request, schema)).toThrow('Unknown filter field \'lastname\'.');
+  });
+
+  it('should reject values not cast able to path type', () => {
+    expect(() => toMongooseFilterExpression({ age: { eq: 'old' } }, schema)).toThrow(UserInputError);
+    expect(() => toMongooseFilterExpression({ born: { eq: 'yesterday' } }, schema)).toThrow(UserInputError);
+    expect(() => toMongooseFilterExpression({ friend: { eq: 'nobody' } }, schema)).toThrow(UserInputError);
+    expect(() => toMongooseFilterExpression({ active: { eq: 'maybe' } }, schema)).toThrow(UserInputError);
+  });
+});
+
+describe('Convert multiple operators per field', () => {
+  it('should merge range operators', () => {
+    const request = { age: { ge: 18, lt: 65 } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({ age: { $gte: 18, $lt: 65 } });
+  });
+
+  it('should merge regex with other operators', () => {
+    const request = { firstname: { startsWith: 'du', notContains: 'mb', exists: '1' } };
+    const result = toMongooseFilterExpression(request);
+    expect(result).toEqual({
+      firstname: { $regex: '^du', $options: 'i', $not: { $regex: 'mb', $options: 'i' }, $exists: 1 }
+    });
+  });
+
+  it('should cast all merged operators by schema', () => {
+    const schema = new Mongoose.Schema({ age: Number });
+    const request = { age: { ge: '18', lt: '65', ne: '30' } };
+    const result = toMongooseFilterExpression(request, schema);
+    expect(result).toEqual({ age: { $gte: 18, $lt: 65, $ne: 30 } });
+  });
+
+  it('should reject eq together with other operators', () => {
+    const request = { firstname: { eq: 'dumbo', contains: 'dump' } };
+    expect(() => toMongooseFilterExpression(request)).toThrow('Conflicting filter operators \'eq\', \'contains\' on field \'firstname\'.');
+  });
+
+  it('should reject operators overwriting each other', () => {
+    expect(() => toMongooseFilterExpression({ firstname: { contains: 'du', endsWith: 'bo' } })).toThrow(UserInputError);
+    expect(() => toMongooseFilterExpression({ age: { between: [1, 5], ge: 2 } })).toThrow(UserInputError);
+  });
 });
@@ -0,0 +1,35 @@
+const { ApolloError } = require('apollo-server-errors')
+const Mongoose = require('mongoose')
+const toMongooseModel = require('../toMongooseModel')
+
+describe('Resolve Mongoose model', () => {
+  const schema = new Mongoose.Schema({ name: String })
+  const Model = Mongoose.model('ResolveModelDefault', schema)
+  const connection = Mongoose.createConnection()
+  const ConnectionModel = connection.model('ResolveModelConnection', schema)
+
+  it('should use Mongoose model', () => {
+    expect(toMongooseModel(Model)).toBe(Model)
+    expect(toMongooseModel(ConnectionModel)).toBe(ConnectionModel)
+  })
+
+  it('should resolve model name of the default connection', () => {
+    expect(toMongooseModel('ResolveModelDefault')).toBe(Model)
+    expect(() => toMongooseModel('ResolveModelConnection')).toThrow(ApolloError)
+    expect(() => toMongooseModel('ResolveModelConnection'))
+      .toThrow("Unknown Mongoose model 'ResolveModelConnection'. Did you import your Mongoose model?")
+  })
+
+  it('should resolve model name of a connection', () => {
+    expect(toMongooseModel({ connection, modelName: 'ResolveModelConnection' })).toBe(ConnectionModel)
+    expect(toMongooseModel({ connection, modelName: 'ResolveModelConnection' }).schema).toBe(schema)
+    expect(() => toMongooseModel({ connection, modelName: 'ResolveModelDefault' }))
+      .toThrow("Unknown Mongoose model 'ResolveModelDefault' on the given connection.")
+  })
+
+  it('should reject other values', () => {
+    expect(() => toMongooseModel()).toThrow(ApolloError)
+    expect(() => toMongooseModel({ modelName: 'ResolveModelDefault' })).toThrow(ApolloError)
+    expect(() => toMongooseModel(() => {})).toThrow(ApolloError)
+  })
+})
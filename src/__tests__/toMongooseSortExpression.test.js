@@ -0,0 +1,66 @@
+const Mongoose = require('mongoose')
+const toMongooseSortExpression = require('../toMongooseSortExpression')
+const { hasNullsOrder, toSortStages } = require('../toMongooseSortExpression')
+
+describe('Convert GraphQL sort input to Mongoose sort', () => {
+  it('should convert list of sort fields in order with id as tiebreaker', () => {
+    const result = toMongooseSortExpression([{ field: 'lastname', direction: 'DESC' }, { field: 'firstname' }])
+    expect(Object.entries(result)).toEqual([['lastname', -1], ['firstname', 1], ['_id', 1]])
+  })
+
+  it('should convert nested sort fields to dot notation', () => {
+    const result = toMongooseSortExpression([{ field: 'address__city', direction: 'ASC' }, { field: 'profile___id' }])
+    expect(result).toEqual({ 'address.city': 1, 'profile._id': 1, _id: 1 })
+    expect(toMongooseSortExpression([{ field: '__v', direction: 'DESC' }, { field: 'meta____v' }]))
+      .toEqual({ __v: -1, 'meta.__v': 1, _id: 1 })
+  })
+
+  it('should keep an explicit id sort', () => {
+    expect(toMongooseSortExpression([{ field: '_id', direction: 'DESC' }])).toEqual({ _id: -1 })
+  })
+
+  it('should convert other sort values to sort objects', () => {
+    expect(toMongooseSortExpression({ lastname: -1 })).toEqual({ lastname: -1, _id: 1 })
+    expect(toMongooseSortExpression('-lastname firstname')).toEqual({ lastname: -1, firstname: 1, _id: 1 })
+    expect(toMongooseSortExpression({})).toEqual({})
+    expect(toMongooseSortExpression(null)).toBe(null)
+  })
+
+  it('should reject unknown fields and nulls orders', () => {
+    const schema = new Mongoose.Schema({ lastname: String, address: { city: String } })
+    expect(toMongooseSortExpression([{ field: 'address__city' }], schema)).toEqual({ 'address.city': 1, _id: 1 })
+    expect(() => toMongooseSortExpression([{ field: 'age' }], schema)).toThrow("Unknown sort field 'age'.")
+    expect(() => toMongooseSortExpression([{ field: 'lastname', nulls: 'MIDDLE' }]))
+      .toThrow("Invalid nulls order 'MIDDLE' of sort field 'lastname'.")
+  })
+
+  it('should accept computed fields of aggregations', () => {
+    const schema = new Mongoose.Schema({ lastname: String })
+    expect(toMongooseSortExpression([{ field: 'orderCount', direction: 'DESC' }], schema, ['orderCount']))
+      .toEqual({ orderCount: -1, _id: 1 })
+    expect(toSortStages([{ field: 'stats__total' }], schema, ['stats'])).toEqual([{ $sort: { 'stats.total': 1, _id: 1 } }])
+    expect(() => toSortStages([{ field: 'orderCount' }], schema)).toThrow("Unknown sort field 'orderCount'.")
+  })
+
+  it('should detect nulls orders differing from MongoDB', () => {
+    expect(hasNullsOrder([{ field: 'lastname', nulls: 'FIRST' }, { field: 'age', direction: 'DESC', nulls: 'LAST' }])).toBe(false)
+    expect(hasNullsOrder([{ field: 'lastname', nulls: 'LAST' }])).toBe(true)
+    expect(hasNullsOrder([{ field: 'lastname', direction: 'DESC', nulls: 'first' }])).toBe(true)
+    expect(hasNullsOrder({ lastname: 1 })).toBe(false)
+  })
+
+  it('should convert sort to aggregation stages', () => {
+    expect(toSortStages(null)).toEqual([])
+    expect(toSortStages([{ field: 'lastname' }])).toEqual([{ $sort: { lastname: 1, _id: 1 } }])
+    expect(toSortStages([{ field: 'lastname', nulls: 'LAST' }, { field: 'age', direction: 'DESC', nulls: 'FIRST' }])).toEqual([
+      {
+        $addFields: {
+          __nulls0: { $cond: [{ $eq: [{ $ifNull: ['$lastname', null] }, null] }, 1, 0] },
+          __nulls1: { $cond: [{ $eq: [{ $ifNull: ['$age', null] }, null] }, 0, 1] }
+        }
+      },
+      { $sort: { __nulls0: 1, lastname: 1, __nulls1: 1, age: -1, _id: 1 } },
+      { $project: { __nulls0: 0, __nulls1: 0 } }
+    ])
+  })
+})
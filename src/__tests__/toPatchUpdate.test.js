@@ -0,0 +1,98 @@
+const Mongoose = require('mongoose')
+const { toPatchUpdate, needsAtomicUpdate, applyPatchUpdate } = require('../toPatchUpdate')
+
+describe('Patch update', () => {
+  it('should merge nested fields and unset null values', () => {
+    const owner = new Mongoose.Types.ObjectId()
+    const date = new Date('2020-01-01T00:00:00Z')
+    const patch = {
+      name: 'a',
+      address: { city: 'x', zip: null, geo: {} },
+      tags: [],
+      owner,
+      date,
+      missing: undefined
+    }
+    expect(toPatchUpdate(patch)).toEqual({
+      $set: { name: 'a', 'address.city': 'x', tags: [], owner, date },
+      $unset: { 'address.zip': '' }
+    })
+    expect(toPatchUpdate({})).toEqual({})
+  })
+
+  it('should apply empty string policy', () => {
+    const patch = { name: '', city: 'x' }
+    expect(toPatchUpdate(patch)).toEqual({ $set: { name: '', city: 'x' } })
+    expect(toPatchUpdate(patch, { emptyString: 'unset' })).toEqual({ $set: { city: 'x' }, $unset: { name: '' } })
+    expect(toPatchUpdate(patch, { emptyString: 'ignore' })).toEqual({ $set: { city: 'x' } })
+    expect(() => toPatchUpdate(patch, { emptyString: 'drop' })).toThrow("Unknown empty string policy 'drop'.")
+  })
+
+  it('should build array and increment operators', () => {
+    const patch = {
+      name: 'a',
+      $inc: { count: 2 },
+      $push: { tags: ['a', 'b'], log: 'x' },
+      $addToSet: { roles: ['admin'] },
+      $pull: { labels: ['old'], 'address.lines': 'x' },
+      $unset: { legacy: 1 }
+    }
+    expect(toPatchUpdate(patch)).toEqual({
+      $set: { name: 'a' },
+      $inc: { count: 2 },
+      $push: { tags: { $each: ['a', 'b'] }, log: 'x' },
+      $addToSet: { roles: { $each: ['admin'] } },
+      $pull: { labels: { $in: ['old'] }, 'address.lines': 'x' },
+      $unset: { legacy: '' }
+    })
+  })
+
+  it('should reject invalid updates', () => {
+    expect(() => toPatchUpdate({ $rename: { a: 'b' } })).toThrow("Unsupported update operator '$rename'.")
+    expect(() => toPatchUpdate({ $inc: { count: '1' } })).toThrow("Increment of 'count' needs a number.")
+    expect(() => toPatchUpdate({ tags: ['a'], $push: { tags: 'b' } })).toThrow("Conflicting changes of path 'tags'.")
+    expect(() => toPatchUpdate({ address: null, $set: { 'address.city': 'x' } }))
+      .toThrow("Conflicting changes of path 'address.city'.")
+  })
+
+  it('should apply update to Mongoose document', () => {
+    const schema = new Mongoose.Schema({
+      name: String,
+      count: Number,
+      tags: [String],
+      roles: [String],
+      log: [String],
+      address: { city: String, zip: String }
+    })
+    const Model = Mongoose.model('PatchUpdate', schema)
+    const document = new Model({ name: 'a', count: 1, tags: ['a', 'b'], log: ['x'], address: { city: 'x', zip: '1' } })
+    const update = toPatchUpdate({
+      address: { zip: null },
+      $push: { log: ['y', 'z'] },
+      $pull: { tags: 'a' },
+      $addToSet: { roles: ['admin', 'admin'] }
+    })
+    applyPatchUpdate(document, update)
+    expect(document.toObject()).toMatchObject({
+      name: 'a',
+      count: 1,
+      tags: ['b'],
+      roles: ['admin'],
+      log: ['x', 'y', 'z'],
+      address: { city: 'x' }
+    })
+    expect(document.address.zip).toBe(undefined)
+    expect(() => applyPatchUpdate(document, toPatchUpdate({ $inc: { count: 2 } })))
+      .toThrow('Increments have to be written with an atomic update.')
+    expect(() => applyPatchUpdate(document, toPatchUpdate({ $pull: { log: { $in: ['x'], $ne: 'y' } } })))
+      .toThrow('Pulls by condition have to be written with an atomic update.')
+  })
+
+  it('should detect updates needing an atomic update', () => {
+    expect(needsAtomicUpdate(toPatchUpdate({ $inc: { count: 1 } }))).toBe(true)
+    expect(needsAtomicUpdate(toPatchUpdate({ $pull: { items: { qty: { $lt: 5 } } } }))).toBe(true)
+    expect(needsAtomicUpdate(toPatchUpdate({ $pull: { scores: { $lt: 5 } } }))).toBe(true)
+    expect(needsAtomicUpdate(toPatchUpdate({ $pull: { tags: ['a', 'b'], labels: 'c' } }))).toBe(false)
+    expect(needsAtomicUpdate(toPatchUpdate({ name: 'a', $push: { tags: 'a' } }))).toBe(false)
+  })
+})
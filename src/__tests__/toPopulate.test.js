@@ -0,0 +1,127 @@
+const Mongoose = require('mongoose')
+const { graphql, buildSchema } = require('graphql')
+const {
+  getPopulateDepth, assertPopulateDepth, populateFromInfo, toLookupStages
+} = require('../toPopulate')
+
+describe('Populate references', () => {
+  const Company = Mongoose.model('PopulateCompany', new Mongoose.Schema({
+    name: String,
+    owner: { type: Mongoose.Schema.Types.ObjectId, ref: 'PopulatePerson' }
+  }))
+  const Person = Mongoose.model('PopulatePerson', new Mongoose.Schema({
+    name: String,
+    company: { type: Mongoose.Schema.Types.ObjectId, ref: 'PopulateCompany' },
+    friends: [{ type: Mongoose.Schema.Types.ObjectId, ref: 'PopulatePerson' }],
+    address: {
+      city: String,
+      landlord: { type: Mongoose.Schema.Types.ObjectId, ref: 'PopulatePerson' }
+    }
+  }))
+  const resolveModel = (name) => Mongoose.model(name)
+
+  const typeDefs = buildSchema(`
+    type Company { name: String owner: Person }
+    type Address { city: String landlord: Person }
+    type Person { name: String company: Company friends: [Person] address: Address }
+    type PersonPage { node: [Person] }
+    type Query { person: Person people: PersonPage }
+  `)
+
+  /**
+   * Execute query and return resolve info of the query field.
+   * @param {string} query GraphQL query.
+   * @returns {promise} Resolve info.
+   */
+  async function resolveInfo (query) {
+    let info = null
+    const capture = (args, context, resolveInfo) => {
+      info = resolveInfo
+      return null
+    }
+    await graphql({ schema: typeDefs, source: query, rootValue: { person: capture, people: capture } })
+    return info
+  }
+
+  it('should calculate populate depth', () => {
+    expect(getPopulateDepth('company friends')).toEqual(1)
+    expect(getPopulateDepth(['company', { path: 'friends', populate: { path: 'company', populate: 'owner' } }])).toEqual(3)
+    expect(getPopulateDepth(null)).toEqual(0)
+  })
+
+  it('should reject populate deeper than maximum depth', () => {
+    expect(() => assertPopulateDepth({ path: 'company', populate: 'owner' }, 1)).toThrow('Populate depth 2 exceeds maximum depth of 1.')
+    expect(() => assertPopulateDepth({ path: 'company', populate: 'owner' }, 2)).not.toThrow()
+  })
+
+  it('should populate only selected references', async () => {
+    const info = await resolveInfo('{ person { name company { name } } }')
+    const result = populateFromInfo(info, { schema: Person.schema, resolveModel, maxDepth: 2 })
+    expect(result).toEqual([{ path: 'company', select: { _id: 1, name: 1 } }])
+  })
+
+  it('should populate nested references and references in embedded documents', async () => {
+    const info = await resolveInfo('{ people { node { friends { company { owner { name } } } address { landlord { name } } } } }')
+    const result = populateFromInfo(info, { schema: Person.schema, resolveModel, maxDepth: 3, path: 'node' })
+    expect(result).toEqual([
+      {
+        path: 'friends',
+        select: { _id: 1, company: 1 },
+        populate: [{
+          path: 'company',
+          select: { _id: 1, owner: 1 },
+          populate: [{ path: 'owner', select: { _id: 1, name: 1 } }]
+        }]
+      },
+      { path: 'address.landlord', select: { _id: 1, name: 1 } }
+    ])
+  })
+
+  it('should stop populating at maximum depth', async () => {
+    const info = await resolveInfo('{ person { company { owner { name } } } }')
+    const result = populateFromInfo(info, { schema: Person.schema, resolveModel, maxDepth: 1 })
+    expect(result).toEqual([{ path: 'company', select: { _id: 1, owner: 1 } }])
+  })
+
+  it('should convert populate to lookup stages', () => {
+    const result = toLookupStages(['company', { path: 'friends', select: 'name' }], Person.schema, resolveModel)
+    expect(result).toEqual([
+      {
+        $lookup: {
+          from: Company.collection.collectionName,
+          let: { ref: '$company' },
+          pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$ref'] } } }],
+          as: 'company'
+        }
+      },
+      { $unwind: { path: '$company', preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: Person.collection.collectionName,
+          let: { ref: '$friends' },
+          pipeline: [{ $match: { $expr: { $in: ['$_id', { $ifNull: ['$$ref', []] }] } } }, { $project: { name: 1 } }],
+          as: 'friends'
+        }
+      }
+    ])
+  })
+
+  it('should convert nested populate to nested lookup stages', () => {
+    const result = toLookupStages({ path: 'company', populate: 'owner' }, Person.schema, resolveModel)
+    expect(result[0].$lookup.pipeline.slice(1)).toEqual([
+      {
+        $lookup: {
+          from: Person.collection.collectionName,
+          let: { ref: '$owner' },
+          pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$ref'] } } }],
+          as: 'owner'
+        }
+      },
+      { $unwind: { path: '$owner', preserveNullAndEmptyArrays: true } }
+    ])
+  })
+
+  it('should reject lookup of paths which are no reference', () => {
+    expect(() => toLookupStages('name', Person.schema, resolveModel)).toThrow('Path \'name\' is no reference and can not be populated.')
+  })
+})
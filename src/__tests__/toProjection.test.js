@@ -0,0 +1,105 @@
+const Mongoose = require('mongoose')
+const { graphql, buildSchema } = require('graphql')
+const { isResolveInfo, toProjection } = require('../toProjection')
+
+describe('Build projection from GraphQL resolve info', () => {
+  const typeDefs = buildSchema(`
+    type Address { city: String zip: String }
+    type Order { total: Float note: String }
+    type User {
+      _id: ID
+      firstname: String
+      lastname: String
+      fullname: String
+      address: Address
+      orders: [Order]
+      manager: User
+    }
+    type UserPage { totalCount: Int node: [User] }
+    type UserEdge { cursor: String node: User }
+    type UserConnection { edges: [UserEdge] }
+    type Query {
+      user: User
+      users: UserPage
+      connection: UserConnection
+    }
+  `)
+  const schema = new Mongoose.Schema({
+    firstname: String,
+    lastname: String,
+    address: { city: String, zip: String },
+    orders: [{ total: Number, note: String }],
+    manager: Mongoose.Schema.Types.ObjectId
+  })
+
+  /**
+   * Execute query and return resolve info of the query field.
+   * @param {string} query GraphQL query.
+   * @param {object} [variableValues] Query variables (optional).
+   * @returns {promise} Resolve info.
+   */
+  async function resolveInfo (query, variableValues = {}) {
+    let info = null
+    const capture = (args, context, resolveInfo) => {
+      info = resolveInfo
+      return null
+    }
+    await graphql({
+      schema: typeDefs,
+      source: query,
+      rootValue: { user: capture, users: capture, connection: capture },
+      variableValues
+    })
+    return info
+  }
+
+  it('should detect resolve info', async () => {
+    const info = await resolveInfo('{ user { firstname } }')
+    expect(isResolveInfo(info)).toEqual(true)
+    expect(isResolveInfo({ firstname: 1 })).toEqual(false)
+  })
+
+  it('should project selected fields by field name instead of alias', async () => {
+    const info = await resolveInfo('{ user { name: firstname lastname __typename } }')
+    expect(toProjection(info)).toEqual({ _id: 1, firstname: 1, lastname: 1 })
+  })
+
+  it('should resolve inline and named fragments', async () => {
+    const info = await resolveInfo(`
+      query { user { ...Names ... on User { address { city } } } }
+      fragment Names on User { firstname }
+    `)
+    expect(toProjection(info, { schema })).toEqual({ _id: 1, firstname: 1, 'address.city': 1 })
+  })
+
+  it('should project nested embedded documents by sub fields', async () => {
+    const info = await resolveInfo('{ user { orders { total } manager { firstname } } }')
+    expect(toProjection(info, { schema })).toEqual({ _id: 1, 'orders.total': 1, manager: 1 })
+  })
+
+  it('should skip fields which are not stored and add required fields', async () => {
+    const info = await resolveInfo('{ user { fullname } }')
+    const result = toProjection(info, { schema, requiredFields: ['firstname', 'lastname'] })
+    expect(result).toEqual({ _id: 1, firstname: 1, lastname: 1 })
+  })
+
+  it('should read documents of page and connection wrappers', async () => {
+    const pageInfo = await resolveInfo('{ users { totalCount node { firstname } } }')
+    expect(toProjection(pageInfo, { path: 'node' })).toEqual({ _id: 1, firstname: 1 })
+    const connectionInfo = await resolveInfo('{ connection { edges { cursor node { lastname } } } }')
+    expect(toProjection(connectionInfo, { path: 'edges.node' })).toEqual({ _id: 1, lastname: 1 })
+  })
+
+  it('should respect skip and include directives', async () => {
+    const info = await resolveInfo(
+      'query ($withName: Boolean!) { user { firstname @include(if: $withName) lastname @skip(if: true) address { zip } } }',
+      { withName: false }
+    )
+    expect(toProjection(info)).toEqual({ _id: 1, address: 1 })
+  })
+
+  it('should not project sub paths of projected paths', async () => {
+    const info = await resolveInfo('{ user { address { city } } }')
+    expect(toProjection(info, { schema, requiredFields: ['address'] })).toEqual({ _id: 1, address: 1 })
+  })
+})
@@ -0,0 +1,100 @@
+const { hasErrorLabel, runTransaction } = require('../transaction')
+
+/**
+ * Create a fake client session, recording all transaction calls.
+ * @param {array} commitErrors Errors thrown by the next commits.
+ * @returns {object} Session.
+ */
+function createSession (commitErrors = []) {
+  const session = {
+    calls: [],
+    active: false,
+    startTransaction () {
+      session.calls.push('start')
+      session.active = true
+    },
+    inTransaction () {
+      return session.active
+    },
+    async commitTransaction () {
+      session.calls.push('commit')
+      const err = commitErrors.shift()
+      if (err) {
+        throw err
+      }
+      session.active = false
+    },
+    async abortTransaction () {
+      session.calls.push('abort')
+      session.active = false
+    }
+  }
+  return session
+}
+
+/**
+ * Create an error with MongoDB error labels.
+ * @param {string} label Error label.
+ * @returns {Error}
+ */
+function labeledError (label) {
+  const err = new Error(label)
+  err.errorLabels = [label]
+  return err
+}
+
+describe('Transaction', () => {
+  it('should detect error labels', () => {
+    expect(hasErrorLabel(labeledError('TransientTransactionError'), 'TransientTransactionError')).toBe(true)
+    expect(hasErrorLabel({ hasErrorLabel: (label) => label === 'a' }, 'a')).toBe(true)
+    expect(hasErrorLabel(new Error('other'), 'TransientTransactionError')).toBe(false)
+    expect(hasErrorLabel(null, 'TransientTransactionError')).toBe(false)
+    const mapped = Object.assign(new Error('mapped'), { originalError: labeledError('TransientTransactionError') })
+    expect(hasErrorLabel(mapped, 'TransientTransactionError')).toBe(true)
+  })
+
+  it('should commit transaction', async () => {
+    const session = createSession()
+    const result = await runTransaction(session, async (transactionSession) => {
+      expect(transactionSession).toBe(session)
+      return 'done'
+    })
+    expect(result).toBe('done')
+    expect(session.calls).toEqual(['start', 'commit'])
+  })
+
+  it('should abort transaction on error', async () => {
+    const session = createSession()
+    const callback = jest.fn(async () => { throw new Error('failed') })
+    await expect(runTransaction(session, callback)).rejects.toThrow('failed')
+    expect(callback).toHaveBeenCalledTimes(1)
+    expect(session.calls).toEqual(['start', 'abort'])
+  })
+
+  it('should retry transaction on transient errors', async () => {
+    const session = createSession()
+    let attempt = 0
+    const result = await runTransaction(session, async () => {
+      attempt += 1
+      if (attempt < 3) {
+        throw labeledError('TransientTransactionError')
+      }
+      return attempt
+    })
+    expect(result).toBe(3)
+    expect(session.calls).toEqual(['start', 'abort', 'start', 'abort', 'start', 'commit'])
+  })
+
+  it('should give up after maximum retries', async () => {
+    const session = createSession()
+    const callback = jest.fn(async () => { throw labeledError('TransientTransactionError') })
+    await expect(runTransaction(session, callback, { maxRetries: 1 })).rejects.toThrow('TransientTransactionError')
+    expect(callback).toHaveBeenCalledTimes(2)
+  })
+
+  it('should retry commit with unknown result', async () => {
+    const session = createSession([labeledError('UnknownTransactionCommitResult')])
+    await runTransaction(session, async () => null)
+    expect(session.calls).toEqual(['start', 'commit', 'commit'])
+  })
+})
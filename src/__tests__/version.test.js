@@ -0,0 +1,40 @@
+const { UserInputError } = require('apollo-server-errors')
+const {
+  toEtag, fromEtag, isSameVersion, withVersionUpdate
+} = require('../version')
+
+describe('Document version', () => {
+  it('should round-trip version as etag', () => {
+    const date = new Date('2020-04-01T10:00:00.123Z')
+    expect(fromEtag(toEtag(3))).toBe(3)
+    expect(fromEtag(toEtag(0))).toBe(0)
+    expect(fromEtag(toEtag(date))).toEqual(date)
+    expect(toEtag(3)).not.toBe('3')
+    expect(toEtag(undefined)).toBe(null)
+  })
+
+  it('should reject invalid etag', () => {
+    expect(() => fromEtag('invalid')).toThrow(UserInputError)
+    expect(() => fromEtag(Buffer.from('{}').toString('base64'))).toThrow("Invalid etag 'e30='.")
+  })
+
+  it('should compare versions', () => {
+    const date = new Date('2020-04-01T10:00:00.123Z')
+    expect(isSameVersion(3, 3)).toBe(true)
+    expect(isSameVersion(3, '3')).toBe(true)
+    expect(isSameVersion(3, 4)).toBe(false)
+    expect(isSameVersion(undefined, 'undefined')).toBe(false)
+    expect(isSameVersion(date, new Date(date.getTime()))).toBe(true)
+    expect(isSameVersion(date, '2020-04-01T10:00:00.123Z')).toBe(true)
+    expect(isSameVersion(date, '2020-04-01T10:00:00.000Z')).toBe(false)
+  })
+
+  it('should add version change to update', () => {
+    const date = new Date('2020-04-01T10:00:00.123Z')
+    expect(withVersionUpdate({ name: 'a' }, '__v', true)).toEqual({ $set: { name: 'a' }, $inc: { __v: 1 } })
+    expect(withVersionUpdate({ $inc: { count: 1 }, name: 'a' }, '__v', true))
+      .toEqual({ $set: { name: 'a' }, $inc: { count: 1, __v: 1 } })
+    expect(withVersionUpdate({ $set: { name: 'a' } }, 'updatedAt', false, date))
+      .toEqual({ $set: { name: 'a', updatedAt: date } })
+  })
+})
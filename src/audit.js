@@ -0,0 +1,203 @@
+const { isPlainObject } = require('./plainObject')
+
+/**
+ * Default collection of audit entries.
+ * @type {string}
+ */
+const AUDIT_COLLECTION = 'auditlogs'
+
+/**
+ * Convert value to a JSON compatible value, which keeps dates and ObjectIds distinguishable.
+ * @param {*} value Any document value.
+ * @returns {*} Comparable value.
+ */
+function toComparable (value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() }
+  }
+  if (value && typeof value.toHexString === 'function') {
+    return { $oid: value.toHexString() }
+  }
+  if (Array.isArray(value)) {
+    return value.map(toComparable)
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((comparable, key) => {
+      comparable[key] = toComparable(value[key])
+      return comparable
+    }, {})
+  }
+  return value
+}
+
+/**
+ * Compare document values by content.
+ * @param {*} a Value.
+ * @param {*} b Value.
+ * @returns {boolean}
+ */
+function isEqualValue (a, b) {
+  return JSON.stringify(toComparable(a)) === JSON.stringify(toComparable(b))
+}
+
+/**
+ * Flatten nested objects of a document to dot notated paths. Arrays, dates, ObjectIds
+ * and empty objects are values.
+ * @param {object} document Plain document.
+ * @param {string} [prefix] Path of the document (optional).
+ * @returns {object} Values by path.
+ */
+function flattenDocument (document, prefix = '') {
+  return Object.keys(document || {}).reduce((paths, key) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    const value = document[key]
+    if (isPlainObject(value) && Object.keys(value).length) {
+      return { ...paths, ...flattenDocument(value, path) }
+    }
+    paths[path] = value
+    return paths
+  }, {})
+}
+
+/**
+ * Build field level diff of two plain documents. A missing before or after value means the path did not exist.
+ * @param {object} before Document before the change, empty object for created documents.
+ * @param {object} after Document after the change, empty object for removed documents.
+ * @param {array} [ignorePaths] Paths left out of the diff, like the version key (optional).
+ * @returns {array} List of changes { path, before, after }.
+ */
+function diffDocuments (before, after, ignorePaths = []) {
+  const beforePaths = flattenDocument(before)
+  const afterPaths = flattenDocument(after)
+  const paths = Object.keys(beforePaths).concat(Object.keys(afterPaths).filter((path) => !(path in beforePaths)))
+
+  return paths
+    .filter((path) => !ignorePaths.some((ignorePath) => path === ignorePath || path.startsWith(`${ignorePath}.`)))
+    .filter((path) => !isEqualValue(beforePaths[path], afterPaths[path]))
+    .map((path) => {
+      // undefined would be stored as null, so missing values are left out
+      const change = { path }
+      if (beforePaths[path] !== undefined) {
+        change.before = beforePaths[path]
+      }
+      if (afterPaths[path] !== undefined) {
+        change.after = afterPaths[path]
+      }
+      return change
+    })
+}
+
+/**
+ * Copy nested plain objects of a document, so it can be changed without touching the original.
+ * @param {object} document Plain document.
+ * @returns {object}
+ */
+function cloneDocument (document) {
+  return Object.keys(document).reduce((clone, key) => {
+    clone[key] = isPlainObject(document[key]) ? cloneDocument(document[key]) : document[key]
+    return clone
+  }, {})
+}
+
+/**
+ * Set or remove a dot notated path of a plain document.
+ * @param {object} document Plain document, changed in place.
+ * @param {string} path Dot notated path.
+ * @param {*} value New value, undefined removes the path.
+ * @returns {void}
+ */
+function setPath (document, path, value) {
+  const segments = path.split('.')
+  const last = segments.pop()
+  let node = document
+  for (const segment of segments) {
+    if (!isPlainObject(node[segment])) {
+      if (value === undefined) {
+        return
+      }
+      node[segment] = {}
+    }
+    node = node[segment]
+  }
+  if (value === undefined) {
+    delete node[last]
+  } else {
+    node[last] = value
+  }
+}
+
+/**
+ * Apply the after values of changes to a plain document. Removed paths are applied first,
+ * so a nested object replaced by a value does not override the new value.
+ * @param {object} document Plain document.
+ * @param {array} changes List of changes { path, before, after }.
+ * @returns {object} New document.
+ */
+function applyChanges (document, changes) {
+  const state = cloneDocument(document || {})
+  changes
+    .filter((change) => change.after === undefined)
+    .forEach((change) => setPath(state, change.path, undefined))
+  changes
+    .filter((change) => change.after !== undefined)
+    .forEach((change) => setPath(state, change.path, change.after))
+  return state
+}
+
+/**
+ * Rebuild the state of a document after a version of its history.
+ * @param {array} entries Audit entries of the document, oldest first.
+ * @param {number} version Version, the position of an entry in the history starting with 1.
+ * @returns {object|null} Plain document, null when the document did not exist after the version.
+ */
+function replayHistory (entries, version) {
+  return entries.slice(0, version).reduce(
+    (state, entry) => (entry.removed ? null : applyChanges(state, entry.changes)),
+    null
+  )
+}
+
+/**
+ * Create an audit sink writing to a collection of a Mongoose connection.
+ * A sink has two functions: **write** storing a list of entries and **find**
+ * reading the entries matching a query, oldest first. Both receive an option **session**.
+ * @param {object} connection Mongoose connection.
+ * @param {string} [collectionName] Name of the audit collection (optional).
+ * @returns {object} Audit sink.
+ */
+function createCollectionSink (connection, collectionName = AUDIT_COLLECTION) {
+  const toOptions = ({ session } = {}) => (session ? { session } : {})
+  return {
+    async write (entries, options) {
+      await connection.collection(collectionName).insertMany(entries, toOptions(options))
+    },
+    async find (query, options) {
+      return connection.collection(collectionName)
+        .find(query, toOptions(options))
+        .sort({ createdAt: 1, _id: 1 })
+        .toArray()
+    }
+  }
+}
+
+/**
+ * Normalize audit option. True writes entries to the default collection, an object can set
+ * **collection**, a custom **sink** and **actor**, a function reading the acting user from the context.
+ * @param {boolean|object} option Audit option.
+ * @returns {object|null} Audit configuration, null when auditing is disabled.
+ */
+function normalizeAudit (option) {
+  if (!option) {
+    return null
+  }
+  const { collection = AUDIT_COLLECTION, sink = null, actor = null } = option === true ? {} : option
+  return { collection, sink, actor }
+}
+
+module.exports = {
+  diffDocuments,
+  applyChanges,
+  replayHistory,
+  createCollectionSink,
+  normalizeAudit
+}
@@ -0,0 +1,87 @@
+const { getPathValue } = require('./plainObject')
+
+/**
+ * Error code of items not written, because an earlier item of an ordered batch failed.
+ * @type {string}
+ */
+const SKIPPED_CODE = 'SKIPPED'
+
+/**
+ * Convert an Apollo error to the error of a bulk item result. Extensions, except the
+ * stack trace of the exception, are kept as details.
+ * @param {Error} err Apollo error.
+ * @returns {object} Item error { code, message, ...details }.
+ */
+function toItemError (err) {
+  const { code, exception, ...details } = err.extensions || {}
+  return { code: code || 'INTERNAL_SERVER_ERROR', message: err.message, ...details }
+}
+
+/**
+ * Convert a write error of a MongoDB bulk write to an error, which can be mapped like
+ * errors of single writes.
+ * @param {object} writeError MongoDB write error.
+ * @returns {Error}
+ */
+function fromWriteError (writeError) {
+  const { code, errmsg, keyPattern, keyValue } = writeError.err || writeError
+  const err = new Error(errmsg || 'write operation failed')
+  return Object.assign(err, { code, keyPattern, keyValue })
+}
+
+/**
+ * Test if error is a bulk write error, which reports failed writes per operation.
+ * @param {Error} err Error raised by a bulk write.
+ * @returns {boolean}
+ */
+function isBulkWriteError (err) {
+  return Boolean(err && Array.isArray(err.writeErrors))
+}
+
+/**
+ * Build a string of the key values of a document, to match documents by their upsert key.
+ * @param {object} document Plain document.
+ * @param {array} keys Key paths.
+ * @returns {string}
+ */
+function toKeyString (document, keys) {
+  return keys.map((key) => String(getPathValue(document, key))).join('\u0000')
+}
+
+/**
+ * Build result per item of a bulk write. Items are failed by their own error or by the write error of their operation.
+ * In ordered mode all items after the first failed one are skipped.
+ * @param {number} count Number of items.
+ * @param {array} prepared Prepared items { id, op } or failed items { error }, in item order.
+ *  Items missing at the end were not prepared.
+ * @param {Map} writeErrors Item errors by index of the operation.
+ * @param {boolean} ordered True when the batch was written in order.
+ * @returns {array} List of results { ok, id, error }.
+ */
+function toBulkResults (count, prepared, writeErrors, ordered) {
+  let opIndex = 0
+  let failed = false
+  return Array.from({ length: count }, (value, index) => {
+    const item = prepared[index]
+    const id = item && item.id !== undefined ? item.id : null
+    if (!item || (ordered && failed)) {
+      return {
+        ok: false,
+        id,
+        error: { code: SKIPPED_CODE, message: 'Not written, an earlier item of the ordered batch failed.' }
+      }
+    }
+    const error = item.error || writeErrors.get(opIndex++) || null
+    failed = failed || Boolean(error)
+    return { ok: !error, id, error }
+  })
+}
+
+module.exports = {
+  SKIPPED_CODE,
+  toItemError,
+  fromWriteError,
+  isBulkWriteError,
+  toKeyString,
+  toBulkResults
+}
@@ -0,0 +1,249 @@
+const { UserInputError } = require('apollo-server-errors')
+const { isPathCovered } = require('./policy')
+
+/**
+ * Operations of change events passed by default.
+ * @type {array}
+ */
+const CHANGE_OPERATIONS = ['insert', 'update', 'replace', 'delete']
+/**
+ * Logical operators of a filter, holding lists of filters.
+ * @type {array}
+ */
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor']
+
+/**
+ * Prefix all paths of a native filter, so it matches a nested document. Top level operators
+ * other than $and, $or and $nor, like $expr, $text or $where, can not be applied to a nested document.
+ * @param {object} filter Native Mongo DB filter.
+ * @param {string} prefix Path of the nested document.
+ * @returns {object} Native Mongo DB filter. Raise a UserInputError for unsupported operators.
+ */
+function prefixFilter (filter, prefix) {
+  return Object.keys(filter).reduce((prefixed, key) => {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      prefixed[key] = filter[key].map((condition) => prefixFilter(condition, prefix))
+    } else if (key.startsWith('$')) {
+      throw new UserInputError(`Filter operator '${key}' is not supported by change streams.`)
+    } else {
+      prefixed[`${prefix}.${key}`] = filter[key]
+    }
+    return prefixed
+  }, {})
+}
+
+/**
+ * Build the $match stage of a change stream. Inserted, updated and replaced documents have to match the filter.
+ * Delete events have no document and can not be matched by a filter, so with a filter, like the scope of a policy
+ * or a tenant, they are left out. Requesting them explicitly with a filter is rejected.
+ * In soft delete mode, deleted documents are left out and updates marking a document as deleted are passed
+ * as delete events instead, see isSoftDeleteChange(). They match the filter, so they can be requested with a filter.
+ * @param {object} filter Native Mongo DB filter of the documents, without the soft delete filter.
+ * @param {array} [operations] Operations of the passed events, all by default (optional).
+ * @param {string} [deletedAtField] Top level path of the deletion date in soft delete mode (optional).
+ * @returns {object} $match stage. Raise a UserInputError for unknown operations and unsupported filters.
+ */
+function toChangeStreamMatch (filter, operations = null, deletedAtField = null) {
+  const requested = operations || CHANGE_OPERATIONS
+  const unknown = requested.filter((operation) => !CHANGE_OPERATIONS.includes(operation))
+  if (unknown.length) {
+    throw new UserInputError(`Unknown change operation '${unknown[0]}'.`)
+  }
+  const filtered = Object.keys(filter).length > 0
+  if (!filtered && !deletedAtField) {
+    return { $match: { operationType: { $in: requested } } }
+  }
+  if (filtered && !deletedAtField && operations && operations.includes('delete')) {
+    throw new UserInputError('Delete events can not be filtered, they are only available without filter, policy scope or tenant.')
+  }
+  const documentOperations = requested.filter((operation) => operation !== 'delete')
+  if (!deletedAtField) {
+    return { $match: { operationType: { $in: documentOperations }, ...prefixFilter(filter, 'fullDocument') } }
+  }
+
+  const events = [{ operationType: { $in: documentOperations }, [`fullDocument.${deletedAtField}`]: null }]
+  if (requested.includes('delete')) {
+    events.push({ operationType: 'update', [`updateDescription.updatedFields.${deletedAtField}`]: { $ne: null } })
+    if (!filtered) {
+      events.push({ operationType: 'delete' })
+    }
+  }
+  return { $match: filtered ? { $and: [prefixFilter(filter, 'fullDocument'), { $or: events }] } : { $or: events } }
+}
+
+/**
+ * Test if a change event is an update marking a document as deleted in soft delete mode.
+ * @param {object} change Change event.
+ * @param {string} deletedAtField Top level path of the deletion date.
+ * @returns {boolean}
+ */
+function isSoftDeleteChange (change, deletedAtField) {
+  const { updatedFields } = change.updateDescription || {}
+  return change.operationType === 'update' && Boolean(updatedFields) &&
+    updatedFields[deletedAtField] !== undefined && updatedFields[deletedAtField] !== null
+}
+
+/**
+ * Build the $project stage of a change stream, keeping only readable fields of the document.
+ * @param {array} readFields Readable fields.
+ * @returns {object} $project stage.
+ */
+function toChangeStreamProjection (readFields) {
+  return {
+    $project: readFields.reduce((projection, field) => ({ ...projection, [`fullDocument.${field}`]: 1 }), {
+      operationType: 1,
+      documentKey: 1,
+      updateDescription: 1
+    })
+  }
+}
+
+/**
+ * Encode resume token of a change event as opaque string.
+ * @param {object} token Resume token, the id of a change event.
+ * @returns {string}
+ */
+function encodeResumeToken (token) {
+  return Buffer.from(JSON.stringify(token)).toString('base64')
+}
+
+/**
+ * Decode resume token encoded by encodeResumeToken().
+ * @param {string} resumeToken Encoded resume token.
+ * @returns {object} Resume token. Raise a UserInputError for invalid tokens.
+ */
+function decodeResumeToken (resumeToken) {
+  try {
+    const token = JSON.parse(Buffer.from(String(resumeToken), 'base64').toString('utf8'))
+    if (token && typeof token === 'object') {
+      return token
+    }
+  } catch (err) {
+    // invalid tokens are reported below
+  }
+  throw new UserInputError(`Invalid resume token '${resumeToken}'.`)
+}
+
+/**
+ * Convert change event of a change stream to a subscription event. In soft delete mode, updates marking
+ * a document as deleted are converted to delete events without document.
+ * @param {object} change Change event.
+ * @param {array} [readFields] Readable fields, null when not restricted (optional).
+ * @param {string} [deletedAtField] Top level path of the deletion date in soft delete mode (optional).
+ * @returns {object} Event { operationType, documentId, document, updatedFields, removedFields, resumeToken }.
+ */
+function toChangeEvent (change, readFields = null, deletedAtField = null) {
+  const documentId = change.documentKey ? change.documentKey._id : null
+  if (deletedAtField && isSoftDeleteChange(change, deletedAtField)) {
+    return {
+      operationType: 'delete',
+      documentId,
+      document: null,
+      updatedFields: null,
+      removedFields: null,
+      resumeToken: encodeResumeToken(change._id)
+    }
+  }
+  const { updatedFields = null, removedFields = null } = change.updateDescription || {}
+  const isReadable = (path) => !readFields || isPathCovered(path, readFields)
+  return {
+    operationType: change.operationType,
+    documentId,
+    document: change.fullDocument || null,
+    updatedFields: updatedFields && Object.keys(updatedFields)
+      .filter(isReadable)
+      .reduce((fields, path) => ({ ...fields, [path]: updatedFields[path] }), {}),
+    removedFields: removedFields && removedFields.filter(isReadable),
+    resumeToken: encodeResumeToken(change._id)
+  }
+}
+
+/**
+ * Turn a change stream emitting events into an async iterator, as expected by subscription resolvers.
+ * Events are queued until they are read. Returning the iterator, like unsubscribing does, closes the stream.
+ * @param {object} stream Change stream, an event emitter of change, error and close events with a close function.
+ * @param {function} mapChange Function converting a change event to the iterated value.
+ * @param {function} [mapError] Function converting a stream error to the thrown error (optional).
+ * @returns {object} Async iterator.
+ */
+function toChangeIterator (stream, mapChange, mapError = (err) => err) {
+  const events = []
+  const pending = []
+  let error = null
+  let done = false
+
+  const finish = () => {
+    done = true
+    stream.close()
+    pending.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }))
+  }
+
+  stream.on('change', (change) => {
+    if (done) {
+      return
+    }
+    const value = mapChange(change)
+    if (pending.length) {
+      pending.shift().resolve({ value, done: false })
+    } else {
+      events.push(value)
+    }
+  })
+  stream.on('error', (err) => {
+    const mappedError = mapError(err)
+    done = true
+    stream.close()
+    if (pending.length) {
+      pending.splice(0).forEach(({ reject }) => reject(mappedError))
+    } else {
+      error = mappedError
+    }
+  })
+  stream.on('close', () => {
+    if (!done) {
+      finish()
+    }
+  })
+
+  return {
+    next () {
+      if (events.length) {
+        return Promise.resolve({ value: events.shift(), done: false })
+      }
+      if (error) {
+        const err = error
+        error = null
+        return Promise.reject(err)
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true })
+      }
+      return new Promise((resolve, reject) => pending.push({ resolve, reject }))
+    },
+    return () {
+      events.splice(0)
+      if (!done) {
+        finish()
+      }
+      return Promise.resolve({ value: undefined, done: true })
+    },
+    throw (err) {
+      this.return()
+      return Promise.reject(err)
+    },
+    [Symbol.asyncIterator] () {
+      return this
+    }
+  }
+}
+
+module.exports = {
+  CHANGE_OPERATIONS,
+  toChangeStreamMatch,
+  isSoftDeleteChange,
+  toChangeStreamProjection,
+  encodeResumeToken,
+  decodeResumeToken,
+  toChangeEvent,
+  toChangeIterator
+}
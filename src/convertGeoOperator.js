@@ -0,0 +1,163 @@
+const { UserInputError } = require('apollo-server-errors')
+
+/**
+ * Earth radius in meters, to convert distances to radians of a $centerSphere.
+ * @type {number}
+ */
+const EARTH_RADIUS_METERS = 6378100
+/**
+ * Operators holding a list of filters.
+ * @type {array}
+ */
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor']
+
+/**
+ * Cast a position to a pair of numbers [longitude, latitude].
+ * @param {array} position Position as array of longitude and latitude.
+ * @param {string} operator Name of the operator, used in error message.
+ * @returns {array}
+ */
+function toPosition (position, operator) {
+  const isPosition = Array.isArray(position) && position.length === 2 &&
+    position.every((coordinate) => coordinate !== null && coordinate !== '' && !Number.isNaN(Number(coordinate)))
+  if (!isPosition) {
+    throw new UserInputError(`Invalid position '${JSON.stringify(position)}' for '${operator}', expected [longitude, latitude].`)
+  }
+  return position.map(Number)
+}
+
+/**
+ * Convert list of positions to a closed GeoJSON linear ring.
+ * @param {array} positions List of positions.
+ * @param {string} operator Name of the operator, used in error message.
+ * @returns {array}
+ */
+function toLinearRing (positions, operator) {
+  if (!Array.isArray(positions) || positions.length < 3) {
+    throw new UserInputError(`Operator '${operator}' needs at least three positions.`)
+  }
+  const ring = positions.map((position) => toPosition(position, operator))
+  const [first] = ring
+  const last = ring[ring.length - 1]
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first)
+  }
+  return ring
+}
+
+/**
+ * Convert near operator. The value contains the center **coordinates** and optionally
+ * **maxDistance** and **minDistance** in meters.
+ * @param {object} fieldValue The value to convert.
+ * @returns {object} Converted statement.
+ */
+function convertNear (fieldValue = {}) {
+  const { coordinates, maxDistance, minDistance } = fieldValue
+  const near = { $geometry: { type: 'Point', coordinates: toPosition(coordinates, 'near') } }
+  if (maxDistance !== undefined && maxDistance !== null) {
+    near.$maxDistance = Number(maxDistance)
+  }
+  if (minDistance !== undefined && minDistance !== null) {
+    near.$minDistance = Number(minDistance)
+  }
+  return { $near: near }
+}
+
+/**
+ * Convert withinBox operator. The value contains the bottom left and upper right
+ * corner of the box, which is converted to a GeoJSON polygon.
+ * @param {array} fieldValue The value to convert.
+ * @returns {object} Converted statement.
+ */
+function convertWithinBox (fieldValue) {
+  if (!Array.isArray(fieldValue) || fieldValue.length !== 2) {
+    throw new UserInputError('Operator \'withinBox\' needs bottom left and upper right position.')
+  }
+  const [[left, bottom], [right, top]] = fieldValue.map((position) => toPosition(position, 'withinBox'))
+  const ring = [[left, bottom], [right, bottom], [right, top], [left, top], [left, bottom]]
+  return { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } }
+}
+
+/**
+ * Convert withinPolygon operator. The value contains the positions of the polygon, the ring is closed automatically.
+ * @param {array} fieldValue The value to convert.
+ * @returns {object} Converted statement.
+ */
+function convertWithinPolygon (fieldValue) {
+  const ring = toLinearRing(fieldValue, 'withinPolygon')
+  return { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } }
+}
+
+/**
+ * Convert geoIntersects operator. The value is a GeoJSON geometry with **type** and **coordinates**.
+ * @param {object} fieldValue The value to convert.
+ * @returns {object} Converted statement.
+ */
+function convertGeoIntersects (fieldValue = {}) {
+  if (!fieldValue || typeof fieldValue.type !== 'string' || !Array.isArray(fieldValue.coordinates)) {
+    throw new UserInputError('Operator \'geoIntersects\' needs a GeoJSON geometry with type and coordinates.')
+  }
+  return { $geoIntersects: { $geometry: { type: fieldValue.type, coordinates: fieldValue.coordinates } } }
+}
+
+/**
+ * Convert GraphQL geo operator to Mongoose operator for GeoJSON paths.
+ * @param {string} operator Name of the geo operator (near, withinBox, withinPolygon, geoIntersects).
+ * @param {*} fieldValue The value to convert.
+ * @returns {object} Converted statement.
+ */
+function convertGeoOperator (operator, fieldValue) {
+  switch (operator) {
+    case 'near':
+      return convertNear(fieldValue)
+    case 'withinBox':
+      return convertWithinBox(fieldValue)
+    case 'withinPolygon':
+      return convertWithinPolygon(fieldValue)
+    case 'geoIntersects':
+      return convertGeoIntersects(fieldValue)
+    default:
+      throw new UserInputError(`Unknown geo operator '${operator}'.`)
+  }
+}
+
+/**
+ * Convert $near condition to a $geoWithin condition of the circle within the maximum distance,
+ * the whole sphere without maximum distance. The minimum distance can not be expressed.
+ * @param {object} near Value of $near, with $geometry, $maxDistance and $minDistance.
+ * @returns {object} Converted statement.
+ */
+function toCenterSphere (near) {
+  if (!near || !near.$geometry) {
+    throw new UserInputError('Operator \'near\' needs a GeoJSON point in counts and aggregations.')
+  }
+  if (near.$minDistance !== undefined) {
+    throw new UserInputError('Operator \'near\' with minDistance is not supported in counts and aggregations.')
+  }
+  const radius = near.$maxDistance !== undefined ? near.$maxDistance / EARTH_RADIUS_METERS : Math.PI
+  return { $geoWithin: { $centerSphere: [near.$geometry.coordinates, radius] } }
+}
+
+/**
+ * Replace $near conditions of a native filter by $geoWithin. MongoDB rejects $near in countDocuments
+ * and $match stages, $geoWithin matches the same documents without sorting them by distance.
+ * @param {object} filter Native Mongo DB filter.
+ * @returns {object} Native Mongo DB filter without $near.
+ */
+function toGeoWithinFilter (filter) {
+  return Object.keys(filter || {}).reduce((result, key) => {
+    const value = filter[key]
+    if (LOGICAL_OPERATORS.includes(key) && Array.isArray(value)) {
+      result[key] = value.map(toGeoWithinFilter)
+    } else if (value && typeof value === 'object' && value.$near !== undefined) {
+      const { $near: near, ...condition } = value
+      result[key] = { ...condition, ...toCenterSphere(near) }
+    } else {
+      result[key] = value
+    }
+    return result
+  }, {})
+}
+
+module.exports = convertGeoOperator
+module.exports.toGeoWithinFilter = toGeoWithinFilter
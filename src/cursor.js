@@ -0,0 +1,140 @@
+const Mongoose = require('mongoose')
+const { UserInputError } = require('apollo-server-errors')
+const { getPathValue } = require('./plainObject')
+
+const { ObjectId } = Mongoose.Types
+
+/**
+ * Normalize sort definition to a list of sort keys. The document id is appended
+ * as tiebreaker, so every document has a unique position in the sort order.
+ * @param {object|string} sort Sort as object ({ name: 1, age: -1 }) or Mongoose sort string ('name -age').
+ * @returns {array} List of [field, direction] pairs, direction is 1 or -1.
+ */
+function normalizeSort (sort = {}) {
+  const sortKeys = []
+  if (typeof sort === 'string') {
+    sort.split(/\s+/).filter(Boolean).forEach((field) => {
+      if (field.startsWith('-')) {
+        sortKeys.push([field.slice(1), -1])
+      } else {
+        sortKeys.push([field, 1])
+      }
+    })
+  } else {
+    Object.keys(sort || {}).forEach((field) => {
+      const direction = String(sort[field]).toLowerCase()
+      sortKeys.push([field, ['-1', 'desc', 'descending'].includes(direction) ? -1 : 1])
+    })
+  }
+  if (!sortKeys.some(([field]) => field === '_id')) {
+    sortKeys.push(['_id', 1])
+  }
+  return sortKeys
+}
+
+/**
+ * Tag values which are not JSON serializable without loosing their type.
+ * @param {*} value Sort key value.
+ * @returns {*}
+ */
+function tagValue (value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() }
+  }
+  if (value && ['ObjectID', 'ObjectId'].includes(value._bsontype)) {
+    return { $oid: value.toHexString() }
+  }
+  return value === undefined ? null : value
+}
+
+/**
+ * Restore tagged values.
+ * @param {*} value Tagged sort key value.
+ * @returns {*}
+ */
+function untagValue (value) {
+  if (value && typeof value === 'object' && value.$date) {
+    return new Date(value.$date)
+  }
+  if (value && typeof value === 'object' && value.$oid) {
+    return new ObjectId(value.$oid)
+  }
+  return value
+}
+
+/**
+ * Build opaque cursor from the sort key values of a node.
+ * @param {object} node Mongoose document or plain object.
+ * @param {array} sortKeys Normalized sort keys.
+ * @returns {string} Base64 encoded cursor.
+ */
+function encodeCursor (node, sortKeys) {
+  const values = sortKeys.map(([field]) => tagValue(getPathValue(node, field)))
+  return Buffer.from(JSON.stringify(values)).toString('base64')
+}
+
+/**
+ * Read sort key values from opaque cursor.
+ * @param {string} cursor Base64 encoded cursor.
+ * @param {array} sortKeys Normalized sort keys, the cursor was build with.
+ * @returns {array} Sort key values.
+ */
+function decodeCursor (cursor, sortKeys) {
+  let values
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'))
+  } catch (err) {
+    values = null
+  }
+  if (!Array.isArray(values) || values.length !== sortKeys.length) {
+    throw new UserInputError(`Invalid cursor '${cursor}'.`)
+  }
+  return values.map(untagValue)
+}
+
+/**
+ * Build condition for values greater or lower than the cursor value.
+ * MongoDB sorts null (and missing) values before all other values, but comparison
+ * operators never match null, so null has to be handled separately.
+ * @param {string} field Name of the field.
+ * @param {*} value Cursor value.
+ * @param {string} operator Comparison operator, $gt or $lt.
+ * @returns {object}
+ */
+function toCompareCondition (field, value, operator) {
+  if (value === null && operator === '$gt') {
+    return { [field]: { $ne: null } }
+  }
+  if (value !== null && operator === '$lt') {
+    return { $or: [{ [field]: { $lt: value } }, { [field]: null }] }
+  }
+  return { [field]: { [operator]: value } }
+}
+
+/**
+ * Build filter for all documents after (or before) the cursor in the given sort order.
+ * For sort keys a, b the filter is `a > x OR (a = x AND b > y)`.
+ * @param {string} cursor Base64 encoded cursor.
+ * @param {array} sortKeys Normalized sort keys.
+ * @param {boolean} [before] Select documents before cursor instead of after (optional).
+ * @returns {object} Mongo DB filter.
+ */
+function toCursorFilter (cursor, sortKeys, before = false) {
+  const values = decodeCursor(cursor, sortKeys)
+  const conditions = sortKeys.map(([field, direction], index) => {
+    const ascending = before ? direction === -1 : direction === 1
+    const condition = {}
+    sortKeys.slice(0, index).forEach(([equalField], equalIndex) => {
+      condition[equalField] = values[equalIndex]
+    })
+    return { $and: [condition, toCompareCondition(field, values[index], ascending ? '$gt' : '$lt')] }
+  })
+  return { $or: conditions }
+}
+
+module.exports = {
+  normalizeSort,
+  encodeCursor,
+  decodeCursor,
+  toCursorFilter
+}
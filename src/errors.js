@@ -0,0 +1,37 @@
+const { ApolloError } = require('apollo-server-errors')
+
+/**
+ * Error raised when a write conflicts with the current state of the database,
+ * like a duplicate key on a unique index.
+ */
+class ConflictError extends ApolloError {
+  /**
+   * @param {string} message Error message.
+   * @param {object} [properties] Additional properties, exposed in extensions (optional).
+   * @constructor
+   */
+  constructor (message, properties) {
+    super(message, 'CONFLICT', properties)
+    Object.defineProperty(this, 'name', { value: 'ConflictError' })
+  }
+}
+
+/**
+ * Error raised when a document to write does not exist or is not visible to the request.
+ */
+class NotFoundError extends ApolloError {
+  /**
+   * @param {string} message Error message.
+   * @param {object} [properties] Additional properties, exposed in extensions (optional).
+   * @constructor
+   */
+  constructor (message, properties) {
+    super(message, 'NOT_FOUND', properties)
+    Object.defineProperty(this, 'name', { value: 'NotFoundError' })
+  }
+}
+
+module.exports = {
+  ConflictError,
+  NotFoundError
+}
@@ -0,0 +1,394 @@
+const Mongoose = require('mongoose')
+const { ApolloError } = require('apollo-server-errors')
+const { buildASTSchema, parse } = require('graphql')
+
+/**
+ * GraphQL filter type names by Mongoose schema type instance.
+ * @type {object}
+ */
+const FILTER_TYPE_NAMES = {
+  String: 'String',
+  Number: 'Float',
+  Date: 'Date',
+  Boolean: 'Boolean',
+  ObjectID: 'ID',
+  ObjectId: 'ID',
+  Decimal128: 'Decimal'
+}
+
+/**
+ * Operators of all comparable filter types, supported by toMongooseFilterExpression.
+ * @type {array}
+ */
+const COMPARE_OPERATORS = ['eq', 'ne', 'lt', 'le', 'gt', 'ge']
+
+/**
+ * String operators, supported by toMongooseFilterExpression.
+ * @type {array}
+ */
+const STRING_OPERATORS = [
+  'contains', 'notContains', 'startsWith', 'endsWith',
+  'containsCaseSensitive', 'notContainsCaseSensitive', 'startsWithCaseSensitive', 'endsWithCaseSensitive'
+]
+
+/**
+ * Default options of the generator.
+ * @type {object}
+ */
+const DEFAULT_OPTIONS = {
+  dateScalar: 'String',
+  decimalScalar: 'String',
+  pagination: true
+}
+
+/**
+ * Check if a name is a valid GraphQL name. Names starting with two underscores are reserved.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isGraphQLName (name) {
+  return /^[_A-Za-z][_0-9A-Za-z]*$/.test(name) && !name.startsWith('__')
+}
+
+/**
+ * Convert path segment to pascal case, to be used in type names.
+ * @param {string} name
+ * @returns {string}
+ */
+function toPascalCase (name) {
+  return name
+    .split('_')
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('')
+}
+
+/**
+ * Convert path to a GraphQL name, dots of nested paths are replaced by two underscores.
+ * @param {string} path Path in dot notation.
+ * @returns {string}
+ */
+function toGraphQLFieldName (path) {
+  return path.replace(/\./g, '__')
+}
+
+/**
+ * Resolve Mongoose schema and model name of a data source, model or model name.
+ * @param {object|string} source MongooseDataSource, Mongoose model or model name.
+ * @returns {object} Schema and model name.
+ */
+function resolveSource (source) {
+  if (typeof source === 'string') {
+    if (!Mongoose.models || !Mongoose.models[source]) {
+      throw new ApolloError(`Unknown Mongoose model '${source}'. Did you import your Mongoose model?`)
+    }
+    return { schema: Mongoose.models[source].schema, modelName: source }
+  }
+  if (source && source.Schema && source.Model) {
+    return { schema: source.Schema, modelName: source.Model.modelName }
+  }
+  if (source && source.schema && source.modelName) {
+    return { schema: source.schema, modelName: source.modelName }
+  }
+  throw new ApolloError('Type definitions need a Mongoose data source, model or model name.')
+}
+
+/**
+ * Build a tree of the schema paths, so nested paths can be converted to nested input types.
+ * @param {object} schema Mongoose schema.
+ * @returns {object} Tree, leafs have a schema type, nested paths have children.
+ */
+function toPathTree (schema) {
+  const tree = {}
+  Object.keys(schema.paths).forEach((path) => {
+    const keys = path.split('.')
+    let node = tree
+    keys.slice(0, -1).forEach((key) => {
+      node[key] = node[key] || { children: {} }
+      node = node[key].children
+    })
+    node[keys[keys.length - 1]] = { schemaType: schema.paths[path] }
+  })
+  return tree
+}
+
+/**
+ * Check if a tree of paths describes a GeoJSON object with type and coordinates.
+ * @param {object} tree Tree of paths.
+ * @returns {boolean}
+ */
+function isGeoJSON (tree) {
+  const { type, coordinates } = tree
+  return Boolean(
+    type && type.schemaType && type.schemaType.instance === 'String' &&
+    coordinates && coordinates.schemaType && coordinates.schemaType.instance === 'Array'
+  )
+}
+
+/**
+ * Resolve the name of the scalar filter type for a schema type.
+ * @param {object} schemaType Mongoose schema type.
+ * @returns {string|undefined}
+ */
+function toScalarFilterName (schemaType) {
+  return FILTER_TYPE_NAMES[schemaType.instance]
+}
+
+/**
+ * Resolve filter type of a path, generating nested filter types on the way.
+ * @param {object} node Node of the path tree.
+ * @param {string} typeName Type name prefix for nested types.
+ * @param {array} types List of generated type definitions.
+ * @returns {string|null} Name of the filter type, null if the path can not be filtered.
+ */
+function resolveFilterType (node, typeName, types) {
+  if (node.children) {
+    return isGeoJSON(node.children) ? 'GeoFilter' : generateFilterType(node.children, typeName, types)
+  }
+  const { schemaType } = node
+  if (schemaType.$isSingleNested) {
+    const tree = toPathTree(schemaType.schema)
+    return isGeoJSON(tree) ? 'GeoFilter' : generateFilterType(tree, typeName, types)
+  }
+  if (schemaType.$isMongooseDocumentArray) {
+    const elementFilter = generateFilterType(toPathTree(schemaType.schema), typeName, types)
+    if (!elementFilter) {
+      return null
+    }
+    types.push([
+      `input ${typeName}ListFilter {`,
+      `  elemMatch: ${elementFilter}`,
+      '  size: Int',
+      '  exists: Boolean',
+      '}'
+    ].join('\n'))
+    return `${typeName}ListFilter`
+  }
+  if (schemaType.instance === 'Array') {
+    const scalarFilter = schemaType.caster && toScalarFilterName(schemaType.caster)
+    return scalarFilter ? `${scalarFilter}ListFilter` : null
+  }
+  const scalarFilter = toScalarFilterName(schemaType)
+  return scalarFilter ? `${scalarFilter}Filter` : null
+}
+
+/**
+ * Generate filter input type for a tree of paths.
+ * @param {object} tree Tree of paths.
+ * @param {string} typeName Type name prefix.
+ * @param {array} types List of generated type definitions.
+ * @param {boolean} [isRoot] Add logical operators, which are supported on root level only (optional).
+ * @returns {string|null} Name of the filter type, null if no path can be filtered.
+ */
+function generateFilterType (tree, typeName, types, isRoot = false) {
+  const lines = []
+  Object.keys(tree).forEach((key) => {
+    if (!isGraphQLName(key)) {
+      return
+    }
+    const filterType = resolveFilterType(tree[key], `${typeName}${toPascalCase(key)}`, types)
+    if (filterType) {
+      lines.push(`  ${key}: ${filterType}`)
+    }
+  })
+  if (!lines.length) {
+    return null
+  }
+  if (isRoot) {
+    ['and', 'or', 'nor'].forEach((operator) => lines.push(`  ${operator}: [${typeName}Filter!]`))
+  }
+  types.push(`input ${typeName}Filter {\n${lines.join('\n')}\n}`)
+  return `${typeName}Filter`
+}
+
+/**
+ * Collect all paths with scalar values, which can be sorted by.
+ * @param {object} tree Tree of paths.
+ * @param {string} [prefix] Path prefix of nested paths (optional).
+ * @returns {array} List of paths in dot notation.
+ */
+function collectSortPaths (tree, prefix = '') {
+  const paths = []
+  Object.keys(tree).forEach((key) => {
+    if (!isGraphQLName(key)) {
+      return
+    }
+    const { children, schemaType } = tree[key]
+    const path = `${prefix}${key}`
+    if (children) {
+      // GeoJSON objects can not be sorted by
+      if (!isGeoJSON(children)) {
+        paths.push(...collectSortPaths(children, `${path}.`))
+      }
+    } else if (schemaType.$isSingleNested) {
+      paths.push(...collectSortPaths(toPathTree(schemaType.schema), `${path}.`))
+    } else if (schemaType.instance !== 'Array' && toScalarFilterName(schemaType)) {
+      paths.push(path)
+    }
+  })
+  return paths
+}
+
+/**
+ * Generate the filter input type of a scalar.
+ * @param {string} name Name of the filter type.
+ * @param {string} scalar GraphQL scalar of the values.
+ * @param {array} operators Supported operators.
+ * @returns {string}
+ */
+function generateScalarFilter (name, scalar, operators) {
+  const lines = operators.map((operator) => `  ${operator}: ${scalar}`)
+  if (operators.includes('lt')) {
+    lines.push(`  between: [${scalar}!]`)
+  }
+  if (operators.includes('ne')) {
+    lines.push(`  in: [${scalar}!]`, `  nin: [${scalar}!]`)
+  }
+  lines.push('  exists: Boolean', `  not: ${name}Filter`)
+  return `input ${name}Filter {\n${lines.join('\n')}\n}`
+}
+
+/**
+ * Generate the filter input type of an array of scalars.
+ * @param {string} name Name of the filter type.
+ * @param {string} scalar GraphQL scalar of the values.
+ * @returns {string}
+ */
+function generateScalarListFilter (name, scalar) {
+  return [
+    `input ${name}ListFilter {`,
+    `  eq: ${scalar}`,
+    `  ne: ${scalar}`,
+    `  in: [${scalar}!]`,
+    `  nin: [${scalar}!]`,
+    `  all: [${scalar}!]`,
+    '  size: Int',
+    `  elemMatch: ${name}Filter`,
+    '  exists: Boolean',
+    '}'
+  ].join('\n')
+}
+
+/**
+ * Generate type definitions shared by all models: filter input types of scalars and GeoJSON paths,
+ * sort direction, nulls order and page info of connections. Add them once to the GraphQL schema.
+ * @param {object} [options] Options **dateScalar** and **decimalScalar** set the scalars used
+ *  for dates and decimals, default is String (optional).
+ * @returns {string} SDL type definitions.
+ */
+function generateBaseTypeDefs (options = {}) {
+  const { dateScalar, decimalScalar } = { ...DEFAULT_OPTIONS, ...options }
+  const scalars = {
+    String: ['String', COMPARE_OPERATORS.concat(STRING_OPERATORS)],
+    Float: ['Float', COMPARE_OPERATORS],
+    Date: [dateScalar, COMPARE_OPERATORS],
+    Decimal: [decimalScalar, COMPARE_OPERATORS],
+    Boolean: ['Boolean', ['eq', 'ne']],
+    ID: ['ID', ['eq', 'ne']]
+  }
+  const types = []
+  Object.keys(scalars).forEach((name) => {
+    const [scalar, operators] = scalars[name]
+    types.push(generateScalarFilter(name, scalar, operators))
+    types.push(generateScalarListFilter(name, scalar))
+  })
+  types.push(
+    'input GeoNearInput {\n  coordinates: [Float!]!\n  maxDistance: Float\n  minDistance: Float\n}',
+    'input GeoPolygonInput {\n  type: String = "Polygon"\n  coordinates: [[[Float!]!]!]!\n}',
+    [
+      'input GeoFilter {',
+      '  near: GeoNearInput',
+      '  withinBox: [[Float!]!]',
+      '  withinPolygon: [[Float!]!]',
+      '  geoIntersects: GeoPolygonInput',
+      '  exists: Boolean',
+      '}'
+    ].join('\n'),
+    'enum SortDirection {\n  ASC\n  DESC\n}',
+    'enum SortNulls {\n  FIRST\n  LAST\n}',
+    [
+      'type PageInfo {',
+      '  hasNextPage: Boolean!',
+      '  hasPreviousPage: Boolean!',
+      '  startCursor: String',
+      '  endCursor: String',
+      '}'
+    ].join('\n')
+  )
+  return types.join('\n\n')
+}
+
+/**
+ * Generate type definitions of a model from its Mongoose schema: a filter input with only the
+ * operators valid for each path type, a sort input and the result types of `list` and `listConnection`.
+ * Nested paths in sort fields are written with two underscores instead of a dot (address__city).
+ * @param {object|string} source MongooseDataSource, Mongoose model or model name.
+ * @param {object} [options] Option **typeName** sets the GraphQL object type of the documents, default
+ *  is the model name. Option **pagination** disables the result types when set to false (optional).
+ * @returns {string} SDL type definitions.
+ */
+function generateTypeDefs (source, options = {}) {
+  const { schema, modelName } = resolveSource(source)
+  const { typeName = modelName, pagination } = { ...DEFAULT_OPTIONS, ...options }
+  const types = []
+
+  generateFilterType(toPathTree(schema), typeName, types, true)
+
+  const sortFields = collectSortPaths(toPathTree(schema)).map(toGraphQLFieldName)
+  types.push(
+    `enum ${typeName}SortField {\n${sortFields.map((field) => `  ${field}`).join('\n')}\n}`,
+    `input ${typeName}Sort {\n  field: ${typeName}SortField!\n  direction: SortDirection = ASC\n  nulls: SortNulls\n}`
+  )
+
+  if (pagination) {
+    types.push(
+      [
+        `type ${typeName}Page {`,
+        '  totalCount: Int!',
+        '  currentPage: Int!',
+        '  hasPrevPage: Boolean!',
+        '  hasNextPage: Boolean!',
+        '  totalPages: Int!',
+        '  prevPage: Int!',
+        '  nextPage: Int!',
+        `  node: [${typeName}!]!`,
+        '}'
+      ].join('\n'),
+      `type ${typeName}Edge {\n  cursor: String!\n  node: ${typeName}!\n}`,
+      `type ${typeName}Connection {\n  edges: [${typeName}Edge!]!\n  pageInfo: PageInfo!\n}`
+    )
+  }
+  return types.join('\n\n')
+}
+
+/**
+ * Generate GraphQL input types of a model, for schemas which are built in code instead of SDL.
+ * @param {object|string} source MongooseDataSource, Mongoose model or model name.
+ * @param {object} [options] Same options as generateTypeDefs (optional).
+ * @returns {object} Input types **filter** and **sort**, and enum **sortField**.
+ */
+function generateGraphQLTypes (source, options = {}) {
+  const { modelName } = resolveSource(source)
+  const { typeName = modelName, dateScalar, decimalScalar } = { ...DEFAULT_OPTIONS, ...options }
+  const customScalars = [...new Set([dateScalar, decimalScalar])]
+    .filter((scalar) => !['String', 'Int', 'Float', 'Boolean', 'ID'].includes(scalar))
+    .map((scalar) => `scalar ${scalar}`)
+  const schema = buildASTSchema(parse([
+    ...customScalars,
+    generateBaseTypeDefs(options),
+    generateTypeDefs(source, { ...options, pagination: false }),
+    'type Query {\n  _: Boolean\n}'
+  ].join('\n\n')))
+
+  return {
+    filter: schema.getType(`${typeName}Filter`),
+    sort: schema.getType(`${typeName}Sort`),
+    sortField: schema.getType(`${typeName}SortField`)
+  }
+}
+
+module.exports = {
+  generateBaseTypeDefs,
+  generateTypeDefs,
+  generateGraphQLTypes
+}
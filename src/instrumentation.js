@@ -0,0 +1,169 @@
+const { AsyncLocalStorage } = require('async_hooks')
+
+/**
+ * Key of the database calls recorded for the request in the request context, set by the instrumentation plugin.
+ * @type {symbol}
+ */
+const INSTRUMENTATION_CONTEXT_KEY = Symbol('mongooseInstrumentation')
+/**
+ * Default duration in milliseconds, from which on a call is reported as slow query.
+ * @type {number}
+ */
+const SLOW_QUERY_MS = 100
+
+/**
+ * State of the instrumented call running in the current async context.
+ * @type {AsyncLocalStorage}
+ */
+const callStorage = new AsyncLocalStorage()
+
+/**
+ * Run function as instrumented call. The state is available to everything the function calls,
+ * also after awaiting, so the converted filter can be recorded deep inside the call.
+ * @param {object} state Call state { dataSource, filter }.
+ * @param {function} call Function running the call.
+ * @returns {*} Result of the function.
+ */
+function runInstrumented (state, call) {
+  return callStorage.run(state, call)
+}
+
+/**
+ * Read the state of the instrumented call running in the current async context.
+ * @returns {object|null} Call state, null outside instrumented calls.
+ */
+function getInstrumentedCall () {
+  return callStorage.getStore() || null
+}
+
+/**
+ * Count the documents of a method result: documents of a list or page, one for a single document,
+ * the changed documents of a write result.
+ * @param {*} result Result of a data source method.
+ * @returns {number|null} Number of documents, null when the result holds no documents.
+ */
+function countResult (result) {
+  if (result === null || result === undefined) {
+    return 0
+  }
+  if (Array.isArray(result)) {
+    return result.filter((item) => item !== null && item !== undefined).length
+  }
+  if (typeof result !== 'object') {
+    return null
+  }
+  if (Array.isArray(result.node)) {
+    return result.node.length
+  }
+  if (Array.isArray(result.edges)) {
+    return result.edges.length
+  }
+  const written = ['deletedCount', 'nModified', 'n'].find((field) => typeof result[field] === 'number')
+  if (written) {
+    return result[written]
+  }
+  if (typeof result[Symbol.asyncIterator] === 'function') {
+    return null
+  }
+  return 1
+}
+
+/**
+ * Build the event of a finished data source call.
+ * @param {object} call Call { modelName, method, filter, durationMs, result, error }.
+ * @returns {object} Event { modelName, method, filter, durationMs, count, error }, count is null for failed calls.
+ */
+function toInstrumentationEvent ({ modelName, method, filter = null, durationMs, result, error = null }) {
+  return {
+    modelName,
+    method,
+    filter,
+    durationMs,
+    count: error ? null : countResult(result),
+    error
+  }
+}
+
+/**
+ * Pass event to the instrumentation sink. Failing sinks, also asynchronous ones, never fail the call.
+ * @param {function} sink Function receiving events, like a logger or metrics client.
+ * @param {object} event Event of a data source call.
+ * @returns {void}
+ */
+function emitEvent (sink, event) {
+  try {
+    Promise.resolve(sink(event)).catch(() => {})
+  } catch (err) {
+    // metrics must not break queries
+  }
+}
+
+/**
+ * Summarize the database calls of a request. Calls taking at least slowQueryMs are listed as slow queries,
+ * with the query plan of their find query when explain is set.
+ * @param {array} calls Recorded calls { event, explain }, explain is an async function reading the query plan,
+ *  only set for calls running a find query.
+ * @param {object} [options] Options **slowQueryMs** and **explain** (optional).
+ * @returns {promise} Summary { count, durationMs, calls, slowQueries }.
+ */
+async function toDatabaseSummary (calls, { slowQueryMs = SLOW_QUERY_MS, explain = true } = {}) {
+  const toCall = ({ event }) => ({ ...event, error: event.error ? event.error.message : null })
+  const slowCalls = calls.filter(({ event }) => event.durationMs >= slowQueryMs)
+  const slowQueries = await Promise.all(slowCalls.map(async (call) => {
+    if (!explain || !call.explain) {
+      return toCall(call)
+    }
+    try {
+      return { ...toCall(call), explain: await call.explain() }
+    } catch (err) {
+      return { ...toCall(call), explain: { error: err.message } }
+    }
+  }))
+  return {
+    count: calls.length,
+    durationMs: calls.reduce((total, { event }) => total + event.durationMs, 0),
+    calls: calls.map(toCall),
+    slowQueries
+  }
+}
+
+/**
+ * Create an Apollo server plugin, adding the database calls of every request to the response extensions
+ * as `database`. The data sources record their calls in the request context.
+ * @param {object} [options] Option **enabled**, true by default outside production, **slowQueryMs** duration
+ *  of slow queries in milliseconds, **explain** false to skip the query plan of slow queries (optional).
+ * @returns {object} Apollo server plugin.
+ */
+function createInstrumentationPlugin (options = {}) {
+  const {
+    enabled = process.env.NODE_ENV !== 'production',
+    slowQueryMs = SLOW_QUERY_MS,
+    explain = true
+  } = options
+  return {
+    requestDidStart ({ context }) {
+      if (!enabled || !context) {
+        return {}
+      }
+      const calls = []
+      context[INSTRUMENTATION_CONTEXT_KEY] = calls
+      return {
+        async willSendResponse ({ response }) {
+          const database = await toDatabaseSummary(calls, { slowQueryMs, explain })
+          response.extensions = { ...response.extensions, database }
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  INSTRUMENTATION_CONTEXT_KEY,
+  runInstrumented,
+  getInstrumentedCall,
+  countResult,
+  toInstrumentationEvent,
+  emitEvent,
+  toDatabaseSummary,
+  createInstrumentationPlugin
+}
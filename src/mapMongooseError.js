@@ -0,0 +1,94 @@
+const { ApolloError, UserInputError } = require('apollo-server-errors')
+const { ConflictError } = require('./errors')
+
+/**
+ * Error code for all errors which are not mapped to a more specific error.
+ * @type {string}
+ */
+const DATABASE_ERROR_CODE = 'DATABASE_ERROR'
+
+/**
+ * Read field names of the violated unique index from a duplicate key error.
+ * Newer MongoDB versions deliver the index key pattern, older only the message.
+ * @param {object} err Duplicate key error.
+ * @returns {array} List of field names.
+ */
+function getDuplicateKeyFields (err) {
+  const keys = err.keyPattern || err.keyValue
+  if (keys) {
+    return Object.keys(keys)
+  }
+  // E11000 duplicate key error collection: db.users index: email_1_tenant_1 dup key: ...
+  const match = /index: (?:.*\.\$)?(\S+?)(?:_-?1)? dup key/.exec(err.message || '')
+  if (!match) {
+    return []
+  }
+  return match[1].split(/_-?1_/)
+}
+
+/**
+ * Map Mongoose validation error to user input error, with a detail per invalid field.
+ * @param {object} err Mongoose validation error.
+ * @returns {UserInputError}
+ */
+function mapValidationError (err) {
+  const fields = {}
+  Object.keys(err.errors || {}).forEach((path) => {
+    const { message, kind, value } = err.errors[path]
+    fields[path] = { message, kind, value }
+  })
+  return new UserInputError(err.message, { fields })
+}
+
+/**
+ * Map Mongoose cast error, raised by values not matching the schema type, to user input error.
+ * @param {object} err Mongoose cast error.
+ * @returns {UserInputError}
+ */
+function mapCastError (err) {
+  return new UserInputError(`Invalid value '${err.value}' for '${err.path}', expected type ${err.kind}.`, {
+    path: err.path,
+    kind: err.kind,
+    value: err.value
+  })
+}
+
+/**
+ * Map error thrown by Mongoose or MongoDB to an Apollo error, so resolvers can throw
+ * it to GraphQL directly. Custom mappers are called first, the first one returning
+ * an error wins. Errors which are Apollo errors already are not touched.
+ * @param {Error} err Error raised by Mongoose or MongoDB.
+ * @param {array} [mappers] Custom mapper functions, receiving the error and returning an error or undefined (optional).
+ * @returns {Error} Mapped error.
+ */
+function mapMongooseError (err, mappers = []) {
+  for (const mapper of mappers) {
+    const mappedError = mapper(err)
+    if (mappedError) {
+      return mappedError
+    }
+  }
+
+  if (err instanceof ApolloError) {
+    return err
+  }
+  if (err.name === 'ValidationError') {
+    return mapValidationError(err)
+  }
+  if (err.name === 'CastError') {
+    return mapCastError(err)
+  }
+  if (err.code === 11000 || err.code === 11001) {
+    const fields = getDuplicateKeyFields(err)
+    return new ConflictError(`Duplicate value for unique field(s) '${fields.join(', ')}'.`, {
+      fields,
+      value: err.keyValue
+    })
+  }
+
+  const error = new ApolloError(err.message, DATABASE_ERROR_CODE)
+  error.originalError = err
+  return error
+}
+
+module.exports = mapMongooseError
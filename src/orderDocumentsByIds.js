@@ -0,0 +1,17 @@
+/**
+ * Order documents returned by a `$in` query to match the requested list of id.
+ * MongoDB does not guarantee any order for `$in` results, but a batch loader has to
+ * resolve every requested id at the same position. Missing documents resolve to null.
+ * @param {array} ids List of requested document id (string or ObjectId).
+ * @param {array} documents Documents returned from database.
+ * @returns {array} Documents in order of requested id.
+ */
+function orderDocumentsByIds (ids, documents) {
+  const documentsById = {}
+  documents.forEach((document) => {
+    documentsById[String(document._id)] = document
+  })
+  return ids.map((id) => documentsById[String(id)] || null)
+}
+
+module.exports = orderDocumentsByIds
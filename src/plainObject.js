@@ -0,0 +1,30 @@
+/**
+ * Test if value is a plain object, not an array, ObjectId, date or other class instance.
+ * @param {*} value Any value.
+ * @returns {boolean}
+ */
+function isPlainObject (value) {
+  if (!value || typeof value !== 'object') {
+    return false
+  }
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * Read value of a dot notated path from a Mongoose document or plain object.
+ * @param {object} document Mongoose document or plain object.
+ * @param {string} path Dot notated path.
+ * @returns {*} Value, undefined when the path does not exist.
+ */
+function getPathValue (document, path) {
+  if (document && typeof document.get === 'function' && document.schema) {
+    return document.get(path)
+  }
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), document)
+}
+
+module.exports = {
+  isPlainObject,
+  getPathValue
+}
@@ -0,0 +1,175 @@
+const { ForbiddenError } = require('apollo-server-errors')
+const { isPlainObject } = require('./plainObject')
+
+/**
+ * Test if path is one of the fields or nested below one of them.
+ * @param {string} path Dot notated path.
+ * @param {array} fields List of dot notated paths.
+ * @returns {boolean}
+ */
+function isPathCovered (path, fields) {
+  return fields.some((field) => path === field || path.startsWith(`${field}.`))
+}
+
+/**
+ * Normalize result of a policy call to a scope. False denies the operation, true or nothing
+ * allows it without restriction. An object restricts the operation with **filter**, a native
+ * Mongo DB filter, and the field masks **readFields** and **writeFields**.
+ * @param {boolean|object} result Result of the policy.
+ * @param {string} operation Operation type.
+ * @param {string} modelName Name of the model.
+ * @returns {object} Scope with filter, readFields and writeFields, null when not restricted.
+ */
+function normalizePolicy (result, operation, modelName) {
+  if (result === false) {
+    throw new ForbiddenError(`Operation '${operation}' on '${modelName}' is not allowed.`)
+  }
+  const { filter = null, readFields = null, writeFields = null } = isPlainObject(result) ? result : {}
+  return {
+    filter: filter && Object.keys(filter).length ? filter : null,
+    readFields,
+    writeFields
+  }
+}
+
+/**
+ * Restrict a query to the filter of a scope.
+ * @param {object} query Native Mongo DB filter.
+ * @param {object} [filter] Filter of the scope (optional).
+ * @returns {object} Native Mongo DB filter.
+ */
+function scopeFilter (query, filter = null) {
+  if (!filter) {
+    return query
+  }
+  if (!query || !Object.keys(query).length) {
+    return filter
+  }
+  return { $and: [query, filter] }
+}
+
+/**
+ * Convert Mongoose string projection ('name email -password') to a projection object.
+ * Forced selections with '+' do not restrict the selected fields and are left out.
+ * @param {string|object} projection Mongoose projection.
+ * @returns {object} Projection object.
+ */
+function toProjectionObject (projection) {
+  if (typeof projection !== 'string') {
+    return projection || {}
+  }
+  return projection.split(/\s+/).filter(Boolean).reduce((fields, field) => {
+    if (field.startsWith('-')) {
+      fields[field.slice(1)] = 0
+    } else if (!field.startsWith('+')) {
+      fields[field] = 1
+    }
+    return fields
+  }, {})
+}
+
+/**
+ * Restrict a projection to the readable fields. Inclusions outside the readable fields are
+ * dropped, an empty or excluding projection is replaced by the readable fields.
+ * When no readable field remains, only the document id is selected.
+ * @param {string|object} projection Mongoose projection.
+ * @param {array} [readFields] Readable fields, null when not restricted (optional).
+ * @returns {string|object} Mongoose projection.
+ */
+function maskProjection (projection, readFields = null) {
+  if (!readFields) {
+    return projection
+  }
+  const fields = toProjectionObject(projection)
+  const keys = Object.keys(fields).filter((key) => key !== '_id')
+  const isExclusion = keys.length > 0 && keys.every((key) => fields[key] === 0 || fields[key] === false)
+  const masked = {}
+
+  if (!keys.length || isExclusion) {
+    readFields
+      .filter((field) => !isPathCovered(field, keys))
+      .forEach((field) => { masked[field] = 1 })
+  } else {
+    keys.forEach((key) => {
+      if (isPathCovered(key, readFields)) {
+        masked[key] = fields[key]
+        return
+      }
+      // a partly readable sub document is narrowed to its readable paths
+      readFields
+        .filter((field) => field.startsWith(`${key}.`))
+        .forEach((field) => { masked[field] = 1 })
+    })
+  }
+
+  if (!Object.keys(masked).length) {
+    return { _id: 1 }
+  }
+  if (fields._id !== undefined) {
+    masked._id = fields._id
+  }
+  return masked
+}
+
+/**
+ * Strip positional operators and array indexes from an update path.
+ * @param {string} path Update path, like 'items.$.name'.
+ * @returns {string} Field path, like 'items.name'.
+ */
+function toFieldPath (path) {
+  return path
+    .split('.')
+    .filter((segment) => !segment.startsWith('$') && !/^\d+$/.test(segment))
+    .join('.')
+}
+
+/**
+ * Collect all paths of a document or update, which are not writable.
+ * Update operators like $set or $inc are looked into, sub documents are looked into
+ * when only some of their paths are writable.
+ * @param {object} document Document or update.
+ * @param {array} writeFields Writable fields.
+ * @param {string} [prefix] Path of the document (optional).
+ * @returns {array} List of not writable paths.
+ */
+function findUnwritablePaths (document, writeFields, prefix = '') {
+  return Object.keys(document || {}).reduce((paths, key) => {
+    const value = document[key]
+    if (key.startsWith('$')) {
+      return isPlainObject(value) ? paths.concat(findUnwritablePaths(value, writeFields, prefix)) : paths
+    }
+    const path = toFieldPath(prefix ? `${prefix}.${key}` : key)
+    if (!path || isPathCovered(path, writeFields)) {
+      return paths
+    }
+    if (isPlainObject(value) && writeFields.some((field) => field.startsWith(`${path}.`))) {
+      return paths.concat(findUnwritablePaths(value, writeFields, path))
+    }
+    return paths.concat(path)
+  }, [])
+}
+
+/**
+ * Verify that a document or update changes only writable fields.
+ * @param {object} document Document or update.
+ * @param {array} [writeFields] Writable fields, null when not restricted (optional).
+ * @returns {void} Raise a ForbiddenError when any field is not writable.
+ */
+function assertWritable (document, writeFields = null) {
+  if (!writeFields) {
+    return
+  }
+  const paths = findUnwritablePaths(document, writeFields)
+  if (paths.length) {
+    throw new ForbiddenError(`Fields not writable: ${paths.map((path) => `'${path}'`).join(', ')}.`)
+  }
+}
+
+module.exports = {
+  isPathCovered,
+  normalizePolicy,
+  scopeFilter,
+  maskProjection,
+  findUnwritablePaths,
+  assertWritable
+}
@@ -0,0 +1,155 @@
+const { UserInputError } = require('apollo-server-errors')
+const { isPathCovered } = require('./policy')
+const { isPlainObject } = require('./plainObject')
+
+/**
+ * Operators holding a list of filters.
+ * @type {array}
+ */
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor']
+
+/**
+ * Add the measure of a nested filter or condition to a measure.
+ * @param {object} measure Measure { depth, operators, paths }, changed in place.
+ * @param {object} inner Measure of the nested filter or condition.
+ * @returns {void}
+ */
+function mergeMeasure (measure, inner) {
+  measure.depth = Math.max(measure.depth, inner.depth)
+  measure.operators += inner.operators
+  measure.paths.push(...inner.paths)
+}
+
+/**
+ * Measure the condition of a path, like { $gt: 1 }. $elemMatch and $not nest a level deeper,
+ * paths in $elemMatch are relative to the array and not listed.
+ * @param {*} condition Path condition or value.
+ * @param {number} depth Depth of the filter holding the condition.
+ * @returns {object} { depth, operators, paths }
+ */
+function measureCondition (condition, depth) {
+  const measure = { depth, operators: 0, paths: [] }
+  if (!isPlainObject(condition)) {
+    return measure
+  }
+  Object.keys(condition).filter((key) => key.startsWith('$')).forEach((operator) => {
+    measure.operators += 1
+    if (operator === '$elemMatch') {
+      mergeMeasure(measure, { ...measureFilter(condition[operator], depth + 1), paths: [] })
+    }
+    if (operator === '$not') {
+      mergeMeasure(measure, measureCondition(condition[operator], depth + 1))
+    }
+  })
+  return measure
+}
+
+/**
+ * Measure a native filter: its nesting depth, the number of operators and the filtered paths.
+ * A flat filter has depth 1, every list of $and, $or and $nor, $elemMatch and $not add a level.
+ * @param {object} filter Native Mongo DB filter.
+ * @param {number} [depth] Depth of the filter (optional).
+ * @returns {object} { depth, operators, paths }. Raise a UserInputError when $and, $or or $nor is no list.
+ */
+function measureFilter (filter, depth = 1) {
+  const measure = { depth: 0, operators: 0, paths: [] }
+  Object.keys(filter || {}).forEach((key) => {
+    const value = filter[key]
+    measure.depth = Math.max(measure.depth, depth)
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(value)) {
+        throw new UserInputError(`Operator '${key}' needs a list of filters.`)
+      }
+      measure.operators += 1
+      value.forEach((condition) => mergeMeasure(measure, measureFilter(condition, depth + 1)))
+    } else if (key.startsWith('$')) {
+      measure.operators += 1
+    } else {
+      measure.paths.push(key)
+      mergeMeasure(measure, measureCondition(value, depth))
+    }
+  })
+  measure.paths = [...new Set(measure.paths)]
+  return measure
+}
+
+/**
+ * Read all indexed paths of a schema, including _id.
+ * @param {object} schema Mongoose schema.
+ * @returns {array} List of paths.
+ */
+function findIndexedPaths (schema) {
+  const paths = ['_id']
+  schema.indexes().forEach(([index]) => paths.push(...Object.keys(index)))
+  schema.eachPath((path, schemaType) => {
+    const { index, unique, text } = schemaType.options || {}
+    if (index || unique || text) {
+      paths.push(path)
+    }
+  })
+  return [...new Set(paths)]
+}
+
+/**
+ * Normalize query guard options. Allowed filter and sort paths are a list of paths,
+ * indexed for all indexed paths of the schema, or null when not restricted.
+ * @param {object} options Data source options **maxLimit**, **maxFilterDepth**, **maxFilterOperators**,
+ *  **filterFields** and **sortFields**.
+ * @param {object} schema Mongoose schema.
+ * @returns {object} Query guards.
+ */
+function normalizeQueryGuards (options, schema) {
+  const toFields = (fields) => (fields === 'indexed' ? findIndexedPaths(schema) : fields || null)
+  return {
+    maxLimit: options.maxLimit || null,
+    maxFilterDepth: options.maxFilterDepth || null,
+    maxFilterOperators: options.maxFilterOperators || null,
+    filterFields: toFields(options.filterFields),
+    sortFields: toFields(options.sortFields)
+  }
+}
+
+/**
+ * Verify that a query stays within the query guards, before it is sent to the database.
+ * @param {object} guards Query guards from normalizeQueryGuards().
+ * @param {object} query Native **filter**, Mongoose **sort** and **limit** of the query, each optional.
+ * @returns {void} Raise a UserInputError for a query exceeding a guard.
+ */
+function assertQueryCost (guards, { filter = null, sort = null, limit = null } = {}) {
+  // Mongo DB reads all documents with limit 0.
+  if (limit !== null && !(Number.isInteger(limit) && limit >= 1)) {
+    throw new UserInputError(`Limit ${limit} has to be a positive integer.`)
+  }
+  if (guards.maxLimit && limit > guards.maxLimit) {
+    throw new UserInputError(`Limit ${limit} exceeds maximum of ${guards.maxLimit}.`)
+  }
+
+  const { depth, operators, paths } = measureFilter(filter)
+  if (guards.maxFilterDepth && depth > guards.maxFilterDepth) {
+    throw new UserInputError(`Filter nesting depth ${depth} exceeds maximum of ${guards.maxFilterDepth}.`)
+  }
+  if (guards.maxFilterOperators && operators > guards.maxFilterOperators) {
+    throw new UserInputError(`Filter has ${operators} operators, maximum is ${guards.maxFilterOperators}.`)
+  }
+  const filterPath = guards.filterFields && paths.find((path) => !isPathCovered(path, guards.filterFields))
+  if (filterPath) {
+    throw new UserInputError(`Filter on '${filterPath}' is not allowed.`)
+  }
+
+  const sortPaths = isPlainObject(sort)
+    ? Object.keys(sort)
+    : String(sort || '').split(/\s+/).filter(Boolean).map((path) => path.replace(/^-/, ''))
+  // the id is appended to sorts as tiebreaker and always indexed
+  const sortPath = guards.sortFields && sortPaths
+    .find((path) => path !== '_id' && !isPathCovered(path, guards.sortFields))
+  if (sortPath) {
+    throw new UserInputError(`Sort by '${sortPath}' is not allowed.`)
+  }
+}
+
+module.exports = {
+  measureFilter,
+  findIndexedPaths,
+  normalizeQueryGuards,
+  assertQueryCost
+}
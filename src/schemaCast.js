@@ -0,0 +1,116 @@
+const Mongoose = require('mongoose')
+const { UserInputError } = require('apollo-server-errors')
+
+const { ObjectId, Decimal128 } = Mongoose.Types
+
+/**
+ * Resolve Mongoose schema type of a (dot notated) path.
+ * Nested paths, which are plain objects in the schema definition, have no schema type.
+ * @param {object} schema Mongoose schema.
+ * @param {string} path Path in dot notation.
+ * @returns {object|null} Schema type, null for nested paths.
+ */
+function resolveSchemaType (schema, path) {
+  const schemaType = schema.path(path)
+  if (schemaType) {
+    return schemaType
+  }
+  if (schema.pathType(path) === 'nested') {
+    return null
+  }
+  throw new UserInputError(`Unknown filter field '${path}'.`, { path })
+}
+
+/**
+ * Raise an error for a value which can not be cast to the path type.
+ * @param {string} type Name of the expected type.
+ * @param {*} value The value which is not cast able.
+ * @param {string} path Path of the value.
+ */
+function throwCastError (type, value, path) {
+  throw new UserInputError(`Invalid value '${value}' for filter field '${path}', expected type ${type}.`, {
+    path,
+    kind: type,
+    value
+  })
+}
+
+/**
+ * Cast value to a boolean. Besides booleans, the strings and numbers 1/0 and 'true'/'false' are accepted.
+ * @param {*} value The value to cast.
+ * @param {string} path Path of the value.
+ * @returns {boolean}
+ */
+function castBoolean (value, path) {
+  if ([true, 1, '1', 'true'].includes(value)) {
+    return true
+  }
+  if ([false, 0, '0', 'false'].includes(value)) {
+    return false
+  }
+  return throwCastError('Boolean', value, path)
+}
+
+/**
+ * Cast value by name of a Mongoose schema type instance.
+ * @param {string} instance Name of schema type instance (String, Number, Date, ...).
+ * @param {*} value The value to cast.
+ * @param {string} path Path of the value.
+ * @returns {*} Cast value.
+ */
+function castByInstance (instance, value, path) {
+  if (value === null || value === undefined) {
+    return value
+  }
+  switch (instance) {
+    case 'String':
+      return String(value)
+    case 'Number': {
+      const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value)
+      return Number.isNaN(number) ? throwCastError('Number', value, path) : number
+    }
+    case 'Date': {
+      const date = value instanceof Date ? value : new Date(value)
+      return Number.isNaN(date.getTime()) ? throwCastError('Date', value, path) : date
+    }
+    case 'ObjectID':
+    case 'ObjectId':
+      return ObjectId.isValid(value) ? new ObjectId(value) : throwCastError('ObjectId', value, path)
+    case 'Boolean':
+      return castBoolean(value, path)
+    case 'Decimal128':
+      try {
+        return Decimal128.fromString(String(value))
+      } catch (err) {
+        return throwCastError('Decimal128', value, path)
+      }
+    default:
+      return value
+  }
+}
+
+/**
+ * Cast a filter value to the type of a schema path. Arrays are cast by the type of their items,
+ * so a single value can be used to match an array item. Values of other types (Mixed, Map, ...) are not cast.
+ * @param {object|null} schemaType Mongoose schema type of the path.
+ * @param {*} value The value to cast.
+ * @returns {*} Cast value.
+ */
+function castSchemaValue (schemaType, value) {
+  if (!schemaType) {
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => castSchemaValue(schemaType, item))
+  }
+  const instance = schemaType.instance === 'Array' && schemaType.caster
+    ? schemaType.caster.instance
+    : schemaType.instance
+  return castByInstance(instance, value, schemaType.path)
+}
+
+module.exports = {
+  resolveSchemaType,
+  castSchemaValue,
+  castBoolean
+}
@@ -0,0 +1,97 @@
+const { escapeRegExp } = require('./toMongooseFilterExpression')
+const { getPathValue } = require('./plainObject')
+
+/**
+ * Read the paths of the text index of a schema. Paths with option text are read from the schema type
+ * as well, Mongoose removes the option from the index of the path once the indexes are read.
+ * @param {object} schema Mongoose schema.
+ * @returns {array|null} Indexed paths, $** for a wildcard index, null when the schema has no text index.
+ */
+function findTextIndexFields (schema) {
+  const fields = []
+  schema.indexes().forEach(([index]) => {
+    Object.keys(index).filter((path) => index[path] === 'text').forEach((path) => fields.push(path))
+  })
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options && schemaType.options.text) {
+      fields.push(path)
+    }
+  })
+  return fields.length ? [...new Set(fields)] : null
+}
+
+/**
+ * Split a search query to distinct lower case terms. Quotes are removed, terms with the negation
+ * prefix of text search are kept apart as negated terms.
+ * @param {string} query Search query.
+ * @returns {object} { terms, negatedTerms }, both lists of terms.
+ */
+function tokenize (query) {
+  const terms = new Set()
+  const negatedTerms = new Set()
+  String(query || '').toLowerCase().split(/\s+/).forEach((token) => {
+    const term = token.replace(/^-/, '').replace(/"/g, '')
+    if (term) {
+      (token.startsWith('-') ? negatedTerms : terms).add(term)
+    }
+  })
+  return { terms: [...terms], negatedTerms: [...negatedTerms] }
+}
+
+/**
+ * Build a regular expression filter matching documents, which contain every term in any of the fields
+ * and no negated term in any of the fields.
+ * @param {array} terms Terms from tokenize().
+ * @param {array} fields Searched paths.
+ * @param {array} [negatedTerms] Negated terms from tokenize() (optional).
+ * @returns {object} Native Mongo DB filter.
+ */
+function toRegexSearchFilter (terms, fields, negatedTerms = []) {
+  const toConditions = (term) => fields.map((field) => ({ [field]: { $regex: escapeRegExp(term), $options: 'i' } }))
+  const filter = { $and: terms.map((term) => ({ $or: toConditions(term) })) }
+  if (negatedTerms.length) {
+    filter.$nor = negatedTerms.reduce((conditions, term) => conditions.concat(toConditions(term)), [])
+  }
+  return filter
+}
+
+/**
+ * Read string values of a dot notated path, values of arrays are read one by one.
+ * @param {object} document Plain document or Mongoose document.
+ * @param {string} path Dot notated path.
+ * @returns {array} List of strings.
+ */
+function readStrings (document, path) {
+  const value = getPathValue(document, path)
+  return [].concat(value === undefined || value === null ? [] : value).filter((item) => typeof item === 'string')
+}
+
+/**
+ * Find the terms in the fields of a document, for highlighting matches in search results.
+ * @param {object} document Plain document or Mongoose document.
+ * @param {array} fields Searched paths.
+ * @param {array} terms Terms from tokenize().
+ * @returns {array} List of highlights { path, value, matches }, matches are { start, end } offsets in the value.
+ */
+function toHighlights (document, fields, terms) {
+  if (!terms.length) {
+    return []
+  }
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi')
+  return fields.reduce((highlights, path) => readStrings(document, path).reduce((pathHighlights, value) => {
+    const matches = []
+    let match = pattern.exec(value)
+    while (match) {
+      matches.push({ start: match.index, end: match.index + match[0].length })
+      match = pattern.exec(value)
+    }
+    return matches.length ? pathHighlights.concat({ path, value, matches }) : pathHighlights
+  }, highlights), [])
+}
+
+module.exports = {
+  findTextIndexFields,
+  tokenize,
+  toRegexSearchFilter,
+  toHighlights
+}
@@ -0,0 +1,95 @@
+/**
+ * Default path of the deletion date.
+ * @type {string}
+ */
+const DELETED_AT_FIELD = 'deletedAt'
+/**
+ * Default path of the user who deleted the document.
+ * @type {string}
+ */
+const DELETED_BY_FIELD = 'deletedBy'
+
+/**
+ * Normalize soft delete option. True enables soft delete with default paths, an object can set
+ * **deletedAtField**, **deletedByField** and **deletedBy**, a function reading the deleting user from the context.
+ * @param {boolean|object} option Soft delete option.
+ * @returns {object|null} Soft delete configuration, null when soft delete is disabled.
+ */
+function normalizeSoftDelete (option) {
+  if (!option) {
+    return null
+  }
+  const {
+    deletedAtField = DELETED_AT_FIELD,
+    deletedByField = DELETED_BY_FIELD,
+    deletedBy = null
+  } = option === true ? {} : option
+  return { deletedAtField, deletedByField, deletedBy }
+}
+
+/**
+ * Filter matching documents which are not deleted.
+ * @param {object} softDelete Soft delete configuration.
+ * @returns {object} Native Mongo DB filter.
+ */
+function notDeletedFilter (softDelete) {
+  return { [softDelete.deletedAtField]: null }
+}
+
+/**
+ * Filter matching deleted documents.
+ * @param {object} softDelete Soft delete configuration.
+ * @returns {object} Native Mongo DB filter.
+ */
+function deletedFilter (softDelete) {
+  return { [softDelete.deletedAtField]: { $ne: null } }
+}
+
+/**
+ * Build update marking documents as deleted.
+ * @param {object} softDelete Soft delete configuration.
+ * @param {object} context Request context, passed to the deletedBy function.
+ * @param {Date} [date] Deletion date (optional).
+ * @returns {object} Mongo DB update.
+ */
+function toDeleteUpdate (softDelete, context, date = new Date()) {
+  const $set = { [softDelete.deletedAtField]: date }
+  if (softDelete.deletedBy) {
+    $set[softDelete.deletedByField] = softDelete.deletedBy(context)
+  }
+  return { $set }
+}
+
+/**
+ * Build update restoring deleted documents.
+ * @param {object} softDelete Soft delete configuration.
+ * @returns {object} Mongo DB update.
+ */
+function toRestoreUpdate (softDelete) {
+  const $unset = { [softDelete.deletedAtField]: '' }
+  if (softDelete.deletedBy) {
+    $unset[softDelete.deletedByField] = ''
+  }
+  return { $unset }
+}
+
+/**
+ * Add the restore of deleted documents to an update. Upserts match deleted documents as well and restore them,
+ * inserting a document with the unique key of a deleted document fails as duplicate.
+ * @param {object} softDelete Soft delete configuration.
+ * @param {object} update Mongo DB update.
+ * @returns {object} Mongo DB update.
+ */
+function withRestoreUpdate (softDelete, update) {
+  const { $unset } = toRestoreUpdate(softDelete)
+  return { ...update, $unset: { ...update.$unset, ...$unset } }
+}
+
+module.exports = {
+  normalizeSoftDelete,
+  notDeletedFilter,
+  deletedFilter,
+  toDeleteUpdate,
+  toRestoreUpdate,
+  withRestoreUpdate
+}
@@ -0,0 +1,57 @@
+const { ForbiddenError } = require('apollo-server-errors')
+const { isPlainObject } = require('./plainObject')
+
+/**
+ * Update operators removing the fields they list as keys.
+ * @type {array}
+ */
+const REMOVING_OPERATORS = ['$unset', '$rename']
+
+/**
+ * Collect paths of a document or update, which set the tenant field to another tenant or remove it.
+ * Setting the tenant field to the current tenant is no change.
+ * @param {object} document Document or update, update operators are looked into.
+ * @param {string} field Dot notated path of the tenant field.
+ * @param {*} tenantId Tenant of the request.
+ * @param {string} [prefix] Path of the document (optional).
+ * @returns {array} List of changing paths.
+ */
+function findTenantChanges (document, field, tenantId, prefix = '') {
+  return Object.keys(document || {}).reduce((paths, key) => {
+    const value = document[key]
+    if (REMOVING_OPERATORS.includes(key)) {
+      return paths.concat(Object.keys(value || {})
+        .map((path) => (prefix ? `${prefix}.${path}` : path))
+        .filter((path) => path === field || field.startsWith(`${path}.`)))
+    }
+    if (key.startsWith('$')) {
+      return isPlainObject(value) ? paths.concat(findTenantChanges(value, field, tenantId, prefix)) : paths
+    }
+    const path = prefix ? `${prefix}.${key}` : key
+    if (path === field) {
+      return String(value) === String(tenantId) ? paths : paths.concat(path)
+    }
+    if (field.startsWith(`${path}.`)) {
+      return isPlainObject(value) ? paths.concat(findTenantChanges(value, field, tenantId, path)) : paths.concat(path)
+    }
+    return paths
+  }, [])
+}
+
+/**
+ * Verify that a document or update does not move a document to another tenant.
+ * @param {object} document Document or update.
+ * @param {string} field Dot notated path of the tenant field.
+ * @param {*} tenantId Tenant of the request.
+ * @returns {void} Raise a ForbiddenError when the tenant field is changed.
+ */
+function assertTenantUnchanged (document, field, tenantId) {
+  if (findTenantChanges(document, field, tenantId).length) {
+    throw new ForbiddenError(`Tenant field '${field}' can not be changed.`)
+  }
+}
+
+module.exports = {
+  findTenantChanges,
+  assertTenantUnchanged
+}
@@ -0,0 +1,37 @@
+/**
+ * Serialize a value to JSON with sorted object keys, so equal queries always
+ * produce equal strings regardless of property order.
+ * @param {*} value Value to serialize.
+ * @returns {string} Serialized value.
+ */
+function stableStringify (value) {
+  if (value instanceof RegExp) {
+    return JSON.stringify(String(value))
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    return `{${entries.join(',')}}`
+  }
+  const serialized = JSON.stringify(value)
+  return serialized === undefined ? 'null' : serialized
+}
+
+/**
+ * Build a cache key from model name and any number of key parts.
+ * Parts which are no strings (filter, sort, ...) are serialized in a stable way.
+ * @param {string} modelName Name of the Mongoose model.
+ * @param {...*} parts Parts of the key, like method name and query.
+ * @returns {string} Cache key.
+ */
+function toCacheKey (modelName, ...parts) {
+  const serializedParts = parts.map((part) => (typeof part === 'string' ? part : stableStringify(part)))
+  return ['mongoose', modelName, ...serializedParts].join(':')
+}
+
+module.exports = toCacheKey
@@ -0,0 +1,69 @@
+const { ApolloError } = require('apollo-server-errors')
+
+/**
+ * Names of the facets holding the page and the total count.
+ * @type {array}
+ */
+const PAGE_FACETS = ['node', 'totalCount']
+
+/**
+ * Build the pipeline of a facet. A path counts the documents per value of the path, values of array paths
+ * are counted one by one. A list of stages is used as it is.
+ * @param {string} name Facet name.
+ * @param {string|array} facet Path or pipeline stages.
+ * @returns {array} Pipeline stages.
+ */
+function toFacetPipeline (name, facet) {
+  if (Array.isArray(facet)) {
+    return facet
+  }
+  if (typeof facet !== 'string' || !facet) {
+    throw new ApolloError(`Facet '${name}' needs a path or a list of pipeline stages.`)
+  }
+  return [
+    { $unwind: { path: `$${facet}`, preserveNullAndEmptyArrays: true } },
+    { $group: { _id: `$${facet}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ]
+}
+
+/**
+ * Build a $facet stage returning a page of documents, the total count and further facets
+ * from the same pipeline, so all of them see the same documents.
+ * @param {array} pageStages Stages selecting the page, like $skip and $limit.
+ * @param {object} [facets] Facets by name, a path counting documents per value or pipeline stages (optional).
+ * @returns {object} $facet stage.
+ */
+function toFacetStage (pageStages, facets = {}) {
+  const stage = {
+    node: pageStages,
+    totalCount: [{ $count: 'count' }]
+  }
+  Object.keys(facets).forEach((name) => {
+    if (PAGE_FACETS.includes(name)) {
+      throw new ApolloError(`Facet name '${name}' is reserved.`)
+    }
+    stage[name] = toFacetPipeline(name, facets[name])
+  })
+  return { $facet: stage }
+}
+
+/**
+ * Read page, total count and facets from the result of a $facet stage built by toFacetStage().
+ * @param {array} result Aggregation result, a single document.
+ * @returns {object} { node, totalCount, facets }
+ */
+function fromFacetResult (result) {
+  const { node = [], totalCount = [], ...facets } = result[0] || {}
+  return {
+    node,
+    totalCount: totalCount.length ? totalCount[0].count : 0,
+    facets
+  }
+}
+
+module.exports = {
+  toFacetStage,
+  fromFacetResult
+}
@@ -1,76 +1,134 @@
 const kindOf = require('kind-of');
+const { UserInputError } = require('apollo-server-errors');
+const { resolveSchemaType, castSchemaValue, castBoolean } = require('./schemaCast');
+const convertGeoOperator = require('./convertGeoOperator');
+const { isPlainObject } = require('./plainObject');
 
 /**
- * Convert number type to int or float.
- * @param {string} fieldType Type of the field value.
- * @param {string} fieldValue The value to convert.
- * @returns {string} The detailed type of number (int, float).
+ * Names of all supported search operators.
+ * @type {array}
+ */
+const SEARCH_OPERATORS = [
+  'ne', 'eq', 'le', 'lt', 'ge', 'gt', 'exists', 'contains', 'notContains',
+  'between', 'startsWith', 'endsWith', 'in', 'nin', 'not', 'or', 'and', 'nor',
+  'size', 'all', 'elemMatch',
+  'containsCaseSensitive', 'notContainsCaseSensitive', 'startsWithCaseSensitive', 'endsWithCaseSensitive',
+  'near', 'withinBox', 'withinPolygon', 'geoIntersects'
+];
+
+/**
+ * Names of logical operators, combining a list of filters.
+ * @type {array}
  */
-function getTypeof(fieldType, fieldValue) {
-  let newType = kindOf(fieldType);
-  if (fieldType === 'number' && fieldValue % 1 === 0) {
+const LOGICAL_OPERATORS = ['or', 'and', 'nor'];
+
+/**
+ * Detect type of a field value, numbers are detailed to int or float.
+ * @param {*} fieldValue The value to detect the type of.
+ * @returns {string} Type of the value (string, array, int, float, ...).
+ */
+function getTypeof (fieldValue) {
+  let newType = kindOf(fieldValue);
+  if (newType === 'number' && fieldValue % 1 === 0) {
     newType = 'int';
   }
-  if (fieldType === 'number' && fieldValue % 1 !== 0) {
+  if (newType === 'number' && fieldValue % 1 !== 0) {
     newType = 'float';
   }
   return newType;
 }
 
+/**
+ * Check if a converted statement is an object of Mongo operators, which can be merged with other operators.
+ * @param {*} statement Converted statement.
+ * @returns {boolean}
+ */
+function isOperatorStatement (statement) {
+  return isPlainObject(statement) &&
+    Object.keys(statement).length > 0 &&
+    Object.keys(statement).every((key) => key.startsWith('$'));
+}
+
+/**
+ * Escape regular expression metacharacters, so user input is matched literally.
+ * @param {string} value The value to escape.
+ * @returns {string} Escaped value.
+ */
+function escapeRegExp (value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build $regex statement, case insensitive unless requested otherwise.
+ * @param {string} pattern Regular expression pattern.
+ * @param {boolean} caseSensitive Match case sensitive.
+ * @returns {object} Regex statement.
+ */
+function toRegexStatement (pattern, caseSensitive) {
+  if (caseSensitive) {
+    return { $regex: pattern };
+  }
+  return { $regex: pattern, $options: 'i' };
+}
+
 /**
  * Convert contains to $regex operator.
  * @param {string} fieldType Type of the field value.
  * @param {string} fieldValue The value to convert.
+ * @param {boolean} [caseSensitive] Match case sensitive (optional).
  * @returns {string} Converted statement.
  */
-function convertContains(fieldType, fieldValue) {
+function convertContains (fieldType, fieldValue, caseSensitive = false) {
   // we expect handling only type of string
   if (fieldType !== 'string') {
     return fieldValue;
   }
-  return { $regex: fieldValue, $options: 'i' };
+  return toRegexStatement(escapeRegExp(fieldValue), caseSensitive);
 }
 
 /**
  * Convert notContains to $not and $regex operator.
  * @param {string} fieldType Type of the field value.
  * @param {string} fieldValue The value to convert.
+ * @param {boolean} [caseSensitive] Match case sensitive (optional).
  * @returns {string} Converted statement.
  */
-function convertNotContains(fieldType, fieldValue) {
+function convertNotContains (fieldType, fieldValue, caseSensitive = false) {
   // we expect handling only type of string
   if (fieldType !== 'string') {
     return fieldValue;
   }
-  return { $not: { $regex: fieldValue, $options: 'i' } };
+  return { $not: toRegexStatement(escapeRegExp(fieldValue), caseSensitive) };
 }
 
 /**
  * Convert startsWith to $regex operator.
  * @param {string} fieldType Type of the field value.
  * @param {string} fieldValue The value to convert.
+ * @param {boolean} [caseSensitive] Match case sensitive (optional).
  * @returns {string} Converted statement.
  */
-function convertStartsWith(fieldType, fieldValue) {
+function convertStartsWith (fieldType, fieldValue, caseSensitive = false) {
   // we expect handling only type of string
   if (fieldType !== 'string') {
     return fieldValue;
   }
-  return { $regex: `^${fieldValue}`, $options: 'i' };
+  return toRegexStatement(`^${escapeRegExp(fieldValue)}`, caseSensitive);
 }
 
 /**
  * Convert endsWith to $regex operator.
  * @param {string} fieldType Type of the field value.
  * @param {string} fieldValue The value to convert.
+ * @param {boolean} [caseSensitive] Match case sensitive (optional).
  * @returns {string} Converted statement.
  */
-function convertEndsWith(fieldType, fieldValue) {
+function convertEndsWith (fieldType, fieldValue, caseSensitive = false) {
   // we expect handling only type of string
   if (fieldType !== 'string') {
     return fieldValue;
   }
-  return { $regex: `${fieldValue}$`, $options: 'i' };
+  return toRegexStatement(`${escapeRegExp(fieldValue)}$`, caseSensitive);
 }
 
 /**
@@ -87,13 +145,101 @@ function convertIn(fieldType, fieldValue) {
   return { $in: fieldValue };
 }
 
+/**
+ * Convert not in ($nin) operator.
+ * @param {string} fieldType Type of the field value.
+ * @param {array} fieldValue The value to convert.
+ * @returns {string} Converted statement.
+ */
+function convertNotIn (fieldType, fieldValue) {
+  // we expect handling only type of array
+  if (fieldType !== 'array') {
+    return { $ne: fieldValue };
+  }
+  return { $nin: fieldValue };
+}
+
+/**
+ * Convert all ($all) operator.
+ * @param {string} fieldType Type of the field value.
+ * @param {array} fieldValue The value to convert.
+ * @returns {string} Converted statement.
+ */
+function convertAll (fieldType, fieldValue) {
+  // a single value has to be contained in the array
+  if (fieldType !== 'array') {
+    return { $all: [fieldValue] };
+  }
+  return { $all: fieldValue };
+}
+
+/**
+ * Convert size ($size) operator.
+ * @param {*} fieldValue The value to convert.
+ * @returns {string} Converted statement.
+ */
+function convertSize (fieldValue) {
+  const size = Number(fieldValue);
+  if (!Number.isInteger(size) || size < 0) {
+    throw new UserInputError(`Invalid value '${fieldValue}' for 'size', expected a positive integer.`);
+  }
+  return { $size: size };
+}
+
+/**
+ * Convert not ($not) operator, which wraps any other operator.
+ * Equality can not be negated by $not, so it is converted to $ne.
+ * @param {object} fieldValue Filter object with the operator to negate.
+ * @param {object} [schema] Mongoose schema (optional).
+ * @param {object} [schemaType] Mongoose schema type of the filtered path (optional).
+ * @returns {string} Converted statement.
+ */
+function convertNot (fieldValue, schema = null, schemaType = null) {
+  if (!isPlainObject(fieldValue)) {
+    return { $ne: castSchemaValue(schemaType, fieldValue) };
+  }
+  const operator = Object.keys(fieldValue)[0];
+  const statement = convertSearchOperator(operator, getTypeof(fieldValue[operator]), fieldValue[operator], schema, schemaType);
+  if (!isOperatorStatement(statement)) {
+    return { $ne: statement };
+  }
+  return { $not: statement };
+}
+
+/**
+ * Convert elemMatch ($elemMatch) operator. For arrays of embedded documents the value is a
+ * filter on the embedded document, for arrays of values it is a set of operators.
+ * @param {object} fieldValue Filter matching a single array element.
+ * @param {object} [schema] Mongoose schema (optional).
+ * @param {object} [schemaType] Mongoose schema type of the filtered path (optional).
+ * @returns {string} Converted statement.
+ */
+function convertElemMatch (fieldValue, schema = null, schemaType = null) {
+  if (!isPlainObject(fieldValue)) {
+    throw new UserInputError('Operator \'elemMatch\' needs a filter object.');
+  }
+  if (schemaType && schemaType.schema) {
+    return { $elemMatch: toMongooseFilterExpression(fieldValue, schemaType.schema) };
+  }
+  const operators = Object.keys(fieldValue);
+  if (operators.length && operators.every((operator) => SEARCH_OPERATORS.includes(operator))) {
+    const path = schemaType ? schemaType.path : 'elemMatch';
+    const statement = convertFieldOperators(fieldValue, path, schema, schemaType);
+    // $elemMatch needs operators, a plain value (eq) matches an element equal to it
+    return { $elemMatch: isOperatorStatement(statement) ? statement : { $eq: statement } };
+  }
+  return { $elemMatch: toMongooseFilterExpression(fieldValue) };
+}
+
 /**
  * Convert or ($or) operator.
  * @param {string} fieldType Type of the field value.
  * @param {array} fieldValue The value to convert.
+ * @param {string} fieldName Name of the logical operator.
+ * @param {object} [schema] Mongoose schema to cast values (optional).
  * @returns {string} Converted statement.
  */
-function convertLogicalOperator(fieldType, fieldValue, fieldName) {
+function convertLogicalOperator (fieldType, fieldValue, fieldName, schema = null) {
   // we expect handling only type of array
   if (fieldType !== 'array') {
     return fieldValue;
@@ -101,88 +247,172 @@ function convertLogicalOperator(fieldType, fieldValue, fieldName) {
   const operator = `$${fieldName}`;
   const result = { [operator]: [] };
   fieldValue.forEach((statement) => {
-    result[operator].push(toMongooseFilterExpression(statement));
+    result[operator].push(toMongooseFilterExpression(statement, schema));
   });
   return result;
 }
 
 /**
  * Convert GraphQL set operator to Mongoose operator.
+ * When a schema type is given, values are cast to the type of the path. Unknown operators raise a UserInputError.
  * @param {string} fieldName Name of the field.
  * @param {*} fieldType Type of the field value.
  * @param {*} fieldValue The value to convert.
+ * @param {object} [schema] Mongoose schema (optional).
+ * @param {object} [schemaType] Mongoose schema type of the filtered path (optional).
  * @returns {string} Converted statement.
  */
-function convertSearchOperator(fieldName, fieldType, fieldValue) {
+function convertSearchOperator (fieldName, fieldType, fieldValue, schema = null, schemaType = null) {
+  const cast = (value) => castSchemaValue(schemaType, value);
   switch (fieldName) {
     case 'ne':
-      return { $ne: fieldValue };
+      return { $ne: cast(fieldValue) };
     case 'eq':
-      return fieldValue;
+      return cast(fieldValue);
     case 'le':
-      return { $lte: fieldValue };
+      return { $lte: cast(fieldValue) };
     case 'lt':
-      return { $lt: fieldValue };
+      return { $lt: cast(fieldValue) };
     case 'ge':
-      return { $gte: fieldValue };
+      return { $gte: cast(fieldValue) };
     case 'gt':
-      return { $gt: fieldValue };
+      return { $gt: cast(fieldValue) };
     case 'exists':
+      if (schema) {
+        return { $exists: castBoolean(fieldValue, schemaType ? schemaType.path : fieldName) };
+      }
       return { $exists: parseInt(fieldValue, 0) };
     case 'contains':
       return convertContains(fieldType, fieldValue);
+    case 'containsCaseSensitive':
+      return convertContains(fieldType, fieldValue, true);
     case 'notContains':
       return convertNotContains(fieldType, fieldValue);
+    case 'notContainsCaseSensitive':
+      return convertNotContains(fieldType, fieldValue, true);
     case 'between':
-      return { $gte: fieldValue[0], $lte: fieldValue[1] };
+      return { $gte: cast(fieldValue[0]), $lte: cast(fieldValue[1]) };
     case 'startsWith':
       return convertStartsWith(fieldType, fieldValue);
+    case 'startsWithCaseSensitive':
+      return convertStartsWith(fieldType, fieldValue, true);
     case 'endsWith':
       return convertEndsWith(fieldType, fieldValue);
+    case 'endsWithCaseSensitive':
+      return convertEndsWith(fieldType, fieldValue, true);
     case 'in':
-      return convertIn(fieldType, fieldValue);
+      return convertIn(fieldType, cast(fieldValue));
+    case 'nin':
+      return convertNotIn(fieldType, cast(fieldValue));
+    case 'not':
+      return convertNot(fieldValue, schema, schemaType);
+    case 'size':
+      return convertSize(fieldValue);
+    case 'all':
+      return convertAll(fieldType, cast(fieldValue));
+    case 'elemMatch':
+      return convertElemMatch(fieldValue, schema, schemaType);
+    case 'near':
+    case 'withinBox':
+    case 'withinPolygon':
+    case 'geoIntersects':
+      return convertGeoOperator(fieldName, fieldValue);
     case 'or':
     case 'and':
-      return convertLogicalOperator(fieldType, fieldValue, fieldName);
+    case 'nor':
+      return convertLogicalOperator(fieldType, fieldValue, fieldName, schema);
     default:
-      return fieldValue;
+      throw new UserInputError(`Unknown filter operator '${fieldName}'.`, { operator: fieldName });
   }
 }
 
+/**
+ * Convert all operators set on a field and merge them to a single condition,
+ * e.g. { ge: 18, lt: 65 } to { $gte: 18, $lt: 65 }. Operators which can not be
+ * merged, like eq with any other operator or two regex operators, raise an error.
+ * @param {object} operators Filter object with operators of the field.
+ * @param {string} path Path of the field.
+ * @param {object} [schema] Mongoose schema (optional).
+ * @param {object} [schemaType] Mongoose schema type of the filtered path (optional).
+ * @returns {*} Converted statement.
+ */
+function convertFieldOperators (operators, path, schema = null, schemaType = null) {
+  const names = Object.keys(operators);
+  if (names.length < 2) {
+    const [name] = names;
+    return convertSearchOperator(name, getTypeof(operators[name]), operators[name], schema, schemaType);
+  }
+
+  const result = {};
+  const statementOperators = {};
+  names.forEach((name) => {
+    const statement = convertSearchOperator(name, getTypeof(operators[name]), operators[name], schema, schemaType);
+    // a plain value (eq) can not be merged with any other operator
+    const conflictingNames = isOperatorStatement(statement)
+      ? [...new Set(Object.keys(statement).filter((key) => statementOperators[key]).map((key) => statementOperators[key]))]
+      : names.filter((otherName) => otherName !== name);
+    if (conflictingNames.length) {
+      const conflictingOperators = isOperatorStatement(statement) ? conflictingNames.concat(name) : names;
+      throw new UserInputError(`Conflicting filter operators '${conflictingOperators.join('\', \'')}' on field '${path}'.`, {
+        path,
+        operators: conflictingOperators
+      });
+    }
+    Object.keys(statement).forEach((key) => {
+      statementOperators[key] = name;
+    });
+    Object.assign(result, statement);
+  });
+  return result;
+}
+
 /**
  * Actully we transform the schema input type, which is of type object,
  * to a object where the values are a regex. This way it is a like search for
  * Mongo DB. The return value is a simple object so it will work on 'find' methods
  * as well on aggregations.
- * This is also very poor implementation cause it do not support numeric
- * or boolean values. It will be extend.
+ * When the Mongoose schema is given, every value is cast to the type of its path
+ * (Date, ObjectId, Number, Boolean, Decimal128 and arrays of those). Nested filter
+ * objects are flattened to dot notation and filtering on unknown paths is rejected.
  * @param {object} filter
+ * @param {object} [schema] Mongoose schema of the filtered model (optional).
+ * @param {string} [prefix] Path prefix of nested filter objects (optional).
  * @returns {object}
  */
-function toMongooseFilterExpression(filter = {}) {
+function toMongooseFilterExpression (filter = {}, schema = null, prefix = '') {
   const fields = Object.keys(filter);
   let transferedFilter = {};
 
   fields.forEach((field) => {
+    // logical operators are handled with array values, and have no schema path
+    const isLogicalOperator = LOGICAL_OPERATORS.includes(field) && Array.isArray(filter[field]);
+    const path = `${prefix}${field}`;
+    const schemaType = schema && !isLogicalOperator ? resolveSchemaType(schema, path) : null;
     // detect type of field value
-    const isTypeOf = kindOf(filter[field]);
-    const fieldSearchType = Object.keys(filter[field])[0];
-    const fieldValue = filter[field][fieldSearchType];
-    const fieldType = getTypeof(filter[field][fieldSearchType]);
+    const isTypeOf = isPlainObject(filter[field]) || isLogicalOperator ? kindOf(filter[field]) : 'value';
+    const fieldSearchType = Object.keys(filter[field] || {})[0];
+    // nested paths, embedded documents and arrays of embedded documents are filtered by their sub paths
+    const isNestedFilter = schema && isTypeOf === 'object' && !SEARCH_OPERATORS.includes(fieldSearchType) &&
+      (!schemaType || schemaType.instance === 'Embedded' || Boolean(schemaType.$isMongooseDocumentArray));
 
     switch (isTypeOf) {
       case 'object':
-        transferedFilter[field] = convertSearchOperator(fieldSearchType, fieldType, fieldValue);
+        if (isNestedFilter) {
+          transferedFilter = Object.assign(transferedFilter, toMongooseFilterExpression(filter[field], schema, `${path}.`));
+        } else {
+          transferedFilter[path] = convertFieldOperators(filter[field], path, schema, schemaType);
+        }
         break;
       case 'array':
-        transferedFilter = Object.assign(transferedFilter, convertSearchOperator(field, isTypeOf, filter[field]));
+        transferedFilter = Object.assign(transferedFilter, convertSearchOperator(field, isTypeOf, filter[field], schema));
         break;
       default:
         // else tranfer as normal search
-        transferedFilter[field] = filter[field];
+        transferedFilter[path] = castSchemaValue(schemaType, filter[field]);
     }
   });
   return transferedFilter;
 }
 
 module.exports = toMongooseFilterExpression;
+module.exports.escapeRegExp = escapeRegExp;
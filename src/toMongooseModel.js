@@ -0,0 +1,40 @@
+const { ApolloError } = require('apollo-server-errors')
+const Mongoose = require('mongoose')
+
+/**
+ * Test if value is a compiled Mongoose model.
+ * @param {*} value Any value.
+ * @returns {boolean}
+ */
+function isMongooseModel (value) {
+  return typeof value === 'function' && typeof value.modelName === 'string' && Boolean(value.schema)
+}
+
+/**
+ * Resolve the Mongoose model of a data source. A model name is looked up in the models of the
+ * default Mongoose connection, `{ connection, modelName }` in the models of the given connection,
+ * for example one created with `mongoose.createConnection()`. A model is used as it is.
+ * @param {string|function|object} model Model name, Mongoose model or `{ connection, modelName }`.
+ * @returns {function} Mongoose model. Raise an Apollo error when the model can not be resolved.
+ */
+function toMongooseModel (model) {
+  if (isMongooseModel(model)) {
+    return model
+  }
+  if (typeof model === 'string') {
+    if (!Mongoose.models || !Mongoose.models[model]) {
+      throw new ApolloError(`Unknown Mongoose model '${model}'. Did you import your Mongoose model?`)
+    }
+    return Mongoose.models[model]
+  }
+  if (model && model.connection && typeof model.modelName === 'string') {
+    const { connection, modelName } = model
+    if (!connection.models || !connection.models[modelName]) {
+      throw new ApolloError(`Unknown Mongoose model '${modelName}' on the given connection. Did you register your model on this connection?`)
+    }
+    return connection.models[modelName]
+  }
+  throw new ApolloError('Mongoose Data Source need a Mongoose model, a model name or { connection, modelName }.')
+}
+
+module.exports = toMongooseModel
@@ -0,0 +1,149 @@
+const { UserInputError } = require('apollo-server-errors')
+const { isPathCovered } = require('./policy')
+
+/**
+ * Orders of null and missing values in sort input.
+ * @type {array}
+ */
+const NULLS_ORDERS = ['FIRST', 'LAST']
+/**
+ * Path appended to every sort as tiebreaker, so every document has a unique position in the sort order.
+ * @type {string}
+ */
+const TIEBREAKER_PATH = '_id'
+/**
+ * Prefix of the helper fields sorting null values in aggregations.
+ * @type {string}
+ */
+const NULLS_FIELD_PREFIX = '__nulls'
+
+/**
+ * Convert sort direction to Mongoose sort direction.
+ * @param {string|number} direction ASC, DESC, 1 or -1.
+ * @returns {number} 1 for ascending, -1 for descending order.
+ */
+function toSortDirection (direction = 'ASC') {
+  return ['DESC', 'desc', 'descending', -1, '-1'].includes(direction) ? -1 : 1
+}
+
+/**
+ * Convert GraphQL sort input to a list of sort keys. Nested paths are written with two underscores
+ * instead of a dot (address__city), as generated by generateTypeDefs. Leading underscores of a name
+ * are kept, like in __v or profile___id (profile._id). Without **nulls**, null and missing
+ * values come first in ascending and last in descending order, like in MongoDB.
+ * @param {array} sort List of { field, direction, nulls } entries.
+ * @param {object} [schema] Mongoose schema, to reject unknown fields (optional).
+ * @param {array} [computedFields] Paths computed in aggregations, accepted besides the schema paths (optional).
+ * @returns {array} List of sort keys { path, direction, nulls }, direction is 1 or -1.
+ */
+function toSortKeys (sort, schema = null, computedFields = []) {
+  return sort.map(({ field, direction, nulls }) => {
+    const path = field.replace(/(?<=[^_])__/g, '.')
+    if (schema && !isPathCovered(path, computedFields) && !['real', 'nested'].includes(schema.pathType(path))) {
+      throw new UserInputError(`Unknown sort field '${field}'.`, { path })
+    }
+    const sortDirection = toSortDirection(direction)
+    const nullsOrder = nulls ? String(nulls).toUpperCase() : (sortDirection === 1 ? 'FIRST' : 'LAST')
+    if (!NULLS_ORDERS.includes(nullsOrder)) {
+      throw new UserInputError(`Invalid nulls order '${nulls}' of sort field '${field}'.`, { path })
+    }
+    return { path, direction: sortDirection, nulls: nullsOrder }
+  })
+}
+
+/**
+ * Test if a sort key orders null values differently than MongoDB does.
+ * @param {object} sortKey Sort key { path, direction, nulls }.
+ * @returns {boolean}
+ */
+function isNullsReordered ({ direction, nulls }) {
+  return nulls !== (direction === 1 ? 'FIRST' : 'LAST')
+}
+
+/**
+ * Convert Mongoose sort string ('name -age') to sort object.
+ * @param {string} sort Mongoose sort string.
+ * @returns {object} Mongoose sort object.
+ */
+function fromSortString (sort) {
+  return sort.split(/\s+/).filter(Boolean).reduce((result, field) => (field.startsWith('-')
+    ? { ...result, [field.slice(1)]: -1 }
+    : { ...result, [field]: 1 }), {})
+}
+
+/**
+ * Convert GraphQL sort input to Mongoose sort object. The sort input is a list of
+ * { field, direction, nulls } entries, see toSortKeys(). A sort object or a Mongoose sort string
+ * is taken as it is. The document id is appended as tiebreaker to every non empty sort.
+ * The nulls order can not be expressed in a Mongoose sort, aggregations use toSortStages().
+ * @param {array|object|string} sort Sort input.
+ * @param {object} [schema] Mongoose schema, to reject unknown fields of sort input (optional).
+ * @param {array} [computedFields] Paths computed in aggregations, accepted besides the schema paths (optional).
+ * @returns {object|null} Mongoose sort, null without sort.
+ */
+function toMongooseSortExpression (sort, schema = null, computedFields = []) {
+  if (!sort) {
+    return null
+  }
+  let result = {}
+  if (Array.isArray(sort)) {
+    toSortKeys(sort, schema, computedFields).forEach(({ path, direction }) => {
+      result[path] = direction
+    })
+  } else {
+    result = typeof sort === 'string' ? fromSortString(sort) : { ...sort }
+  }
+  if (Object.keys(result).length && !(TIEBREAKER_PATH in result)) {
+    result[TIEBREAKER_PATH] = 1
+  }
+  return result
+}
+
+/**
+ * Test if sort input orders null values differently than MongoDB does,
+ * so it needs the stages of toSortStages() instead of a plain sort.
+ * @param {array|object|string} sort Sort input.
+ * @returns {boolean}
+ */
+function hasNullsOrder (sort) {
+  return Array.isArray(sort) && toSortKeys(sort).some(isNullsReordered)
+}
+
+/**
+ * Convert sort input to aggregation stages. A changed nulls order is sorted by a helper field
+ * per sort key, telling if the value is null or missing, which is removed after sorting.
+ * @param {array|object|string} sort Sort input.
+ * @param {object} [schema] Mongoose schema, to reject unknown fields of sort input (optional).
+ * @param {array} [computedFields] Paths computed in aggregations, accepted besides the schema paths (optional).
+ * @returns {array} Aggregation stages, empty without sort.
+ */
+function toSortStages (sort, schema = null, computedFields = []) {
+  const mongooseSort = toMongooseSortExpression(sort, schema, computedFields)
+  if (!mongooseSort || !Object.keys(mongooseSort).length) {
+    return []
+  }
+  if (!hasNullsOrder(sort)) {
+    return [{ $sort: mongooseSort }]
+  }
+
+  const nullsFields = {}
+  const stageSort = {}
+  toSortKeys(sort).forEach((sortKey, index) => {
+    if (isNullsReordered(sortKey)) {
+      const field = `${NULLS_FIELD_PREFIX}${index}`
+      const isNull = { $eq: [{ $ifNull: [`$${sortKey.path}`, null] }, null] }
+      nullsFields[field] = { $cond: [isNull, sortKey.nulls === 'FIRST' ? 0 : 1, sortKey.nulls === 'FIRST' ? 1 : 0] }
+      stageSort[field] = 1
+    }
+    stageSort[sortKey.path] = sortKey.direction
+  })
+  if (!(TIEBREAKER_PATH in stageSort)) {
+    stageSort[TIEBREAKER_PATH] = 1
+  }
+  const removeFields = Object.keys(nullsFields).reduce((fields, field) => ({ ...fields, [field]: 0 }), {})
+  return [{ $addFields: nullsFields }, { $sort: stageSort }, { $project: removeFields }]
+}
+
+module.exports = toMongooseSortExpression
+module.exports.hasNullsOrder = hasNullsOrder
+module.exports.toSortStages = toSortStages
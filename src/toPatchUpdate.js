@@ -0,0 +1,180 @@
+const { ApolloError, UserInputError } = require('apollo-server-errors')
+const { isPlainObject } = require('./plainObject')
+
+/**
+ * Update operators accepted in a patch, besides plain fields.
+ * @type {array}
+ */
+const PATCH_OPERATORS = ['$set', '$unset', '$inc', '$push', '$pull', '$addToSet']
+/**
+ * Handling of empty strings in patch fields: keep sets the empty string,
+ * unset removes the field like null, ignore leaves the field untouched.
+ * @type {array}
+ */
+const EMPTY_STRING_POLICIES = ['keep', 'unset', 'ignore']
+
+/**
+ * Flatten nested objects of a patch to dot notated paths, so sibling fields of a nested object are kept.
+ * Undefined values and empty objects change nothing and are left out.
+ * @param {object} patch Patch fields.
+ * @param {string} [prefix] Path of the patch (optional).
+ * @returns {array} List of [path, value].
+ */
+function flattenPatch (patch, prefix = '') {
+  return Object.keys(patch).reduce((entries, key) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    const value = patch[key]
+    if (value === undefined) {
+      return entries
+    }
+    if (isPlainObject(value)) {
+      return entries.concat(flattenPatch(value, path))
+    }
+    return entries.concat([[path, value]])
+  }, [])
+}
+
+/**
+ * Verify that no path is changed twice, Mongo DB rejects updates with conflicting paths.
+ * @param {object} update Mongo DB update.
+ * @returns {void} Raise a UserInputError for conflicting paths.
+ */
+function assertNoConflicts (update) {
+  const paths = Object.keys(update).reduce((allPaths, operator) => allPaths.concat(Object.keys(update[operator])), [])
+  paths.forEach((path, index) => {
+    const conflict = paths.find((other, otherIndex) => otherIndex !== index &&
+      (other === path || other.startsWith(`${path}.`)))
+    if (conflict) {
+      throw new UserInputError(`Conflicting changes of path '${conflict}'.`)
+    }
+  })
+}
+
+/**
+ * Build a Mongo DB update from a partial document. Nested objects are merged path by path,
+ * null removes a field and undefined or missing fields are left untouched.
+ * Operators **$inc**, **$push**, **$addToSet** and **$pull** take values by path, a list of values pushes, adds
+ * or pulls each value. **$set** and **$unset** are applied as they are, without merging.
+ * @param {object} patch Partial document, with or without operators.
+ * @param {object} [options] Option **emptyString**, one of keep, unset or ignore (default keep).
+ * @returns {object} Mongo DB update. Raise a UserInputError for unsupported operators, invalid increments
+ *  and conflicting paths.
+ */
+function toPatchUpdate (patch, { emptyString = 'keep' } = {}) {
+  if (!EMPTY_STRING_POLICIES.includes(emptyString)) {
+    throw new UserInputError(`Unknown empty string policy '${emptyString}'.`)
+  }
+  const update = {}
+  const add = (operator, path, value) => {
+    update[operator] = { ...update[operator], [path]: value }
+  }
+
+  Object.keys(patch || {}).forEach((key) => {
+    const value = patch[key]
+    if (!key.startsWith('$')) {
+      return
+    }
+    if (!PATCH_OPERATORS.includes(key)) {
+      throw new UserInputError(`Unsupported update operator '${key}'.`)
+    }
+    Object.keys(value || {}).forEach((path) => {
+      const operand = value[path]
+      if (key === '$inc' && typeof operand !== 'number') {
+        throw new UserInputError(`Increment of '${path}' needs a number.`)
+      }
+      if (['$push', '$addToSet'].includes(key) && Array.isArray(operand)) {
+        add(key, path, { $each: operand })
+      } else if (key === '$pull' && Array.isArray(operand)) {
+        add(key, path, { $in: operand })
+      } else {
+        add(key, path, key === '$unset' ? '' : operand)
+      }
+    })
+  })
+
+  flattenPatch(patch || {}).forEach(([path, value]) => {
+    if (path.startsWith('$') || (value === '' && emptyString === 'ignore')) {
+      return
+    }
+    if (value === null || (value === '' && emptyString === 'unset')) {
+      add('$unset', path, '')
+    } else {
+      add('$set', path, value)
+    }
+  })
+
+  assertNoConflicts(update)
+  return update
+}
+
+/**
+ * Test if a $pull operand is a condition, like { $lt: 5 } or { qty: { $lt: 5 } }, instead of values.
+ * @param {*} operand Operand of $pull from toPatchUpdate().
+ * @returns {boolean}
+ */
+function isPullCondition (operand) {
+  return isPlainObject(operand) && !(Object.keys(operand).length === 1 && Array.isArray(operand.$in))
+}
+
+/**
+ * Test if a Mongo DB update has to be written with an atomic update, because it can not be applied
+ * to a loaded document: increments and pulls by condition.
+ * @param {object} update Mongo DB update from toPatchUpdate().
+ * @returns {boolean}
+ */
+function needsAtomicUpdate (update) {
+  return Boolean(update.$inc) || Object.values(update.$pull || {}).some(isPullCondition)
+}
+
+/**
+ * Apply a Mongo DB update built by toPatchUpdate() to a Mongoose document, so the change is saved
+ * with validation and middleware. Array changes use Mongoose array methods, which are saved atomically.
+ * Increments can not be applied, read and saved they lose concurrent increments. Pulls by condition
+ * can not be applied either, Mongoose arrays pull values only.
+ * @param {object} document Mongoose document, changed in place.
+ * @param {object} update Mongo DB update without $inc and $pull conditions, see needsAtomicUpdate().
+ * @returns {object} Mongoose document.
+ */
+function applyPatchUpdate (document, update) {
+  const eachOf = (operand, key) => (isPlainObject(operand) && Array.isArray(operand[key]) ? operand[key] : [operand])
+  if (update.$inc) {
+    throw new ApolloError('Increments have to be written with an atomic update.')
+  }
+  if (Object.values(update.$pull || {}).some(isPullCondition)) {
+    throw new ApolloError('Pulls by condition have to be written with an atomic update.')
+  }
+
+  Object.keys(update.$set || {}).forEach((path) => document.set(path, update.$set[path]))
+  Object.keys(update.$unset || {}).forEach((path) => document.set(path, undefined))
+  Object.keys(update.$push || {}).forEach((path) => {
+    const values = eachOf(update.$push[path], '$each')
+    const array = document.get(path)
+    if (array) {
+      array.push(...values)
+    } else {
+      document.set(path, values)
+    }
+  })
+  Object.keys(update.$addToSet || {}).forEach((path) => {
+    const values = eachOf(update.$addToSet[path], '$each')
+    const array = document.get(path)
+    if (array) {
+      array.addToSet(...values)
+    } else {
+      document.set(path, [...new Set(values)])
+    }
+  })
+  Object.keys(update.$pull || {}).forEach((path) => {
+    const array = document.get(path)
+    if (array) {
+      array.pull(...eachOf(update.$pull[path], '$in'))
+    }
+  })
+  return document
+}
+
+module.exports = {
+  toPatchUpdate,
+  needsAtomicUpdate,
+  applyPatchUpdate
+}
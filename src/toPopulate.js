@@ -0,0 +1,183 @@
+const { UserInputError } = require('apollo-server-errors')
+const {
+  hasSubPaths, collectFields, collectDocumentFields, fieldsToProjection
+} = require('./toProjection')
+
+/**
+ * Read name of the referenced model of a schema type, for single references and arrays of references.
+ * @param {object} schemaType Mongoose schema type.
+ * @returns {string|null} Name of the referenced model.
+ */
+function getRef (schemaType) {
+  if (!schemaType) {
+    return null
+  }
+  const options = schemaType.caster && schemaType.caster.options ? schemaType.caster.options : schemaType.options
+  const ref = options && options.ref
+  if (typeof ref === 'string') {
+    return ref
+  }
+  return ref && ref.modelName ? ref.modelName : null
+}
+
+/**
+ * Normalize populate definition to a list of populate objects with path.
+ * @param {string|array|object} populate Populate as path string ('author comments'), array or object.
+ * @returns {array} List of populate objects.
+ */
+function normalizePopulate (populate) {
+  if (!populate) {
+    return []
+  }
+  if (typeof populate === 'string') {
+    return populate.split(/\s+/).filter(Boolean).map((path) => ({ path }))
+  }
+  if (Array.isArray(populate)) {
+    return populate.reduce((list, item) => list.concat(normalizePopulate(item)), [])
+  }
+  return [populate]
+}
+
+/**
+ * Calculate the depth of nested populate definitions.
+ * @param {string|array|object} populate Populate definition.
+ * @returns {number} Depth, 0 when nothing is populated.
+ */
+function getPopulateDepth (populate) {
+  return normalizePopulate(populate)
+    .map((item) => 1 + getPopulateDepth(item.populate))
+    .reduce((depth, itemDepth) => Math.max(depth, itemDepth), 0)
+}
+
+/**
+ * Raise an error when populate definition is nested deeper than allowed.
+ * @param {string|array|object} populate Populate definition.
+ * @param {number} maxDepth Maximum populate depth.
+ * @returns {void}
+ */
+function assertPopulateDepth (populate, maxDepth) {
+  const depth = getPopulateDepth(populate)
+  if (depth > maxDepth) {
+    throw new UserInputError(`Populate depth ${depth} exceeds maximum depth of ${maxDepth}.`, { depth, maxDepth })
+  }
+}
+
+/**
+ * Collect populate definitions of selected fields which are references.
+ * @param {array} fields Field nodes.
+ * @param {object} info GraphQL resolve info.
+ * @param {object} options Schema, resolveModel, maxDepth and current depth.
+ * @param {string} [prefix] Path prefix of nested fields (optional).
+ * @returns {array} List of populate objects.
+ */
+function collectPopulate (fields, info, options, prefix = '') {
+  const { schema, resolveModel, maxDepth, depth } = options
+  const populate = []
+  fields.forEach((field) => {
+    const path = `${prefix}${field.name.value}`
+    if (!field.selectionSet) {
+      return
+    }
+    if (hasSubPaths(schema, path)) {
+      populate.push(...collectPopulate(collectFields(field.selectionSet, info), info, options, `${path}.`))
+      return
+    }
+    const ref = getRef(schema.path(path))
+    // references deeper than allowed are left to the resolvers
+    if (!ref || depth > maxDepth) {
+      return
+    }
+    const refSchema = resolveModel(ref).schema
+    const subFields = collectFields(field.selectionSet, info)
+    const item = { path, select: fieldsToProjection(subFields, info, { schema: refSchema }) }
+    const nested = collectPopulate(subFields, info, { ...options, schema: refSchema, depth: depth + 1 })
+    if (nested.length) {
+      item.populate = nested
+    }
+    populate.push(item)
+  })
+  return populate
+}
+
+/**
+ * Build populate definition of all references selected in a GraphQL query,
+ * so only requested references are populated.
+ * @param {object} info GraphQL resolve info.
+ * @param {object} options Option **schema** Mongoose schema of the documents, **resolveModel** function
+ *  returning the model of a model name, **maxDepth** maximum populate depth and **path** of the
+ *  documents in the result, like `node` or `edges.node`.
+ * @returns {array} List of populate objects.
+ */
+function populateFromInfo (info, options) {
+  const { path = '', maxDepth = 1 } = options
+  return collectPopulate(collectDocumentFields(info, path), info, { ...options, maxDepth, depth: 1 })
+}
+
+/**
+ * Convert select of a populate object to a projection object.
+ * @param {string|object} select Mongoose select as string ('name -age') or object.
+ * @returns {object|null}
+ */
+function toSelectProjection (select) {
+  if (!select || typeof select !== 'string') {
+    return select || null
+  }
+  const projection = {}
+  select.split(/\s+/).filter(Boolean).forEach((field) => {
+    if (field.startsWith('-')) {
+      projection[field.slice(1)] = 0
+    } else {
+      projection[field] = 1
+    }
+  })
+  return projection
+}
+
+/**
+ * Convert populate definition to aggregation $lookup stages, the aggregation equivalent of populate.
+ * Single references are unwound to a document (or null), arrays of references stay arrays.
+ * Nested populate definitions are converted to $lookup stages of the lookup pipeline.
+ * @param {string|array|object} populate Populate definition.
+ * @param {object} schema Mongoose schema of the documents.
+ * @param {Function} resolveModel Function returning the model of a model name.
+ * @returns {array} Aggregation stages.
+ */
+function toLookupStages (populate, schema, resolveModel) {
+  const stages = []
+  normalizePopulate(populate).forEach((item) => {
+    const schemaType = schema.path(item.path)
+    const ref = item.model ? (item.model.modelName || item.model) : getRef(schemaType)
+    if (!ref) {
+      throw new UserInputError(`Path '${item.path}' is no reference and can not be populated.`, { path: item.path })
+    }
+    const refModel = resolveModel(ref)
+    const isArray = Boolean(schemaType && schemaType.instance === 'Array')
+    const match = isArray
+      ? { $in: ['$_id', { $ifNull: ['$$ref', []] }] }
+      : { $eq: ['$_id', '$$ref'] }
+    const select = toSelectProjection(item.select)
+    const pipeline = [{ $match: { $expr: match } }]
+      .concat(select ? [{ $project: select }] : [])
+      .concat(toLookupStages(item.populate, refModel.schema, resolveModel))
+
+    stages.push({
+      $lookup: {
+        from: refModel.collection.collectionName,
+        let: { ref: `$${item.path}` },
+        pipeline,
+        as: item.path
+      }
+    })
+    if (!isArray) {
+      stages.push({ $unwind: { path: `$${item.path}`, preserveNullAndEmptyArrays: true } })
+    }
+  })
+  return stages
+}
+
+module.exports = {
+  getPopulateDepth,
+  assertPopulateDepth,
+  populateFromInfo,
+  toLookupStages
+}
@@ -0,0 +1,196 @@
+/**
+ * Check if a value is the resolve info object of a GraphQL resolver.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isResolveInfo (value) {
+  return Boolean(value && Array.isArray(value.fieldNodes) && value.fragments)
+}
+
+/**
+ * Read value of a directive argument, which is a literal or a variable.
+ * @param {object} argument Argument node of a directive.
+ * @param {object} variables Variable values of the operation.
+ * @returns {*}
+ */
+function getArgumentValue (argument, variables) {
+  if (argument.value.kind === 'Variable') {
+    return variables[argument.value.name.value]
+  }
+  return argument.value.value
+}
+
+/**
+ * Check @skip and @include directives of a selection.
+ * @param {object} selection Selection node.
+ * @param {object} variables Variable values of the operation.
+ * @returns {boolean}
+ */
+function isIncluded (selection, variables) {
+  return (selection.directives || []).every((directive) => {
+    const argument = (directive.arguments || []).find((arg) => arg.name.value === 'if')
+    if (!argument) {
+      return true
+    }
+    const value = getArgumentValue(argument, variables)
+    if (directive.name.value === 'skip') {
+      return value !== true
+    }
+    if (directive.name.value === 'include') {
+      return value === true
+    }
+    return true
+  })
+}
+
+/**
+ * Collect all field nodes of a selection set, resolving inline and named fragments.
+ * Aliased fields are collected by their field name.
+ * @param {object} selectionSet Selection set node.
+ * @param {object} info GraphQL resolve info.
+ * @returns {array} Field nodes.
+ */
+function collectFields (selectionSet, info) {
+  const fields = []
+  const variables = info.variableValues || {}
+  if (!selectionSet) {
+    return fields
+  }
+  selectionSet.selections.forEach((selection) => {
+    if (!isIncluded(selection, variables)) {
+      return
+    }
+    switch (selection.kind) {
+      case 'Field':
+        fields.push(selection)
+        break
+      case 'InlineFragment':
+        fields.push(...collectFields(selection.selectionSet, info))
+        break
+      case 'FragmentSpread': {
+        const fragment = info.fragments[selection.name.value]
+        if (fragment) {
+          fields.push(...collectFields(fragment.selectionSet, info))
+        }
+        break
+      }
+      default:
+    }
+  })
+  return fields
+}
+
+/**
+ * Collect field nodes at a path below the resolved field, like `node` of a page
+ * or `edges.node` of a connection.
+ * @param {object} info GraphQL resolve info.
+ * @param {string} [path] Path of the documents in the result (optional).
+ * @returns {array} Field nodes of the documents.
+ */
+function collectDocumentFields (info, path = '') {
+  let fields = []
+  info.fieldNodes.forEach((fieldNode) => {
+    fields.push(...collectFields(fieldNode.selectionSet, info))
+  })
+  path.split('.').filter(Boolean).forEach((key) => {
+    const wrappers = fields.filter((field) => field.name.value === key)
+    fields = []
+    wrappers.forEach((wrapper) => {
+      fields.push(...collectFields(wrapper.selectionSet, info))
+    })
+  })
+  return fields
+}
+
+/**
+ * Check if a schema path has sub paths which can be projected one by one.
+ * @param {object} schema Mongoose schema.
+ * @param {string} path Path in dot notation.
+ * @returns {boolean}
+ */
+function hasSubPaths (schema, path) {
+  if (schema.pathType(path) === 'nested') {
+    return true
+  }
+  const schemaType = schema.path(path)
+  return Boolean(schemaType && (schemaType.$isSingleNested || schemaType.$isMongooseDocumentArray))
+}
+
+/**
+ * Collect projected paths of field nodes.
+ * @param {array} fields Field nodes.
+ * @param {object} info GraphQL resolve info.
+ * @param {object} [schema] Mongoose schema, to skip fields which are not stored (optional).
+ * @param {string} [prefix] Path prefix of nested fields (optional).
+ * @returns {array} List of paths in dot notation.
+ */
+function collectPaths (fields, info, schema, prefix = '') {
+  const paths = []
+  fields.forEach((field) => {
+    const name = field.name.value
+    const path = `${prefix}${name}`
+    if (name.startsWith('__')) {
+      return
+    }
+    if (!schema) {
+      // without schema nested selections can be references, so the whole field is projected
+      paths.push(path)
+      return
+    }
+    if (field.selectionSet && hasSubPaths(schema, path)) {
+      paths.push(...collectPaths(collectFields(field.selectionSet, info), info, schema, `${path}.`))
+      return
+    }
+    // fields computed by resolvers are not stored in the document
+    if (schema.path(path) || schema.pathType(path) === 'nested') {
+      paths.push(path)
+    }
+  })
+  return paths
+}
+
+/**
+ * Build a Mongoose projection of selected field nodes.
+ * @param {array} fields Field nodes of the documents.
+ * @param {object} info GraphQL resolve info.
+ * @param {object} [options] Option **schema** and **requiredFields**, see toProjection (optional).
+ * @returns {object} Mongoose projection.
+ */
+function fieldsToProjection (fields, info, options = {}) {
+  const { schema = null, requiredFields = [] } = options
+  // the id is always projected, an empty projection would return the whole document
+  const paths = ['_id'].concat(collectPaths(fields, info, schema), requiredFields)
+  const projection = {}
+  // MongoDB rejects projections of a path together with one of its sub paths
+  paths
+    .filter((projectedPath, index) => paths.indexOf(projectedPath) === index)
+    .filter((projectedPath) => !paths.some((parent) => projectedPath.startsWith(`${parent}.`)))
+    .forEach((projectedPath) => {
+      projection[projectedPath] = 1
+    })
+  return projection
+}
+
+/**
+ * Build a Mongoose projection of the fields selected in a GraphQL query, so documents are
+ * fetched without fields the query never asks for. Fragments, aliases, @skip and @include
+ * are resolved, embedded documents are projected by their selected sub fields.
+ * @param {object} info GraphQL resolve info.
+ * @param {object} [options] Option **path** of the documents in the result, like `node` or `edges.node`,
+ *  **schema** Mongoose schema to project only stored fields, **requiredFields** list of paths which are
+ *  always projected, like foreign keys needed by resolvers (optional).
+ * @returns {object} Mongoose projection.
+ */
+function toProjection (info, options = {}) {
+  const { path = '' } = options
+  return fieldsToProjection(collectDocumentFields(info, path), info, options)
+}
+
+module.exports = {
+  isResolveInfo,
+  hasSubPaths,
+  collectFields,
+  collectDocumentFields,
+  fieldsToProjection,
+  toProjection
+}
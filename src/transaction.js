@@ -0,0 +1,95 @@
+/**
+ * Default number of retries of a transaction, after a transient transaction error.
+ * @type {number}
+ */
+const TRANSACTION_MAX_RETRIES = 3
+/**
+ * Error label of errors, after which the whole transaction can be retried.
+ * @type {string}
+ */
+const TRANSIENT_TRANSACTION_ERROR = 'TransientTransactionError'
+/**
+ * Error label of commit errors, after which the commit can be retried.
+ * @type {string}
+ */
+const UNKNOWN_COMMIT_RESULT = 'UnknownTransactionCommitResult'
+/**
+ * Key of the running transaction in the request context: the **session**, the **dataSources** which
+ * joined it and the data sources with a document cache **invalidated** by a write. All data sources
+ * of a request share it, so their methods join the running transaction.
+ * @type {symbol}
+ */
+const TRANSACTION_CONTEXT_KEY = Symbol('mongooseTransaction')
+
+/**
+ * Test if a MongoDB error carries an error label. Apollo errors mapped from a MongoDB error,
+ * as thrown by the data source methods, are tested by their original error.
+ * @param {Error} err MongoDB error or mapped Apollo error.
+ * @param {string} label Error label.
+ * @returns {boolean}
+ */
+function hasErrorLabel (err, label) {
+  if (!err) {
+    return false
+  }
+  if (typeof err.hasErrorLabel === 'function') {
+    return err.hasErrorLabel(label)
+  }
+  if (Array.isArray(err.errorLabels)) {
+    return err.errorLabels.includes(label)
+  }
+  return hasErrorLabel(err.originalError, label)
+}
+
+/**
+ * Commit transaction, retry when the result of the commit is unknown.
+ * @param {object} session MongoDB client session.
+ * @param {number} maxRetries Maximum number of retries.
+ * @returns {promise}
+ */
+async function commitWithRetry (session, maxRetries) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      await session.commitTransaction()
+      return
+    } catch (err) {
+      if (attempt >= maxRetries || !hasErrorLabel(err, UNKNOWN_COMMIT_RESULT)) {
+        throw err
+      }
+    }
+  }
+}
+
+/**
+ * Run callback in a transaction of the session and commit it. The transaction is aborted when the
+ * callback fails, and retried as a whole on transient transaction errors, like write conflicts.
+ * @param {object} session MongoDB client session.
+ * @param {function} callback Async function receiving the session, called once per attempt.
+ * @param {object} [options] Option **maxRetries** limits the retries, **transactionOptions** like
+ *  readConcern and writeConcern are passed to the transaction (optional).
+ * @returns {promise} Result of the callback.
+ */
+async function runTransaction (session, callback, options = {}) {
+  const { maxRetries = TRANSACTION_MAX_RETRIES, transactionOptions } = options
+  for (let attempt = 0; ; attempt += 1) {
+    session.startTransaction(transactionOptions)
+    try {
+      const result = await callback(session)
+      await commitWithRetry(session, maxRetries)
+      return result
+    } catch (err) {
+      if (session.inTransaction()) {
+        await session.abortTransaction()
+      }
+      if (attempt >= maxRetries || !hasErrorLabel(err, TRANSIENT_TRANSACTION_ERROR)) {
+        throw err
+      }
+    }
+  }
+}
+
+module.exports = {
+  TRANSACTION_CONTEXT_KEY,
+  hasErrorLabel,
+  runTransaction
+}
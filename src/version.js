@@ -0,0 +1,91 @@
+const { UserInputError } = require('apollo-server-errors')
+
+/**
+ * Test if key is a Mongo DB update operator like $set.
+ * @param {string} key Update key.
+ * @returns {boolean}
+ */
+function isOperator (key) {
+  return key.startsWith('$')
+}
+
+/**
+ * Encode document version as opaque etag, so clients can round-trip it without knowing
+ * if the version is a counter or a date.
+ * @param {number|Date} version Document version.
+ * @returns {string|null} Etag, null when the document has no version.
+ */
+function toEtag (version) {
+  if (version === undefined || version === null) {
+    return null
+  }
+  const value = version instanceof Date ? { d: version.getTime() } : { v: version }
+  return Buffer.from(JSON.stringify(value)).toString('base64')
+}
+
+/**
+ * Decode etag to document version.
+ * @param {string} etag Etag created by toEtag().
+ * @returns {number|Date} Document version. Raise a UserInputError for invalid etags.
+ */
+function fromEtag (etag) {
+  try {
+    const value = JSON.parse(Buffer.from(String(etag), 'base64').toString('utf8'))
+    if (value && typeof value.d === 'number') {
+      return new Date(value.d)
+    }
+    if (value && value.v !== undefined) {
+      return value.v
+    }
+  } catch (err) {
+    // invalid etags are reported below
+  }
+  throw new UserInputError(`Invalid etag '${etag}'.`)
+}
+
+/**
+ * Compare document versions. Dates are compared by time, so an ISO date string
+ * matches the date it represents.
+ * @param {*} current Version of the document.
+ * @param {*} expected Expected version.
+ * @returns {boolean}
+ */
+function isSameVersion (current, expected) {
+  if (current instanceof Date) {
+    return current.getTime() === new Date(expected).getTime()
+  }
+  return current !== undefined && current !== null && String(current) === String(expected)
+}
+
+/**
+ * Add the version change to an update. A counter is incremented, a date is set to the given date.
+ * Fields without operator are moved to $set.
+ * @param {object} update Mongo DB update, with or without operators.
+ * @param {string} field Path of the version.
+ * @param {boolean} isCounter True when the version is a counter.
+ * @param {Date} [date] New version date (optional).
+ * @returns {object} Mongo DB update.
+ */
+function withVersionUpdate (update, field, isCounter, date = new Date()) {
+  const versioned = {}
+  Object.keys(update || {}).forEach((key) => {
+    if (isOperator(key)) {
+      versioned[key] = { ...versioned[key], ...update[key] }
+    } else {
+      versioned.$set = { ...versioned.$set, [key]: update[key] }
+    }
+  })
+  if (isCounter) {
+    versioned.$inc = { ...versioned.$inc, [field]: 1 }
+  } else {
+    versioned.$set = { ...versioned.$set, [field]: date }
+  }
+  return versioned
+}
+
+module.exports = {
+  toEtag,
+  fromEtag,
+  isSameVersion,
+  withVersionUpdate
+}